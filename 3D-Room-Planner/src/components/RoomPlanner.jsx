@@ -7,8 +7,20 @@ import SidePanel from './UI/SidePanel';
 import ViewControls from './UI/ViewControls'; 
 import ModelLoadingIndicator from './UI/ModelLoadingIndicator';
 import ObjectControls from './UI/ObjectControls';
+import SessionRestoreDialog from './UI/SessionRestoreDialog';
+import OpeningControls from './UI/OpeningControls';
+import RoomSettingsPanel from './UI/RoomSettingsPanel';
+import FloorEditorPanel from './UI/FloorEditorPanel';
+import RoomStatsPanel from './UI/RoomStatsPanel';
+import PatternPanel from './UI/PatternPanel';
+import MeasurePanel from './UI/MeasurePanel';
+import FloorPlanExportPanel from './UI/FloorPlanExportPanel';
+import UnderlayPanel from './UI/UnderlayPanel';
+import WallDrawingPanel from './UI/WallDrawingPanel';
 import useStore from '../store'; 
 import equipmentConfig from '../config/equipment';
+import openingsConfig from '../config/openings';
+import placementConfig from '../config/placement';
 
 const RoomPlanner = () => {
   const containerRef = useRef(null);
@@ -20,9 +32,35 @@ const RoomPlanner = () => {
   const setGridVisible = useStore(state => state.setGridVisible);
   const selectedObject = useStore(state => state.selectedObject);
   const setSelectedObject = useStore(state => state.setSelectedObject);
+  const selectedObjects = useStore(state => state.selectedObjects);
+  const setSelectedObjects = useStore(state => state.setSelectedObjects);
   
   // This local state is for UI feedback based on SceneManager's interactionMode
   const [interactionModeUI, setInteractionModeUI] = useState('translate'); 
+  // Autosaved snapshots offered for restore; 'startup' replaces the room-shape popup, 'manual' comes from the toolbar
+  const [autosaveSnapshots, setAutosaveSnapshots] = useState([]);
+  const [restorePromptMode, setRestorePromptMode] = useState(null);
+  // Plain data of the selected door/window (openings are part of the room, not scene objects)
+  const [selectedOpening, setSelectedOpening] = useState(null);
+  // Wall settings shown in the room settings panel; null while the panel is closed
+  const [roomSettings, setRoomSettings] = useState(null);
+  // Floor editor options ({ angleSnap }) while the floor dimension editor is active, otherwise null
+  const [floorEditor, setFloorEditor] = useState(null);
+  // Latest figures from SceneManager.getRoomStats(); the panel can be hidden from the toolbar
+  const [roomStats, setRoomStats] = useState(null);
+  const [isStatsVisible, setStatsVisible] = useState(true);
+  const [collisionMode, setCollisionMode] = useState(placementConfig.defaultCollisionMode);
+  const [snapSettings, setSnapSettings] = useState(null);
+  // Pattern tool for the selected model ({ modelName, defaults }) while it is open, otherwise null
+  const [patternTool, setPatternTool] = useState(null);
+  // Distances taken with the tape measure, listed in its panel
+  const [measurements, setMeasurements] = useState([]);
+  const [isFloorPlanExportOpen, setFloorPlanExportOpen] = useState(false);
+  // Tracing underlay state from SceneManager.getUnderlayState() (null without a drawing), and whether its panel is open
+  const [underlay, setUnderlay] = useState(null);
+  const [isUnderlayOpen, setUnderlayOpen] = useState(false);
+  // Progress of a room being drawn corner by corner ({ corners, message }), see SceneManager.dispatchWallDrawingState()
+  const [wallDrawing, setWallDrawing] = useState({ corners: 0, message: null });
 
   useEffect(() => {
     if (!containerRef.current || sceneManagerRef.current) { // Initialize only once
@@ -33,13 +71,46 @@ const RoomPlanner = () => {
     console.log("RoomPlanner: Initializing SceneManager...");
     const manager = new SceneManager(currentContainer);
     sceneManagerRef.current = manager;
+
+    // public/index.html waits on this before deciding whether to show the room-shape popup
+    window.sessionRestoreCheck = manager.getAutosaveSnapshots()
+      .then(snapshots => {
+        if (snapshots.length === 0) return false;
+        setAutosaveSnapshots(snapshots);
+        setRestorePromptMode('startup');
+        return true;
+      })
+      .catch(() => false);
+    window.dispatchEvent(new CustomEvent('session-restore-check-ready', { detail: window.sessionRestoreCheck }));
     
     // Event listeners for SceneManager updates
     const handleObjectSelected = (event) => setSelectedObject(event.detail);
-    const handleObjectDeselected = () => setSelectedObject(null);
+    const handleObjectDeselected = () => {
+      setSelectedObject(null);
+      setSelectedOpening(null);
+    };
+    const handleSelectionChanged = (event) => setSelectedObjects(event.detail);
+    const handleOpeningSelected = (event) => setSelectedOpening(event.detail);
     const handleModeChanged = (event) => setInteractionModeUI(event.detail);
+    const handleFloorEditorChanged = (event) => setFloorEditor(event.detail.active ? event.detail : null);
+    const handleRoomStatsUpdated = (event) => setRoomStats(event.detail);
+    const handleCollisionModeChanged = (event) => setCollisionMode(event.detail);
+    const handleSnapChanged = (event) => setSnapSettings(event.detail);
+    const handleMeasurementsChanged = (event) => setMeasurements(event.detail);
+    const handleUnderlayChanged = (event) => setUnderlay(event.detail);
+    const handleWallDrawingChanged = (event) => setWallDrawing(event.detail);
+    // "Draw your own" in the room-shape popup (public/index.html); rooms are drawn in the 2D view
+    const handleRoomDrawingRequested = () => {
+      setViewMode('2D');
+      manager.startWallDrawing();
+    };
+    setSnapSettings(manager.getSnapSettings());
+    const handleProjectLoaded = (event) => setViewMode(event.detail.viewMode);
+    // Keep an open settings panel in sync with the walls (lengths change with the shape)
+    const refreshRoomSettings = () => setRoomSettings(current => (current ? manager.getWallSettings() : current));
     const handleRoomShapeUpdated = (event) => {
         console.log("RoomPlanner: Event 'room-shape-updated' received.", event.detail.points);
+        refreshRoomSettings();
         // Here you could update a Zustand store or React state if other parts of your UI
         // need to be aware of the current room points directly.
         // For example: useStore.getState().setCurrentRoomPoints(event.detail.points);
@@ -47,8 +118,20 @@ const RoomPlanner = () => {
 
     currentContainer.addEventListener('object-selected', handleObjectSelected);
     currentContainer.addEventListener('object-deselected', handleObjectDeselected);
+    currentContainer.addEventListener('selection-changed', handleSelectionChanged);
     currentContainer.addEventListener('mode-changed', handleModeChanged);
     currentContainer.addEventListener('room-shape-updated', handleRoomShapeUpdated);
+    currentContainer.addEventListener('project-loaded', handleProjectLoaded);
+    currentContainer.addEventListener('opening-selected', handleOpeningSelected);
+    currentContainer.addEventListener('room-walls-updated', refreshRoomSettings);
+    currentContainer.addEventListener('floor-editor-changed', handleFloorEditorChanged);
+    currentContainer.addEventListener('room-stats-updated', handleRoomStatsUpdated);
+    currentContainer.addEventListener('collision-mode-changed', handleCollisionModeChanged);
+    currentContainer.addEventListener('snap-changed', handleSnapChanged);
+    currentContainer.addEventListener('measurements-changed', handleMeasurementsChanged);
+    currentContainer.addEventListener('underlay-changed', handleUnderlayChanged);
+    currentContainer.addEventListener('wall-drawing-changed', handleWallDrawingChanged);
+    window.addEventListener('room-drawing-requested', handleRoomDrawingRequested);
     
     return () => {
       console.log("RoomPlanner: Cleaning up SceneManager...");
@@ -59,14 +142,27 @@ const RoomPlanner = () => {
       if (currentContainer) { // Use captured ref for cleanup
         currentContainer.removeEventListener('object-selected', handleObjectSelected);
         currentContainer.removeEventListener('object-deselected', handleObjectDeselected);
+        currentContainer.removeEventListener('selection-changed', handleSelectionChanged);
         currentContainer.removeEventListener('mode-changed', handleModeChanged);
         currentContainer.removeEventListener('room-shape-updated', handleRoomShapeUpdated);
+        currentContainer.removeEventListener('project-loaded', handleProjectLoaded);
+        currentContainer.removeEventListener('opening-selected', handleOpeningSelected);
+        currentContainer.removeEventListener('room-walls-updated', refreshRoomSettings);
+        currentContainer.removeEventListener('floor-editor-changed', handleFloorEditorChanged);
+        currentContainer.removeEventListener('room-stats-updated', handleRoomStatsUpdated);
+        currentContainer.removeEventListener('collision-mode-changed', handleCollisionModeChanged);
+        currentContainer.removeEventListener('snap-changed', handleSnapChanged);
+        currentContainer.removeEventListener('measurements-changed', handleMeasurementsChanged);
+        currentContainer.removeEventListener('underlay-changed', handleUnderlayChanged);
+        currentContainer.removeEventListener('wall-drawing-changed', handleWallDrawingChanged);
       }
+      window.removeEventListener('room-drawing-requested', handleRoomDrawingRequested);
     };
-  }, [setSelectedObject]); // setSelectedObject from store is stable, effect runs once
+  }, [setSelectedObject, setSelectedObjects, setViewMode]); // Store setters are stable, effect runs once
   
   useEffect(() => {
     if (!sceneManagerRef.current) return;
+    if (sceneManagerRef.current.viewMode === viewMode) return; // Already there (e.g. restored from a project)
     if (viewMode === '2D') sceneManagerRef.current.setView2D();
     else sceneManagerRef.current.setView3D();
   }, [viewMode]);
@@ -77,48 +173,196 @@ const RoomPlanner = () => {
     sceneManagerRef.current.grid.setVisible(isGridVisible);
   }, [isGridVisible]);
   
+  // The pattern tool works on one model; picking something else cancels it
+  useEffect(() => {
+    setPatternTool(null);
+    if (sceneManagerRef.current) sceneManagerRef.current.clearPatternPreview();
+  }, [selectedObject]);
+
+  const handlePatternPreview = useCallback((options) => (
+    sceneManagerRef.current ? sceneManagerRef.current.previewPattern(options) : { copies: 0, blocked: 0 }
+  ), []);
+
+  const handlePatternApply = useCallback((options) => {
+    if (sceneManagerRef.current) sceneManagerRef.current.applyPattern(options);
+    setPatternTool(null);
+  }, []);
+
+  const handlePatternClose = useCallback(() => {
+    if (sceneManagerRef.current) sceneManagerRef.current.clearPatternPreview();
+    setPatternTool(null);
+  }, []);
+
   const handleAddModel = useCallback((modelType) => {
     if (!sceneManagerRef.current) return;
     sceneManagerRef.current.addModel(modelType, null);
   }, []);
   
+  const handleAddOpening = useCallback((presetId) => {
+    if (!sceneManagerRef.current) return;
+    sceneManagerRef.current.addOpening(presetId);
+  }, []);
+
+  const handleOpeningAction = useCallback((action, value) => {
+    if (!sceneManagerRef.current || !selectedOpening) return;
+    const manager = sceneManagerRef.current;
+
+    switch (action) {
+      case 'deselect': manager.deselectObject(); break;
+      case 'update': manager.updateOpening(selectedOpening.id, value); break;
+      case 'delete': manager.removeOpening(selectedOpening.id); break;
+      default: console.warn("RoomPlanner: Unknown opening action:", action); break;
+    }
+  }, [selectedOpening]);
+
   const handleObjectAction = useCallback((action, value) => {
     if (!sceneManagerRef.current) return;
     const manager = sceneManagerRef.current;
     const currentSelected = selectedObject;
 
     if (action === 'deselect') { manager.deselectObject(); return; }
+    if (action === 'collision-mode') { manager.setCollisionMode(value); return; }
+    if (action === 'snap') { manager.setSnapSettings(value); return; }
     if (!currentSelected) return; // Most actions require a selected object
     
+    // Object actions apply to the whole selection
     switch (action) {
-      case 'delete': manager.removeObject(currentSelected); break;
-      case 'duplicate': manager.duplicateObject(currentSelected); break;
+      case 'delete': manager.removeSelected(); break;
+      case 'duplicate': manager.duplicateSelected(); break;
       case 'translate': manager.setInteractionMode('translate'); break;
       case 'rotate': manager.setInteractionMode('rotate'); break;
-      case 'pin': manager.pinObject(currentSelected); break;
-      case 'unpin': manager.unpinObject(currentSelected); break;
-      case 'rotate-by': manager.rotateObject(currentSelected, value); break;
+      case 'pin': manager.pinSelected(); break;
+      case 'unpin': manager.unpinSelected(); break;
+      case 'rotate-by': manager.rotateSelected(value); break;
+      case 'align': manager.alignSelected(value); break;
+      case 'distribute': manager.distributeSelected(value); break;
+      case 'pattern':
+        setPatternTool({ modelName: currentSelected.userData.type, defaults: manager.getPatternDefaults(currentSelected) });
+        break;
       default: console.warn("RoomPlanner: Unknown object action:", action); break;
     }
   }, [selectedObject]); 
   
-  const handleViewAction = useCallback((action) => {
+  const handleRestoreAutosave = useCallback((snapshotId) => {
+    setRestorePromptMode(null);
+    if (!sceneManagerRef.current) return;
+    sceneManagerRef.current.restoreAutosave(snapshotId)
+      .catch(error => console.error("RoomPlanner: Failed to restore autosave:", error));
+  }, []);
+
+  const getFloorPlanSheets = useCallback((options) => (
+    sceneManagerRef.current ? sceneManagerRef.current.getFloorPlanSheets(options) : { columns: 1, rows: 1, count: 1 }
+  ), []);
+
+  const handleFloorPlanExport = useCallback((format, options) => {
+    if (!sceneManagerRef.current) return;
+    if (format === 'svg') sceneManagerRef.current.exportFloorPlanSVG(options);
+    else sceneManagerRef.current.exportFloorPlanPDF(options);
+  }, []);
+
+  const handleUnderlayLoad = useCallback((file) => {
+    if (!sceneManagerRef.current) return;
+    sceneManagerRef.current.loadFloorUnderlay(file).catch(error => {
+      console.error("RoomPlanner: Failed to import floor plan:", error);
+      window.alert(`Could not import floor plan: ${error.message}`);
+    });
+  }, []);
+
+  // Tracing happens in the floor editor, best seen from above
+  const handleUnderlayTrace = useCallback(() => {
+    if (!sceneManagerRef.current) return;
+    if (!floorEditor) setViewMode('2D');
+    sceneManagerRef.current.toggleFloorEditor();
+  }, [floorEditor, setViewMode]);
+
+  const handleUnderlayClose = useCallback(() => {
+    // Points already picked would otherwise stay on the floor after picking has ended
+    const calibrating = interactionModeUI === 'calibrate' || (underlay && underlay.calibrationPoints > 0);
+    if (sceneManagerRef.current && calibrating) sceneManagerRef.current.cancelUnderlayCalibration();
+    setUnderlayOpen(false);
+  }, [interactionModeUI, underlay]);
+
+  const handleDismissRestore = useCallback(() => {
+    // Declining the startup prompt falls back to the usual room-shape picker
+    if (restorePromptMode === 'startup' && typeof window.openRoomShapePopup === 'function') {
+      window.openRoomShapePopup();
+    }
+    setRestorePromptMode(null);
+  }, [restorePromptMode]);
+
+  const handleViewAction = useCallback((action, value) => {
     if (!sceneManagerRef.current) return;
     const manager = sceneManagerRef.current;
 
     switch (action) {
       case 'toggle-view': setViewMode(viewMode === '2D' ? '3D' : '2D'); break;
       case 'reset-view': viewMode === '2D' ? manager.setView2D() : manager.setView3D(); break;
-      case 'zoom-in': if(manager.camera) manager.camera.position.multiplyScalar(0.9); manager.orbitControls?.update(); break;
-      case 'zoom-out': if(manager.camera) manager.camera.position.multiplyScalar(1.1); manager.orbitControls?.update(); break;
+      case 'zoom-in': manager.zoomBy(0.9); break;
+      case 'zoom-out': manager.zoomBy(1.1); break;
       case 'undo': manager.undo(); break;
       case 'redo': manager.redo(); break;
       case 'toggle-floor-dimensions': // Action for the ruler icon
         manager.toggleFloorEditor();
         break;
+      case 'toggle-measure':
+        manager.setInteractionMode(manager.interactionMode === 'measure' ? 'translate' : 'measure');
+        break;
       case 'take-screenshot': // ✅ Add this case
         manager.takeScreenshot();
         break;
+      case 'export-glb':
+        manager.exportGLB().catch(error => window.alert(`Export failed: ${error.message}`));
+        break;
+      case 'export-bom-csv':
+        manager.exportBillOfMaterialsCSV();
+        break;
+      case 'export-quote-html':
+        manager.exportQuoteHTML();
+        break;
+      case 'export-floor-plan':
+        setFloorPlanExportOpen(true);
+        break;
+      case 'save-project':
+        manager.saveProject();
+        break;
+      case 'open-project':
+        if (!value) break;
+        value.text()
+          .then(text => manager.importProject(text))
+          .catch(error => {
+            console.error("RoomPlanner: Failed to open project:", error);
+            window.alert(`Could not open project: ${error.message}`);
+          });
+        break;
+      case 'open-autosaves':
+        manager.getAutosaveSnapshots()
+          .then(snapshots => {
+            if (snapshots.length === 0) {
+              window.alert('No autosaved versions yet.');
+              return;
+            }
+            setAutosaveSnapshots(snapshots);
+            setRestorePromptMode('manual');
+          })
+          .catch(error => console.error("RoomPlanner: Failed to read autosaves:", error));
+        break;
+      case 'open-settings':
+        setRoomSettings(current => (current ? null : manager.getWallSettings()));
+        break;
+      case 'toggle-stats':
+        setStatsVisible(visible => !visible);
+        break;
+      case 'toggle-wall-drawing':
+        if (manager.interactionMode === 'draw-walls') {
+          manager.cancelWallDrawing();
+        } else {
+          setViewMode('2D');
+          manager.startWallDrawing();
+        }
+        break;
+      case 'toggle-underlay':
+        setUnderlayOpen(open => !open);
+        break;
       case 'toggle-grid':
         manager.toggleGridVisibility(); // <- call SceneManager method
         setGridVisible(!isGridVisible); // <- update your Zustand/global state
@@ -142,12 +386,16 @@ const RoomPlanner = () => {
         onViewAction={handleViewAction}
         onObjectAction={handleObjectAction}
         selectedObject={selectedObject}
+        isMeasuring={interactionModeUI === 'measure'}
+        isDrawingWalls={interactionModeUI === 'draw-walls'}
       />
       
       {/* Ensure SidePanel, ViewControls, etc. are correctly imported and accept their props */}
       <SidePanel 
         equipmentCatalog={equipmentConfig.catalog}
         onAddModel={handleAddModel}
+        openingCatalog={openingsConfig.catalog}
+        onAddOpening={handleAddOpening}
       />
       
       <ViewControls 
@@ -157,22 +405,122 @@ const RoomPlanner = () => {
       />
       
       <ModelLoadingIndicator />
+
+      {restorePromptMode && (
+        <SessionRestoreDialog
+          snapshots={autosaveSnapshots}
+          onRestore={handleRestoreAutosave}
+          onDismiss={handleDismissRestore}
+          dismissLabel={restorePromptMode === 'startup' ? 'Start new room' : 'Cancel'}
+        />
+      )}
       
-      {selectedObject && (
+      {selectedObject && !patternTool && interactionModeUI !== 'measure' && interactionModeUI !== 'calibrate' && (
         <ObjectControls 
           selectedObject={selectedObject}
+          selectedObjects={selectedObjects}
           onObjectAction={handleObjectAction}
           interactionMode={interactionModeUI} // Pass UI interaction mode
+          collisionMode={collisionMode}
+          snapSettings={snapSettings}
+        />
+      )}
+      
+      {interactionModeUI === 'measure' && (
+        <MeasurePanel
+          measurements={measurements}
+          onClear={() => sceneManagerRef.current && sceneManagerRef.current.clearMeasurements()}
+          onClose={() => sceneManagerRef.current && sceneManagerRef.current.setInteractionMode('translate')}
+        />
+      )}
+      
+      {interactionModeUI === 'draw-walls' && (
+        <WallDrawingPanel
+          corners={wallDrawing.corners}
+          message={wallDrawing.message}
+          onUndoCorner={() => sceneManagerRef.current && sceneManagerRef.current.removeLastWallCorner()}
+          onCloseRoom={() => sceneManagerRef.current && sceneManagerRef.current.closeWallDrawing()}
+          onCancel={() => sceneManagerRef.current && sceneManagerRef.current.cancelWallDrawing()}
+        />
+      )}
+      
+      {patternTool && (
+        <PatternPanel
+          modelName={patternTool.modelName}
+          defaults={patternTool.defaults}
+          onPreview={handlePatternPreview}
+          onApply={handlePatternApply}
+          onClose={handlePatternClose}
+        />
+      )}
+      
+      {roomSettings && (
+        <RoomSettingsPanel
+          settings={roomSettings}
+          onChangeWalls={(settings) => sceneManagerRef.current && sceneManagerRef.current.setWallSettings(settings)}
+          onChangeWallHeight={(wallIndex, height) => sceneManagerRef.current && sceneManagerRef.current.setWallHeight(wallIndex, height)}
+          onChangeEquipmentWallOffset={(offset) => sceneManagerRef.current && sceneManagerRef.current.setEquipmentWallOffset(offset)}
+          onToggleClearanceZones={(visible) => sceneManagerRef.current && sceneManagerRef.current.setClearanceZonesVisible(visible)}
+          onClose={() => setRoomSettings(null)}
+        />
+      )}
+
+      {isFloorPlanExportOpen && (
+        <FloorPlanExportPanel
+          getSheets={getFloorPlanSheets}
+          onExport={handleFloorPlanExport}
+          onClose={() => setFloorPlanExportOpen(false)}
+        />
+      )}
+
+      {isUnderlayOpen && (
+        <UnderlayPanel
+          underlay={underlay}
+          isCalibrating={interactionModeUI === 'calibrate'}
+          isTracing={!!floorEditor}
+          onLoad={handleUnderlayLoad}
+          onStartCalibration={() => sceneManagerRef.current && sceneManagerRef.current.startUnderlayCalibration()}
+          onCalibrate={(distance) => sceneManagerRef.current && sceneManagerRef.current.calibrateUnderlay(distance)}
+          onCancelCalibration={() => sceneManagerRef.current && sceneManagerRef.current.cancelUnderlayCalibration()}
+          onOpacityChange={(opacity) => sceneManagerRef.current && sceneManagerRef.current.setUnderlayOpacity(opacity)}
+          onVisibilityChange={(visible) => sceneManagerRef.current && sceneManagerRef.current.setUnderlayVisible(visible)}
+          onTrace={handleUnderlayTrace}
+          onRemove={() => sceneManagerRef.current && sceneManagerRef.current.removeFloorUnderlay()}
+          onClose={handleUnderlayClose}
+        />
+      )}
+
+      {isStatsVisible && (
+        <RoomStatsPanel stats={roomStats} onClose={() => setStatsVisible(false)} />
+      )}
+
+      {floorEditor && (
+        <FloorEditorPanel
+          angleSnap={floorEditor.angleSnap}
+          issues={floorEditor.issues}
+          onChangeAngleSnap={(degrees) => sceneManagerRef.current && sceneManagerRef.current.setFloorEditorAngleSnap(degrees)}
+          onClose={() => sceneManagerRef.current && sceneManagerRef.current.toggleFloorEditor()}
+        />
+      )}
+
+      {selectedOpening && (
+        <OpeningControls
+          opening={selectedOpening}
+          onOpeningAction={handleOpeningAction}
         />
       )}
       
-      {selectedObject && ( // Your existing manipulation hint
+      {(selectedObject || interactionModeUI === 'measure' || interactionModeUI === 'calibrate') && ( // Your existing manipulation hint
         <div style={{ /* Basic style for hint, move to CSS */
           position: 'absolute', bottom: '20px', left: '50%', transform: 'translateX(-50%)',
           backgroundColor: 'rgba(0,0,0,0.7)', color: 'white', padding: '8px 15px', borderRadius: '20px',
           fontSize: '13px', zIndex: 1000, pointerEvents: 'none'
         }}>
-          {interactionModeUI === 'translate' ? 
+          {interactionModeUI === 'measure' ? 
+            (<span>📏 Click two points to measure</span>) : 
+            interactionModeUI === 'calibrate' ? 
+            (<span>📐 Click two points a known distance apart on the drawing</span>) : 
+            interactionModeUI === 'translate' ? 
             (<span>🖱️ Drag to move</span>) : 
             (<span>🖱️ Drag to rotate</span>)
           }
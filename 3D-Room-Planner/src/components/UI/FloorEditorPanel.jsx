@@ -0,0 +1,50 @@
+// src/components/UI/FloorEditorPanel.jsx
+// Options shown while the floor dimension editor is active
+
+import React from 'react';
+
+const angleSnapOptions = [
+  { degrees: 0, label: 'Free' },
+  { degrees: 90, label: '90°' },
+  { degrees: 45, label: '45°' },
+];
+
+const FloorEditorPanel = ({ angleSnap, issues = [], onChangeAngleSnap, onClose }) => (
+  <div className="floor-editor-panel">
+    <div className="floor-editor-header">
+      <h3>Edit Floor</h3>
+      <button className="close-button" onClick={onClose} title="Finish editing">×</button>
+    </div>
+
+    <div className="control-section">
+      <h4>Corner lock</h4>
+      <div className="button-group">
+        {angleSnapOptions.map(option => (
+          <button
+            key={option.degrees}
+            className={`tool-button ${angleSnap === option.degrees ? 'active' : ''}`}
+            onClick={() => onChangeAngleSnap(option.degrees)}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+    </div>
+
+    {issues.length > 0 && (
+      <div className="floor-editor-issues">
+        <h4>Shape not applied</h4>
+        <ul>
+          {issues.map((issue, index) => <li key={index}>{issue.message}</li>)}
+        </ul>
+      </div>
+    )}
+
+    <div className="help-section">
+      <p className="help-text">Drag the corners, or click a length label to type an exact measurement</p>
+      <p className="help-text">Click an edge midpoint to add a corner, right-click a corner to remove it</p>
+    </div>
+  </div>
+);
+
+export default FloorEditorPanel;
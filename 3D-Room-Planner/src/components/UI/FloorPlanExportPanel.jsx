@@ -0,0 +1,70 @@
+// src/components/UI/FloorPlanExportPanel.jsx
+// Print scale and paper size for the floor plan export, with SVG and PDF downloads
+
+import React, { useMemo, useState } from 'react';
+import floorPlanConfig from '../../config/floorPlan';
+
+const orientations = [
+  { id: 'portrait', name: 'Portrait' },
+  { id: 'landscape', name: 'Landscape' },
+];
+
+const FloorPlanExportPanel = ({ getSheets, onExport, onClose }) => {
+  const [options, setOptions] = useState({
+    scale: floorPlanConfig.defaultScale,
+    paper: floorPlanConfig.defaultPaper,
+    orientation: floorPlanConfig.defaultOrientation
+  });
+  const sheets = useMemo(() => getSheets(options), [getSheets, options]);
+
+  const update = (changes) => setOptions(current => ({ ...current, ...changes }));
+  const choices = (items, key) => (
+    <div className="button-group">
+      {items.map(item => (
+        <button
+          key={item.id}
+          className={`tool-button ${options[key] === item.id ? 'active' : ''}`}
+          onClick={() => update({ [key]: item.id })}
+        >
+          {item.name}
+        </button>
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="floor-plan-export-panel">
+      <div className="floor-plan-export-header">
+        <h3>Floor Plan</h3>
+        <button className="close-button" onClick={onClose} title="Close">×</button>
+      </div>
+
+      <div className="control-section">
+        <h4>Scale</h4>
+        {choices(floorPlanConfig.scales, 'scale')}
+      </div>
+
+      <div className="control-section">
+        <h4>Paper (PDF)</h4>
+        {choices(floorPlanConfig.paperSizes, 'paper')}
+        {choices(orientations, 'orientation')}
+        <p className="floor-plan-summary">
+          {sheets.count === 1
+            ? 'Fits on one sheet'
+            : `Printed on ${sheets.count} sheets (${sheets.columns} × ${sheets.rows}) to tape together`}
+        </p>
+      </div>
+
+      <div className="button-group">
+        <button className="action-button" onClick={() => onExport('svg', options)}>Download SVG</button>
+        <button className="action-button" onClick={() => onExport('pdf', options)}>Download PDF</button>
+      </div>
+
+      <div className="help-section">
+        <p className="help-text">Print at 100% (actual size) to keep the plan to scale</p>
+      </div>
+    </div>
+  );
+};
+
+export default FloorPlanExportPanel;
@@ -0,0 +1,36 @@
+// src/components/UI/MeasurePanel.jsx
+// Options shown while the tape measure is active
+
+import React from 'react';
+
+const MeasurePanel = ({ measurements = [], onClear, onClose }) => (
+  <div className="measure-panel">
+    <div className="measure-header">
+      <h3>Tape Measure</h3>
+      <button className="close-button" onClick={onClose} title="Finish measuring">×</button>
+    </div>
+
+    <div className="control-section">
+      <h4>{measurements.length} {measurements.length === 1 ? 'measurement' : 'measurements'}</h4>
+      {measurements.length > 0 && (
+        <ol className="measure-list">
+          {measurements.map((measurement, index) => (
+            <li key={index}>{measurement.distance.toFixed(2)} m</li>
+          ))}
+        </ol>
+      )}
+      <div className="button-group">
+        <button className="action-button" onClick={onClear} disabled={measurements.length === 0}>
+          Clear all
+        </button>
+      </div>
+    </div>
+
+    <div className="help-section">
+      <p className="help-text">Click two points on the floor, a wall or a model to measure between them</p>
+      <p className="help-text">Drag to look around as usual; Esc drops a first point, or ends measuring</p>
+    </div>
+  </div>
+);
+
+export default MeasurePanel;
@@ -2,16 +2,28 @@
 // UI component for object manipulation
 
 import React from 'react';
+import placementConfig from '../../config/placement';
 
 const ObjectControls = ({ 
   selectedObject, 
+  selectedObjects = [],
   onObjectAction,
-  interactionMode
+  interactionMode,
+  collisionMode,
+  snapSettings
 }) => {
   if (!selectedObject) return null;
   
-  // Check if object is pinned
-  const isPinned = selectedObject.userData?.isPinned;
+  // Actions apply to the whole selection; a single model shows its own details
+  const selection = selectedObjects.length > 0 ? selectedObjects : [selectedObject];
+  const isMultiple = selection.length > 1;
+  
+  // The selection counts as pinned when every model in it is
+  const isPinned = selection.every(object => object.userData?.isPinned);
+
+  // Size measured from the loaded asset, times the model's scale
+  const measured = isMultiple ? null : selectedObject.userData?.measuredDimensions;
+  const scale = selectedObject.scale || { x: 1, y: 1, z: 1 };
   
   // Format object type for display
   const formatType = (type) => {
@@ -25,7 +37,7 @@ const ObjectControls = ({
   return (
     <div className="object-controls">
       <div className="object-header">
-        <h3>{formatType(selectedObject.userData?.type)}</h3>
+        <h3>{isMultiple ? `${selection.length} models selected` : formatType(selectedObject.userData?.type)}</h3>
         <button 
           className="close-button"
           onClick={() => onObjectAction('deselect')}
@@ -35,6 +47,15 @@ const ObjectControls = ({
         </button>
       </div>
       
+      {measured && (
+        <div className="control-section">
+          <h4>Size (W × D × H)</h4>
+          <p className="object-size">
+            {(measured.width * scale.x).toFixed(2)} × {(measured.depth * scale.z).toFixed(2)} × {(measured.height * scale.y).toFixed(2)} m
+          </p>
+        </div>
+      )}
+      
       <div className="control-section">
         <h4>Interaction Mode</h4>
         <div className="button-group">
@@ -101,6 +122,105 @@ const ObjectControls = ({
         </div>
       </div>
       
+      {isMultiple && (
+        <div className="control-section">
+          <h4>Align</h4>
+          <div className="button-group arrange-group">
+            {placementConfig.alignments.map(alignment => (
+              <button
+                key={alignment.id}
+                className="rotation-button"
+                onClick={() => onObjectAction('align', alignment.id)}
+                title={`Align ${alignment.name.toLowerCase()} edges`}
+              >
+                {alignment.name}
+              </button>
+            ))}
+          </div>
+          <h4>Distribute evenly</h4>
+          <div className="button-group">
+            {placementConfig.distributions.map(distribution => (
+              <button
+                key={distribution.id}
+                className="rotation-button"
+                onClick={() => onObjectAction('distribute', distribution.id)}
+                disabled={selection.length < 3}
+                title={selection.length < 3 ? 'Select at least 3 models' : `Equal gaps ${distribution.name.toLowerCase()}`}
+              >
+                {distribution.name}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+      
+      {snapSettings && (
+        <div className="control-section">
+          <h4>Snap to grid</h4>
+          <div className="button-group">
+            <button
+              className={`tool-button ${!snapSettings.gridEnabled ? 'active' : ''}`}
+              onClick={() => onObjectAction('snap', { gridEnabled: false })}
+            >
+              Off
+            </button>
+            {placementConfig.gridSnapSteps.map(step => (
+              <button
+                key={step}
+                className={`tool-button ${snapSettings.gridEnabled && snapSettings.gridStep === step ? 'active' : ''}`}
+                onClick={() => onObjectAction('snap', { gridEnabled: true, gridStep: step })}
+              >
+                {step} m
+              </button>
+            ))}
+          </div>
+          <h4 className="snap-angle-title">Snap rotation</h4>
+          <div className="button-group">
+            {placementConfig.angleSnapSteps.map(step => (
+              <button
+                key={step}
+                className={`tool-button ${snapSettings.angleStep === step ? 'active' : ''}`}
+                onClick={() => onObjectAction('snap', { angleStep: step })}
+              >
+                {step === 0 ? 'Free' : `${step}°`}
+              </button>
+            ))}
+          </div>
+          <h4 className="snap-angle-title">Smart guides</h4>
+          <div className="button-group">
+            <button
+              className={`tool-button ${snapSettings.guidesEnabled ? 'active' : ''}`}
+              onClick={() => onObjectAction('snap', { guidesEnabled: !snapSettings.guidesEnabled })}
+              title="Line up with the edges and centres of other models and sit flush against walls"
+            >
+              Guides
+            </button>
+            <button
+              className={`tool-button ${snapSettings.autoRotate ? 'active' : ''}`}
+              onClick={() => onObjectAction('snap', { autoRotate: !snapSettings.autoRotate })}
+              title="Turn models pushed against a wall so their front faces into the room"
+            >
+              Face away from walls
+            </button>
+          </div>
+        </div>
+      )}
+      
+      <div className="control-section">
+        <h4>When touching other equipment</h4>
+        <div className="button-group">
+          {placementConfig.collisionModes.map(mode => (
+            <button
+              key={mode.id}
+              className={`tool-button ${collisionMode === mode.id ? 'active' : ''}`}
+              onClick={() => onObjectAction('collision-mode', mode.id)}
+            >
+              <span>{mode.name}</span>
+            </button>
+          ))}
+        </div>
+      </div>
+      
       <div className="control-section">
         <h4>Actions</h4>
         <div className="button-group">
@@ -129,6 +249,23 @@ const ObjectControls = ({
             </svg>
             <span>Duplicate</span>
           </button>
+          {!isMultiple && (
+            <button 
+              className="action-button"
+              onClick={() => onObjectAction('pattern')}
+              title="Place copies in a row, grid or arc"
+            >
+              <svg viewBox="0 0 24 24" width="16" height="16" stroke="currentColor" strokeWidth="2" fill="none">
+                <rect x="3" y="3" width="5" height="5" rx="1" />
+                <rect x="10" y="3" width="5" height="5" rx="1" />
+                <rect x="17" y="3" width="5" height="5" rx="1" />
+                <rect x="3" y="14" width="5" height="5" rx="1" />
+                <rect x="10" y="14" width="5" height="5" rx="1" />
+                <rect x="17" y="14" width="5" height="5" rx="1" />
+              </svg>
+              <span>Pattern</span>
+            </button>
+          )}
           <button 
             className="action-button danger"
             onClick={() => onObjectAction('delete')}
@@ -149,6 +286,12 @@ const ObjectControls = ({
             ? "Click and drag to move the object" 
             : "Click and drag left/right to rotate the object"}
         </p>
+        <p className="help-text">
+          Shift-click to add or remove models; in 2D view, drag on the floor to select an area
+        </p>
+        <p className="help-text">
+          Hold Alt while dragging to move or rotate without snapping or guides
+        </p>
       </div>
       
       <style jsx>{`
@@ -209,6 +352,12 @@ const ObjectControls = ({
           color: rgba(255, 255, 255, 0.8);
         }
         
+        .object-size {
+          margin: 0;
+          font-size: 13px;
+          font-variant-numeric: tabular-nums;
+        }
+        
         .control-section {
           margin-bottom: 18px;
         }
@@ -219,6 +368,19 @@ const ObjectControls = ({
           gap: 8px;
         }
         
+        .snap-angle-title {
+          margin-top: 12px;
+        }
+        
+        /* Three alignment buttons per row: left/centre/right, then top/centre/bottom */
+        .arrange-group {
+          margin-bottom: 12px;
+        }
+        
+        .arrange-group .rotation-button {
+          flex-basis: 28%;
+        }
+        
         .tool-button, .action-button, .rotation-button {
           display: flex;
           align-items: center;
@@ -281,6 +443,11 @@ const ObjectControls = ({
           align-items: center;
         }
         
+        .help-text + .help-text {
+          margin-top: 6px;
+          color: rgba(255, 255, 255, 0.7);
+        }
+        
         .help-icon {
           margin-right: 8px;
           font-size: 16px;
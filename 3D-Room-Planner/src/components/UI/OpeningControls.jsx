@@ -0,0 +1,72 @@
+// src/components/UI/OpeningControls.jsx
+// UI component for editing the selected door or window
+
+import React from 'react';
+import NumberField from '../common/NumberField';
+
+const OpeningControls = ({ opening, onOpeningAction }) => {
+  if (!opening) return null;
+
+  const isDoor = opening.type === 'door';
+  const title = isDoor ? (opening.fireExit ? 'Fire Exit' : 'Door') : 'Window';
+  const update = (changes) => onOpeningAction('update', changes);
+
+  return (
+    <div className="opening-controls">
+      <div className="opening-header">
+        <h3>{title}</h3>
+        <button className="close-button" onClick={() => onOpeningAction('deselect')} title="Deselect">×</button>
+      </div>
+
+      <div className="control-section">
+        <h4>Size (m)</h4>
+        <div className="number-field-row">
+          <NumberField label="Width" value={opening.width} min={0.3} onCommit={(width) => update({ width })} />
+          <NumberField label="Height" value={opening.height} min={0.3} onCommit={(height) => update({ height })} />
+          <NumberField label="Sill" value={opening.sillHeight} onCommit={(sillHeight) => update({ sillHeight })} />
+        </div>
+      </div>
+
+      <div className="control-section">
+        <h4>Position on wall {opening.wallIndex + 1} (m)</h4>
+        <div className="number-field-row">
+          <NumberField
+            label="From corner"
+            value={Math.max(0, opening.offset - opening.width / 2)}
+            onCommit={(distance) => update({ offset: distance + opening.width / 2 })}
+          />
+        </div>
+      </div>
+
+      {isDoor && (
+        <div className="control-section">
+          <h4>Swing</h4>
+          <div className="button-group">
+            <button className={`tool-button ${opening.swing === 'in' ? 'active' : ''}`} onClick={() => update({ swing: 'in' })}>Inward</button>
+            <button className={`tool-button ${opening.swing === 'out' ? 'active' : ''}`} onClick={() => update({ swing: 'out' })}>Outward</button>
+          </div>
+          <div className="button-group">
+            <button className={`tool-button ${opening.hinge === 'left' ? 'active' : ''}`} onClick={() => update({ hinge: 'left' })}>Hinge left</button>
+            <button className={`tool-button ${opening.hinge === 'right' ? 'active' : ''}`} onClick={() => update({ hinge: 'right' })}>Hinge right</button>
+          </div>
+          <label className="opening-checkbox">
+            <input type="checkbox" checked={opening.fireExit} onChange={(event) => update({ fireExit: event.target.checked })} />
+            <span>Emergency exit</span>
+          </label>
+        </div>
+      )}
+
+      <div className="control-section">
+        <div className="button-group">
+          <button className="action-button danger" onClick={() => onOpeningAction('delete')} title="Delete (Del)">Delete</button>
+        </div>
+      </div>
+
+      <div className="help-section">
+        <p className="help-text">Drag to slide along the wall or onto another wall</p>
+      </div>
+    </div>
+  );
+};
+
+export default OpeningControls;
@@ -0,0 +1,105 @@
+// src/components/UI/PatternPanel.jsx
+// Pattern tool: rows, grids and arcs of copies of the selected model, previewed live in the scene
+
+import React, { useEffect, useState } from 'react';
+import NumberField from '../common/NumberField';
+import placementConfig from '../../config/placement';
+
+const PatternPanel = ({ modelName, defaults, onPreview, onApply, onClose }) => {
+  const [options, setOptions] = useState({
+    type: 'row',
+    count: 5,
+    rows: 3,
+    spacing: defaults.spacing,
+    rowSpacing: defaults.rowSpacing,
+    radius: defaults.radius,
+    rotation: 0
+  });
+  const [summary, setSummary] = useState({ copies: 0, blocked: 0 });
+
+  // Every change redraws the ghost copies in the scene
+  useEffect(() => {
+    setSummary(onPreview(options));
+  }, [options, onPreview]);
+
+  const update = (changes) => setOptions(current => ({ ...current, ...changes }));
+  const maxCount = placementConfig.maxPatternCopies + 1;
+
+  return (
+    <div className="pattern-panel">
+      <div className="pattern-header">
+        <h3>Pattern: {modelName}</h3>
+        <button className="close-button" onClick={onClose} title="Cancel">×</button>
+      </div>
+
+      <div className="control-section">
+        <h4>Layout</h4>
+        <div className="button-group">
+          {placementConfig.patternTypes.map(type => (
+            <button
+              key={type.id}
+              className={`tool-button ${options.type === type.id ? 'active' : ''}`}
+              onClick={() => update({ type: type.id })}
+            >
+              {type.name}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="control-section">
+        <h4>{options.type === 'arc' ? 'Models on the arc' : 'Models per row'}</h4>
+        <div className="number-field-row">
+          <NumberField label="Count" value={options.count} min={1} max={maxCount} step={1} decimals={0} onCommit={(count) => update({ count })} />
+          {options.type === 'grid' && (
+            <NumberField label="Rows" value={options.rows} min={1} max={maxCount} step={1} decimals={0} onCommit={(rows) => update({ rows })} />
+          )}
+        </div>
+      </div>
+
+      <div className="control-section">
+        <h4>Spacing (m, centre to centre)</h4>
+        <div className="number-field-row">
+          <NumberField
+            label={options.type === 'arc' ? 'Along arc' : 'Side by side'}
+            value={options.spacing}
+            min={-100}
+            onCommit={(spacing) => update({ spacing })}
+          />
+          {options.type === 'grid' && (
+            <NumberField label="Between rows" value={options.rowSpacing} min={-100} onCommit={(rowSpacing) => update({ rowSpacing })} />
+          )}
+          {options.type === 'arc' && (
+            <NumberField label="Radius" value={options.radius} min={0.5} onCommit={(radius) => update({ radius })} />
+          )}
+        </div>
+      </div>
+
+      <div className="control-section">
+        <h4>Rotation of the copies (°)</h4>
+        <div className="number-field-row">
+          <NumberField label="Extra turn" value={options.rotation} min={-360} max={360} step={15} decimals={0} onCommit={(rotation) => update({ rotation })} />
+        </div>
+      </div>
+
+      <p className={`pattern-summary ${summary.blocked > 0 ? 'warning' : ''}`}>
+        {summary.copies} {summary.copies === 1 ? 'copy' : 'copies'}
+        {summary.blocked > 0 && ` (${summary.blocked} overlapping or too close to a wall)`}
+      </p>
+
+      <div className="button-group">
+        <button className="action-button" onClick={onClose}>Cancel</button>
+        <button className="tool-button active" onClick={() => onApply(options)} disabled={summary.copies === 0}>
+          Place copies
+        </button>
+      </div>
+
+      <div className="help-section">
+        <p className="help-text">Rows run along the model's side; grid rows step back from the side it faces</p>
+        <p className="help-text">Arcs curve around a focal point at the radius in front of the model, e.g. the instructor podium</p>
+      </div>
+    </div>
+  );
+};
+
+export default PatternPanel;
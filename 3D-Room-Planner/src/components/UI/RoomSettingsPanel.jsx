@@ -0,0 +1,73 @@
+// src/components/UI/RoomSettingsPanel.jsx
+// Wall height and thickness of the room, plus per-wall heights (e.g. knee walls or a lower basement wall)
+
+import React from 'react';
+import NumberField from '../common/NumberField';
+
+const RoomSettingsPanel = ({ settings, onChangeWalls, onChangeWallHeight, onChangeEquipmentWallOffset, onToggleClearanceZones, onClose }) => {
+  if (!settings) return null;
+
+  return (
+    <div className="room-settings-panel">
+      <div className="room-settings-header">
+        <h3>Room Settings</h3>
+        <button className="close-button" onClick={onClose} title="Close">×</button>
+      </div>
+
+      <div className="control-section">
+        <h4>Walls (m)</h4>
+        <div className="number-field-row">
+          <NumberField label="Height" value={settings.height} min={0.5} onCommit={(height) => onChangeWalls({ height })} />
+          <NumberField label="Thickness" value={settings.thickness} min={0.02} step={0.01} onCommit={(thickness) => onChangeWalls({ thickness })} />
+        </div>
+      </div>
+
+      <div className="control-section">
+        <h4>Equipment (m)</h4>
+        <div className="number-field-row">
+          <NumberField
+            label="Distance from walls"
+            value={settings.equipmentWallOffset}
+            min={0}
+            step={0.01}
+            onCommit={onChangeEquipmentWallOffset}
+          />
+        </div>
+        <label className="opening-checkbox">
+          <input
+            type="checkbox"
+            checked={settings.showClearanceZones}
+            onChange={(event) => onToggleClearanceZones(event.target.checked)}
+          />
+          <span>Show safety clearance zones</span>
+        </label>
+      </div>
+
+      {settings.walls.length > 0 && (
+        <div className="control-section">
+          <h4>Height per wall (m)</h4>
+          {settings.walls.map(wall => (
+            <div className="wall-height-row" key={wall.wallIndex}>
+              <NumberField
+                label={`Wall ${wall.wallIndex + 1} · ${wall.length.toFixed(2)} m long`}
+                value={wall.height}
+                min={0.1}
+                onCommit={(height) => onChangeWallHeight(wall.wallIndex, height)}
+              />
+              <button
+                className="wall-height-reset"
+                onClick={() => onChangeWallHeight(wall.wallIndex, null)}
+                disabled={!wall.isOverridden}
+                title="Use the room's wall height"
+              >
+                Reset
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RoomSettingsPanel;
@@ -0,0 +1,48 @@
+// src/components/UI/RoomStatsPanel.jsx
+// Live size figures of the room: floor area, perimeter, wall surface and equipment coverage
+
+import React from 'react';
+
+const formatArea = (value) => `${value.toFixed(2)} m²`;
+
+const RoomStatsPanel = ({ stats, onClose }) => {
+  if (!stats) return null;
+
+  const rows = [
+    ['Floor area', formatArea(stats.floorArea)],
+    ['Perimeter', `${stats.perimeter.toFixed(2)} m`],
+    ['Wall surface', formatArea(stats.wallSurface)],
+    ['Equipment', `${stats.equipmentCount} ${stats.equipmentCount === 1 ? 'machine' : 'machines'}`],
+    ['Footprint', `${formatArea(stats.equipmentFootprint)} (${(stats.coverage * 100).toFixed(1)}%)`],
+    ['Floor per machine', stats.areaPerMachine === null ? '–' : formatArea(stats.areaPerMachine)],
+  ];
+  // Placement problems, only listed while there are any
+  const warnings = [
+    ['Overlapping', stats.equipmentOverlapping, 'machine'],
+    ['Outside the room', stats.equipmentOutside, 'machine'],
+    ['Clearance blocked', stats.blockedClearanceZones, 'zone'],
+  ].filter(([, count]) => count > 0);
+
+  return (
+    <div className="properties-panel room-stats-panel">
+      <div className="room-stats-header">
+        <h3>Room Statistics</h3>
+        <button className="close-button" onClick={onClose} title="Hide">×</button>
+      </div>
+      {rows.map(([label, value]) => (
+        <div className="property" key={label}>
+          <span>{label}</span>
+          <span>{value}</span>
+        </div>
+      ))}
+      {warnings.map(([label, count, unit]) => (
+        <div className="property warning" key={label}>
+          <span>{label}</span>
+          <span>{count} {count === 1 ? unit : `${unit}s`}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default RoomStatsPanel;
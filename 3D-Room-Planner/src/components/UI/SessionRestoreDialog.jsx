@@ -0,0 +1,51 @@
+// src/components/UI/SessionRestoreDialog.jsx
+// Offers to restore one of the autosaved sessions kept in IndexedDB
+
+import React from 'react';
+
+const formatSavedAt = (timestamp) => {
+  const date = new Date(timestamp);
+  return date.toLocaleString(undefined, {
+    day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit', second: '2-digit'
+  });
+};
+
+const SessionRestoreDialog = ({ snapshots, onRestore, onDismiss, dismissLabel = 'Start new room' }) => {
+  if (!snapshots || snapshots.length === 0) return null;
+
+  const [latest, ...older] = snapshots;
+
+  return (
+    <div className="session-restore-backdrop">
+      <div className="session-restore-dialog" role="dialog" aria-labelledby="sessionRestoreTitle">
+        <h3 id="sessionRestoreTitle">Restore your last session?</h3>
+        <p className="session-restore-text">
+          Your layout was autosaved {formatSavedAt(latest.savedAt)} with {latest.modelCount} item{latest.modelCount === 1 ? '' : 's'}.
+        </p>
+
+        {older.length > 0 && (
+          <div className="session-restore-list">
+            <h4>Earlier versions</h4>
+            {older.map(snapshot => (
+              <button
+                key={snapshot.id}
+                className="session-restore-item"
+                onClick={() => onRestore(snapshot.id)}
+              >
+                <span>{formatSavedAt(snapshot.savedAt)}</span>
+                <span>{snapshot.modelCount} item{snapshot.modelCount === 1 ? '' : 's'}</span>
+              </button>
+            ))}
+          </div>
+        )}
+
+        <div className="session-restore-footer">
+          <button className="session-restore-secondary" onClick={onDismiss}>{dismissLabel}</button>
+          <button className="session-restore-primary" onClick={() => onRestore(latest.id)}>Restore latest</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SessionRestoreDialog;
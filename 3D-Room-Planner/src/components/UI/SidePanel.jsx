@@ -1,15 +1,19 @@
 // src/components/UI/SidePanel.jsx
-// Side panel with equipment catalog
+// Side panel with equipment catalog and the doors & windows that can be placed on walls
 
 import React, { useState } from 'react';
 import IconButton from '../common/IconButton';
 
-const SidePanel = ({ equipmentCatalog, onAddModel }) => {
+const OPENINGS_CATEGORY = 'Doors & Windows';
+
+const SidePanel = ({ equipmentCatalog, onAddModel, openingCatalog = [], onAddOpening }) => {
   const [activeCategory, setActiveCategory] = useState(Object.keys(equipmentCatalog)[0]);
   const [isExpanded, setIsExpanded] = useState(true);
   
   // Get equipment items for the active category
-  const activeItems = equipmentCatalog[activeCategory] || [];
+  const isOpeningsCategory = activeCategory === OPENINGS_CATEGORY;
+  const activeItems = isOpeningsCategory ? openingCatalog : (equipmentCatalog[activeCategory] || []);
+  const categories = openingCatalog.length > 0 ? [...Object.keys(equipmentCatalog), OPENINGS_CATEGORY] : Object.keys(equipmentCatalog);
   
   return (
     <div className={`side-panel ${isExpanded ? 'expanded' : 'collapsed'}`}>
@@ -26,7 +30,7 @@ const SidePanel = ({ equipmentCatalog, onAddModel }) => {
         <>
           {/* Category tabs */}
           <div className="category-tabs">
-            {Object.keys(equipmentCatalog).map((category) => (
+            {categories.map((category) => (
               <div 
                 key={category}
                 className={`category-tab ${activeCategory === category ? 'active' : ''}`}
@@ -43,10 +47,12 @@ const SidePanel = ({ equipmentCatalog, onAddModel }) => {
               <div 
                 key={item.id}
                 className="equipment-item"
-                onClick={() => onAddModel(item.id)}
+                onClick={() => (isOpeningsCategory ? onAddOpening(item.id) : onAddModel(item.id))}
               >
                 <div className="item-icon">
-                  <img src={item.icon} alt={item.name} />
+                  {isOpeningsCategory
+                    ? <i className={`icon icon-${item.icon}`}></i>
+                    : <img src={item.icon} alt={item.name} />}
                 </div>
                 <div className="item-name">{item.name}</div>
               </div>
@@ -1,10 +1,38 @@
 // src/components/UI/Toolbar.jsx
 // Top toolbar component with various action buttons
 
-import React from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import IconButton from '../common/IconButton';
 
-const Toolbar = ({ viewMode, onViewAction, onObjectAction, selectedObject }) => {
+// Entries of the Export dropdown: [view action, label]
+const exportOptions = [
+  ['export-glb', '3D model (GLB)'],
+  ['export-bom-csv', 'Bill of materials (CSV)'],
+  ['export-quote-html', 'Quote (HTML)'],
+  ['export-floor-plan', 'Floor plan (SVG/PDF)'],
+];
+
+const Toolbar = ({ viewMode, onViewAction, onObjectAction, selectedObject, isMeasuring = false, isDrawingWalls = false }) => {
+  const projectFileInputRef = useRef(null);
+  const exportMenuRef = useRef(null);
+  const [isExportMenuOpen, setExportMenuOpen] = useState(false);
+
+  // Close the export dropdown when clicking anywhere else
+  useEffect(() => {
+    if (!isExportMenuOpen) return undefined;
+    const handlePointerDown = (event) => {
+      if (exportMenuRef.current && !exportMenuRef.current.contains(event.target)) setExportMenuOpen(false);
+    };
+    document.addEventListener('pointerdown', handlePointerDown);
+    return () => document.removeEventListener('pointerdown', handlePointerDown);
+  }, [isExportMenuOpen]);
+
+  const handleProjectFileChange = (event) => {
+    const file = event.target.files && event.target.files[0];
+    if (file) onViewAction('open-project', file);
+    event.target.value = ''; // Allow re-opening the same file
+  };
+
   return (
     <div className="toolbar" style={styles.toolbar}> {/* Added style */}
       {/* Left section - Menu */}
@@ -48,11 +76,33 @@ const Toolbar = ({ viewMode, onViewAction, onObjectAction, selectedObject }) =>
           tooltip="Toggle Floor Dimensions Editor" // Changed tooltip slightly for clarity
           onClick={() => onViewAction('toggle-floor-dimensions')} // This triggers the action
         />
+        <IconButton 
+          icon="ruler-combined" 
+          tooltip="Tape Measure"
+          active={isMeasuring}
+          onClick={() => onViewAction('toggle-measure')}
+        />
+        <IconButton 
+          icon="draw-polygon" 
+          tooltip="Draw Room (corner by corner)"
+          active={isDrawingWalls}
+          onClick={() => onViewAction('toggle-wall-drawing')}
+        />
+        <IconButton 
+          icon="image" 
+          tooltip="Tracing Underlay (import a floor plan)"
+          onClick={() => onViewAction('toggle-underlay')}
+        />
       
         <IconButton 
           icon="settings" 
-          tooltip="Settings"
-          onClick={() => { console.log("Settings clicked"); onViewAction('open-settings');}} // Example action
+          tooltip="Room Settings (walls)"
+          onClick={() => onViewAction('open-settings')}
+        />
+        <IconButton 
+          icon="chart" 
+          tooltip="Room Statistics"
+          onClick={() => onViewAction('toggle-stats')}
         />
       </div>
       
@@ -63,6 +113,28 @@ const Toolbar = ({ viewMode, onViewAction, onObjectAction, selectedObject }) =>
           tooltip="Comments"
           onClick={() => {}} // Placeholder
         />
+        <IconButton 
+          icon="save" 
+          tooltip="Save Project"
+          onClick={() => onViewAction('save-project')}
+        />
+        <IconButton 
+          icon="folder-open" 
+          tooltip="Open Project"
+          onClick={() => projectFileInputRef.current && projectFileInputRef.current.click()}
+        />
+        <IconButton 
+          icon="history" 
+          tooltip="Restore Autosaved Version"
+          onClick={() => onViewAction('open-autosaves')}
+        />
+        <input 
+          ref={projectFileInputRef}
+          type="file"
+          accept=".json,application/json"
+          style={{ display: 'none' }}
+          onChange={handleProjectFileChange}
+        />
         <IconButton 
         icon="camera" 
         tooltip="Take Screenshot"
@@ -70,11 +142,27 @@ const Toolbar = ({ viewMode, onViewAction, onObjectAction, selectedObject }) =>
         />
 
         {/* ... other buttons ... */}
-        <IconButton 
-          icon="file-export" 
-          tooltip="Export"
-          onClick={() => {}} // Placeholder
-        />
+        <div className="toolbar-dropdown" ref={exportMenuRef}>
+          <IconButton 
+            icon="file-export" 
+            tooltip="Export"
+            active={isExportMenuOpen}
+            onClick={() => setExportMenuOpen(!isExportMenuOpen)}
+          />
+          {isExportMenuOpen && (
+            <div className="toolbar-dropdown-menu">
+              {exportOptions.map(([action, label]) => (
+                <button
+                  key={action}
+                  className="toolbar-dropdown-item"
+                  onClick={() => { setExportMenuOpen(false); onViewAction(action); }}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
         <IconButton 
           icon="ellipsis-v" 
           tooltip="More Options"
@@ -0,0 +1,125 @@
+// src/components/UI/UnderlayPanel.jsx
+// Tracing underlay: import a floor-plan drawing, calibrate its scale, then trace the room outline over it
+
+import React, { useRef } from 'react';
+import NumberField from '../common/NumberField';
+
+const opacities = [0.25, 0.5, 0.75, 1];
+
+const UnderlayPanel = ({
+  underlay,
+  isCalibrating,
+  isTracing,
+  onLoad,
+  onStartCalibration,
+  onCalibrate,
+  onCancelCalibration,
+  onOpacityChange,
+  onVisibilityChange,
+  onTrace,
+  onRemove,
+  onClose
+}) => {
+  const fileInputRef = useRef(null);
+
+  const handleFileChange = (event) => {
+    const file = event.target.files && event.target.files[0];
+    if (file) onLoad(file);
+    event.target.value = ''; // Allow re-importing the same file
+  };
+
+  const pickedPoints = underlay ? underlay.calibrationPoints : 0;
+
+  return (
+    <div className="underlay-panel">
+      <div className="underlay-header">
+        <h3>Tracing Underlay</h3>
+        <button className="close-button" onClick={onClose} title="Close">×</button>
+      </div>
+
+      <div className="control-section">
+        <h4>{underlay ? underlay.name : 'No drawing'}</h4>
+        {underlay && (
+          <p className="floor-plan-summary">
+            {underlay.width.toFixed(2)} × {underlay.depth.toFixed(2)} m{underlay.calibrated ? '' : ' (not calibrated)'}
+          </p>
+        )}
+        <div className="button-group">
+          <button className="action-button" onClick={() => fileInputRef.current && fileInputRef.current.click()}>
+            {underlay ? 'Replace…' : 'Import JPG, PNG or PDF…'}
+          </button>
+          {underlay && <button className="action-button danger" onClick={onRemove}>Remove</button>}
+        </div>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="image/png,image/jpeg,application/pdf,.png,.jpg,.jpeg,.pdf"
+          style={{ display: 'none' }}
+          onChange={handleFileChange}
+        />
+      </div>
+
+      {underlay && (
+        <div className="control-section">
+          <h4>Scale</h4>
+          {pickedPoints === 2 ? (
+            <>
+              <NumberField
+                label="Real distance between the points (m)"
+                value={underlay.calibrationDistance}
+                min={0.01}
+                step={0.01}
+                onCommit={onCalibrate}
+              />
+              <div className="button-group">
+                <button className="action-button" onClick={onCancelCalibration}>Cancel</button>
+              </div>
+            </>
+          ) : (
+            <div className="button-group">
+              <button
+                className={`tool-button ${isCalibrating ? 'active' : ''}`}
+                onClick={isCalibrating ? onCancelCalibration : onStartCalibration}
+              >
+                {isCalibrating ? `Click point ${pickedPoints + 1} of 2…` : 'Calibrate'}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {underlay && (
+        <div className="control-section">
+          <h4>Display</h4>
+          <div className="button-group">
+            {opacities.map(opacity => (
+              <button
+                key={opacity}
+                className={`tool-button ${Math.abs(underlay.opacity - opacity) < 0.01 ? 'active' : ''}`}
+                onClick={() => onOpacityChange(opacity)}
+              >
+                {Math.round(opacity * 100)}%
+              </button>
+            ))}
+          </div>
+          <div className="button-group">
+            <button className="tool-button" onClick={() => onVisibilityChange(!underlay.visible)}>
+              {underlay.visible ? 'Hide' : 'Show'}
+            </button>
+            <button className={`tool-button ${isTracing ? 'active' : ''}`} onClick={onTrace}>
+              {isTracing ? 'Finish tracing' : 'Trace outline'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="help-section">
+        <p className="help-text">Only the first page of a PDF is imported</p>
+        <p className="help-text">Calibrate: click both ends of a known length on the drawing, then enter its real length</p>
+        <p className="help-text">Trace: drag the room's corners onto the drawing's walls; click an edge's midpoint to add a corner</p>
+      </div>
+    </div>
+  );
+};
+
+export default UnderlayPanel;
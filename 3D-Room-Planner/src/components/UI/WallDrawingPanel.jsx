@@ -0,0 +1,34 @@
+// src/components/UI/WallDrawingPanel.jsx
+// Options shown while a room is drawn corner by corner
+
+import React from 'react';
+
+const WallDrawingPanel = ({ corners = 0, message = null, onUndoCorner, onCloseRoom, onCancel }) => (
+  <div className="wall-drawing-panel">
+    <div className="wall-drawing-header">
+      <h3>Draw Room</h3>
+      <button className="close-button" onClick={onCancel} title="Stop drawing">×</button>
+    </div>
+
+    <div className="control-section">
+      <h4>{corners} {corners === 1 ? 'corner' : 'corners'}</h4>
+      {message && <p className="pattern-summary warning">{message}</p>}
+      <div className="button-group">
+        <button className="action-button" onClick={onUndoCorner} disabled={corners === 0}>
+          Undo corner
+        </button>
+        <button className="action-button" onClick={onCloseRoom} disabled={corners < 3}>
+          Close room
+        </button>
+      </div>
+    </div>
+
+    <div className="help-section">
+      <p className="help-text">Click to place corners; click the first corner again to close the room</p>
+      <p className="help-text">Corners snap to the grid and to each other; hold Shift for straight walls, Alt to place freely</p>
+      <p className="help-text">Esc takes back the last corner, or stops drawing</p>
+    </div>
+  </div>
+);
+
+export default WallDrawingPanel;
@@ -0,0 +1,40 @@
+// src/components/common/NumberField.jsx
+// Labelled number input that reports its value only when editing is done
+
+import React, { useEffect, useState } from 'react';
+
+// Commits on blur or Enter rather than on every keystroke, so each edit becomes a single undo step
+const NumberField = ({ label, value, min = 0, max = Infinity, step = 0.05, decimals = 2, onCommit }) => {
+  const [text, setText] = useState(value.toFixed(decimals));
+
+  useEffect(() => {
+    setText(value.toFixed(decimals));
+  }, [value, decimals]);
+
+  const commit = () => {
+    const parsed = parseFloat(text);
+    if (Number.isFinite(parsed) && parsed >= min && parsed <= max && Math.abs(parsed - value) > 0.0001) {
+      onCommit(parsed);
+    } else {
+      setText(value.toFixed(decimals));
+    }
+  };
+
+  return (
+    <label className="number-field">
+      <span>{label}</span>
+      <input
+        type="number"
+        min={min}
+        max={Number.isFinite(max) ? max : undefined}
+        step={step}
+        value={text}
+        onChange={(event) => setText(event.target.value)}
+        onBlur={commit}
+        onKeyDown={(event) => { if (event.key === 'Enter') event.target.blur(); }}
+      />
+    </label>
+  );
+};
+
+export default NumberField;
@@ -12,12 +12,57 @@ export const equipmentConfig = {
   
   // Map of model types to their physical dimensions (in meters)
   // Used for proper placement and collision detection
+  // These are placeholder fallbacks, used only until a model's asset has loaded and been measured.
+  // Set `verified: true` on an entry once its size comes from the product's data sheet.
   dimensions: {
     'sBike': { width: 0.9, height: 1.5, depth: 1.8 },
     'sTreadPro': { width: 0.9, height: 1.5, depth: 1.8 },
     'sPad500': { width: 0.9, height: 1.5, depth: 1.8 },
     'sRow': { width: 0.9, height: 1.5, depth: 1.8 },
   },
+
+  // Loaded models are measured; a warning is logged when a measured side differs
+  // from a verified configured dimension by more than this (in meters)
+  dimensionTolerance: 0.05,
+
+  // Map of model types to the free space required around them (in meters).
+  // Each zone sits against one side of the model's measured footprint, in the model's own frame:
+  // 'front' is the model's +Z, 'back' -Z, 'left' +X and 'right' -X (its left when facing front).
+  // `depth` is how far the zone reaches out from that side; `width` runs along the side
+  // and defaults to the full side, centred. Zones are shown on the floor and must stay free
+  // of other machines and inside the room.
+  clearances: {
+    'sBike': [
+      { side: 'left', depth: 0.6 },
+      { side: 'right', depth: 0.6 },
+    ],
+    'sTreadPro': [
+      { side: 'back', depth: 2.0, width: 0.9 }, // Run-off area behind the belt
+      { side: 'left', depth: 0.5 },
+      { side: 'right', depth: 0.5 },
+    ],
+    'sPad500': [
+      { side: 'back', depth: 2.0, width: 0.6 },
+    ],
+    'sRow': [
+      { side: 'left', depth: 0.6 },
+      { side: 'right', depth: 0.6 },
+      { side: 'back', depth: 0.6 },
+    ],
+  },
+  
+  // Currency of the list prices below (ISO 4217 code)
+  currency: 'EUR',
+
+  // Map of model types to their commercial data, used for bills of materials and quotes.
+  // `sku` and `listPrice` (per unit in `currency`, excluding VAT) are left unset until sales supplies
+  // the price list: quotes show such lines as "On request" and no grand total.
+  products: {
+    'sBike': { name: 'sBike' },
+    'sTreadPro': { name: 'sTreadPro' },
+    'sPad500': { name: 'sPad500' },
+    'sRow': { name: 'sRow' },
+  },
   
   // Equipment catalog for UI
   catalog: {
@@ -0,0 +1,34 @@
+// src/config/floorPlan.js
+// Configuration for the printable floor plan (SVG and PDF export)
+
+export const floorPlanConfig = {
+  // Print scales offered in the export panel: 50 means 1:50 (1 m on the floor is 20 mm on paper)
+  scales: [
+    { id: 50, name: '1:50' },
+    { id: 100, name: '1:100' },
+  ],
+  defaultScale: 50,
+
+  // Paper sizes in millimeters, portrait
+  paperSizes: [
+    { id: 'A4', name: 'A4', width: 210, height: 297 },
+    { id: 'A3', name: 'A3', width: 297, height: 420 },
+    { id: 'A2', name: 'A2', width: 420, height: 594 },
+    { id: 'A1', name: 'A1', width: 594, height: 841 },
+    { id: 'Letter', name: 'Letter', width: 215.9, height: 279.4 },
+  ],
+  defaultPaper: 'A4',
+  defaultOrientation: 'landscape',
+
+  // Sheet layout in millimeters: margins, and the title block with scale bar, north arrow and legend on the right
+  margin: 10,
+  panelWidth: 60,
+  panelGap: 5,
+
+  // Floor left around the walls' dimension lines, in meters
+  drawingPadding: 0.5,
+
+  title: 'Floor Plan',
+};
+
+export default floorPlanConfig;
@@ -0,0 +1,25 @@
+// src/config/openings.js
+// Configuration file for doors and windows cut into the room walls
+
+export const openingsConfig = {
+  // Presets used when placing a new opening (all sizes in meters).
+  // sillHeight is the distance from the floor to the bottom of the opening.
+  presets: {
+    'door': { type: 'door', width: 0.9, height: 2.1, sillHeight: 0, swing: 'in', hinge: 'left', fireExit: false },
+    'fireExit': { type: 'door', width: 1.0, height: 2.1, sillHeight: 0, swing: 'out', hinge: 'right', fireExit: true },
+    'window': { type: 'window', width: 1.2, height: 1.2, sillHeight: 0.9 },
+  },
+
+  // Smallest allowed opening size
+  minWidth: 0.3,
+  minHeight: 0.3,
+
+  // Catalog for the side panel
+  catalog: [
+    { id: 'door', name: 'Door', icon: 'door-open' },
+    { id: 'fireExit', name: 'Fire Exit', icon: 'person-running' },
+    { id: 'window', name: 'Window', icon: 'window-maximize' },
+  ]
+};
+
+export default openingsConfig;
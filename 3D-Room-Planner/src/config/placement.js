@@ -0,0 +1,65 @@
+// src/config/placement.js
+// Configuration for placing equipment: how models may touch each other and the walls while being dragged
+
+export const placementConfig = {
+  // What happens when a dragged model runs into another one:
+  // 'block' stops it, 'slide' pushes it along the obstacle, 'allow' lets it overlap (shown in red)
+  collisionModes: [
+    { id: 'block', name: 'Block' },
+    { id: 'slide', name: 'Slide' },
+    { id: 'allow', name: 'Allow' },
+  ],
+  defaultCollisionMode: 'slide',
+
+  // Footprints overlapping by less than this (in meters) only touch, so machines can stand side by side
+  collisionTolerance: 0.005,
+
+  // Minimum distance (in meters) kept between a model's footprint and the inner face of the walls
+  wallOffset: 0.05,
+
+  // Align and distribute commands for a multi-selection, on the models' bounding boxes as seen in the plan view
+  alignments: [
+    { id: 'left', name: 'Left' },
+    { id: 'center-x', name: 'Centre X' },
+    { id: 'right', name: 'Right' },
+    { id: 'top', name: 'Top' },
+    { id: 'center-z', name: 'Centre Z' },
+    { id: 'bottom', name: 'Bottom' },
+  ],
+  distributions: [
+    { id: 'x', name: 'Across (X)' },
+    { id: 'z', name: 'Down (Z)' },
+  ],
+
+  // Pattern tool: copies of one model in a row, a grid or an arc facing a focal point (e.g. the instructor podium)
+  patternTypes: [
+    { id: 'row', name: 'Row' },
+    { id: 'grid', name: 'Grid' },
+    { id: 'arc', name: 'Arc' },
+  ],
+  maxPatternCopies: 200,
+  // Extra space (in meters) added to a model's footprint for the default pattern spacing
+  patternGap: 0.5,
+  patternPreviewColor: 0x3182ce,
+
+  // Snapping while dragging: positions to a grid step (in meters, 0 = off; the default step is the
+  // grid spacing), rotations to an angle step (in degrees, 0 = free). Holding Alt drags freely.
+  gridSnapSteps: [0.1, 0.25, 0.5, 1],
+  defaultGridSnap: false,
+  angleSnapSteps: [0, 15, 45, 90],
+  defaultAngleSnap: 15,
+
+  // Smart guides: a dragged model snaps within this distance (in meters) into line with the edges or
+  // centre of another model, or flush against a parallel wall. Models pushed against a wall can also
+  // turn so their front faces into the room.
+  guideSnapTolerance: 0.1,
+  defaultSmartGuides: true,
+  defaultAutoRotate: true,
+  guideColor: 0xd53f8c,
+
+  // Colours of the warning footprints drawn under overlapping models and under models outside the room
+  collisionWarningColor: 0xe53e3e,
+  outsideWarningColor: 0xdd6b20,
+};
+
+export default placementConfig;
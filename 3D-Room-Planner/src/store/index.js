@@ -8,11 +8,13 @@ const useStore = create((set) => ({
   isGridVisible: true,
   viewMode: '3D', // '2D' or '3D'
   selectedObject: null,
+  selectedObjects: [], // Whole multi-selection; selectedObject is its primary (last picked) model
   
   // Actions
   setGridVisible: (visible) => set({ isGridVisible: visible }),
   setViewMode: (mode) => set({ viewMode: mode }),
   setSelectedObject: (object) => set({ selectedObject: object }),
+  setSelectedObjects: (objects) => set({ selectedObjects: objects }),
   
   // UI state
   isSidePanelOpen: true,
@@ -0,0 +1,130 @@
+// src/three/ClearanceManager.js
+// Safety clearance zones around equipment: translucent floor overlays, flagged when blocked
+
+import * as THREE from 'three';
+import { getLocalFootprint, placeFootprint, footprintOverlap, footprintCorners, getClearanceFootprints, CLEARANCE_SIDES } from './utils/Footprint.js';
+import { polygonContainsPolygon } from './utils/PolygonUtils.js';
+import equipmentConfig from '../config/equipment';
+import placementConfig from '../config/placement';
+
+export class ClearanceManager {
+  constructor(scene) {
+    this.scene = scene;
+    this.visible = true;
+    this.roomPolygon = null; // World {x, z} points of the inner wall faces
+    this.zoneMeshes = new Map(); // Model uuid -> array of zone meshes
+
+    this.zoneGeometry = new THREE.PlaneGeometry(1, 1);
+    this.zoneGeometry.rotateX(-Math.PI / 2);
+    const zoneMaterial = (color, opacity) => new THREE.MeshBasicMaterial({
+      color, transparent: true, opacity, depthWrite: false, side: THREE.DoubleSide
+    });
+    this.clearMaterial = zoneMaterial(0x38a169, 0.18);
+    this.blockedMaterial = zoneMaterial(placementConfig.collisionWarningColor, 0.35);
+
+    // Checked once here rather than on every update, which runs on every drag step
+    Object.entries(equipmentConfig.clearances).forEach(([type, zones]) => {
+      zones.filter(zone => !CLEARANCE_SIDES.includes(zone.side)).forEach(zone => {
+        console.warn(`ClearanceManager: Unknown clearance side for ${type}:`, zone.side);
+      });
+    });
+  }
+
+  setRoomPolygon(points) {
+    this.roomPolygon = points && points.length >= 3 ? points.map(point => ({ x: point.x, z: point.z })) : null;
+  }
+
+  setVisible(visible) {
+    this.visible = !!visible;
+    this.zoneMeshes.forEach(meshes => meshes.forEach(mesh => { mesh.visible = this.visible; }));
+  }
+
+  /**
+   * Places the clearance zones of every model and checks them against the other machines and the walls.
+   * @param {Array<THREE.Object3D>} objects - Placed models; zones come from equipmentConfig.clearances[userData.type].
+   * @param {function(THREE.Object3D): Object|null} [measure] - Local footprint of a model (see getLocalFootprint).
+   * @returns {Array<{object: THREE.Object3D, side: string, reason: 'equipment'|'wall'}>} - Blocked zones.
+   */
+  update(objects, measure = getLocalFootprint) {
+    const footprints = new Map();
+    const locals = new Map();
+    objects.forEach(object => {
+      const local = measure(object);
+      if (!local) return;
+      locals.set(object, local);
+      footprints.set(object, placeFootprint(local, object.position, object.rotation.y));
+    });
+
+    const violations = [];
+    const seen = new Set();
+    locals.forEach((local, object) => {
+      const zones = equipmentConfig.clearances[object.userData.type] || [];
+      if (zones.length === 0) return;
+      seen.add(object.uuid);
+
+      // Each placed zone keeps its side, since zones on an unknown side are left out
+      const placed = getClearanceFootprints(local, zones)
+        .map((zoneLocal, index) => zoneLocal && {
+          side: zones[index].side,
+          zone: placeFootprint(zoneLocal, object.position, object.rotation.y)
+        })
+        .filter(Boolean);
+      const meshes = this.getZoneMeshes(object.uuid, placed.length);
+
+      placed.forEach(({ side, zone }, index) => {
+        let reason = null;
+        for (const [other, otherFootprint] of footprints) {
+          if (other !== object && footprintOverlap(zone, otherFootprint, placementConfig.collisionTolerance)) {
+            reason = 'equipment';
+            break;
+          }
+        }
+        if (!reason && this.roomPolygon && !polygonContainsPolygon(this.roomPolygon, footprintCorners(zone))) {
+          reason = 'wall';
+        }
+        if (reason) violations.push({ object, side, reason });
+
+        const mesh = meshes[index];
+        mesh.material = reason ? this.blockedMaterial : this.clearMaterial;
+        mesh.position.set(zone.x, 0.008, zone.z);
+        mesh.rotation.y = zone.rotationY;
+        mesh.scale.set(zone.halfWidth * 2, 1, zone.halfDepth * 2);
+      });
+    });
+
+    // Models that were removed (or have no zones) lose their overlays
+    [...this.zoneMeshes.keys()].forEach(uuid => {
+      if (!seen.has(uuid)) this.getZoneMeshes(uuid, 0);
+    });
+    return violations;
+  }
+
+  // Returns exactly `count` zone meshes for a model, creating or removing meshes as needed
+  getZoneMeshes(uuid, count) {
+    const meshes = this.zoneMeshes.get(uuid) || [];
+    while (meshes.length > count) this.scene.remove(meshes.pop());
+    while (meshes.length < count) {
+      const mesh = new THREE.Mesh(this.zoneGeometry, this.clearMaterial);
+      mesh.name = 'ClearanceZone';
+      mesh.userData.isEditorHelper = true;
+      mesh.visible = this.visible;
+      mesh.renderOrder = 1;
+      this.scene.add(mesh);
+      meshes.push(mesh);
+    }
+    if (count === 0) this.zoneMeshes.delete(uuid);
+    else this.zoneMeshes.set(uuid, meshes);
+    return meshes;
+  }
+
+  clear() {
+    [...this.zoneMeshes.keys()].forEach(uuid => this.getZoneMeshes(uuid, 0));
+  }
+
+  dispose() {
+    this.clear();
+    this.zoneGeometry.dispose();
+    this.clearMaterial.dispose();
+    this.blockedMaterial.dispose();
+  }
+}
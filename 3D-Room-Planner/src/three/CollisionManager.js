@@ -0,0 +1,258 @@
+// src/three/CollisionManager.js
+// Footprint collisions between placed models and with the room walls: drag constraints and warning overlays
+
+import * as THREE from 'three';
+import { getLocalFootprint, placeFootprint, footprintOverlap, footprintCorners } from './utils/Footprint.js';
+import { polygonContainsPolygon } from './utils/PolygonUtils.js';
+import placementConfig from '../config/placement';
+
+export class CollisionManager {
+  constructor(scene) {
+    this.scene = scene;
+    this.mode = placementConfig.defaultCollisionMode; // 'block', 'slide' or 'allow'
+    this.tolerance = placementConfig.collisionTolerance;
+    this.warningMeshes = new Map(); // Model uuid -> red footprint mesh
+    this.roomPolygon = null; // World {x, z} points of the inner wall faces; null while there is no room
+    this.wallOffset = placementConfig.wallOffset; // Minimum distance between a footprint and the walls
+    this.outsideMeshes = new Map(); // Model uuid -> orange footprint mesh for models outside the room
+    this.localFootprints = null; // Model -> local footprint, measured once while a drag is under way
+
+    // Warning footprints share one unit plane, scaled per model
+    this.warningGeometry = new THREE.PlaneGeometry(1, 1);
+    this.warningGeometry.rotateX(-Math.PI / 2);
+    this.warningMaterial = new THREE.MeshBasicMaterial({
+      color: placementConfig.collisionWarningColor,
+      transparent: true,
+      opacity: 0.4,
+      depthWrite: false,
+      side: THREE.DoubleSide
+    });
+    this.outsideMaterial = this.warningMaterial.clone();
+    this.outsideMaterial.color.setHex(placementConfig.outsideWarningColor);
+  }
+
+  setMode(mode) {
+    if (!placementConfig.collisionModes.some(entry => entry.id === mode)) {
+      console.warn("CollisionManager: Unknown collision mode:", mode);
+      return;
+    }
+    this.mode = mode;
+  }
+
+  setRoomPolygon(points) {
+    this.roomPolygon = points && points.length >= 3 ? points.map(point => ({ x: point.x, z: point.z })) : null;
+  }
+
+  setWallOffset(offset) {
+    this.wallOffset = Math.max(0, Number(offset) || 0);
+  }
+
+  /**
+   * Measures the models once at the start of a drag. A drag only moves and turns models, which leaves their
+   * local footprints unchanged, so every drag step reuses these instead of walking each model's meshes again.
+   * @param {Array<THREE.Object3D>} objects - All placed models.
+   */
+  cacheFootprints(objects) {
+    this.localFootprints = new Map(objects.map(object => [object, getLocalFootprint(object)]));
+  }
+
+  clearFootprintCache() {
+    this.localFootprints = null;
+  }
+
+  // Local footprint of a model, from the drag's cache when it holds the model
+  getLocalFootprint(object) {
+    if (this.localFootprints && this.localFootprints.has(object)) return this.localFootprints.get(object);
+    return getLocalFootprint(object);
+  }
+
+  // True if a local footprint, grown by the wall offset, fits inside the room at this position
+  footprintFitsRoom(local, position, rotationY) {
+    if (!this.roomPolygon || !local) return true;
+    const grown = {
+      ...local,
+      halfWidth: local.halfWidth + this.wallOffset,
+      halfDepth: local.halfDepth + this.wallOffset
+    };
+    return polygonContainsPolygon(this.roomPolygon, footprintCorners(placeFootprint(grown, position, rotationY)));
+  }
+
+  /**
+   * Tests whether a model (at its current or another position) keeps its distance from the walls.
+   * @param {THREE.Object3D} object
+   * @param {{x: number, z: number}} [position]
+   * @returns {boolean}
+   */
+  isInsideRoom(object, position = object.position) {
+    return this.footprintFitsRoom(this.getLocalFootprint(object), position, object.rotation.y);
+  }
+
+  /**
+   * Keeps a drag step inside the room. Tries sliding along X or Z first (so the model glides along a wall),
+   * then the furthest point towards the pointer. Models already outside move freely so they can be brought back.
+   * @returns {THREE.Vector3}
+   */
+  constrainToRoom(object, proposed, current) {
+    const local = this.getLocalFootprint(object);
+    const rotationY = object.rotation.y;
+    const fits = (position) => this.footprintFitsRoom(local, position, rotationY);
+    if (fits(proposed) || !fits(current)) return proposed;
+
+    const slides = [
+      new THREE.Vector3(proposed.x, proposed.y, current.z),
+      new THREE.Vector3(current.x, proposed.y, proposed.z)
+    ].filter(fits);
+    if (slides.length > 0) {
+      return slides.reduce((a, b) => (a.distanceToSquared(proposed) <= b.distanceToSquared(proposed) ? a : b));
+    }
+
+    // Binary search for the last position along current -> proposed that still fits
+    let low = 0;
+    let high = 1;
+    const candidate = new THREE.Vector3();
+    for (let i = 0; i < 10; i++) {
+      const mid = (low + high) / 2;
+      if (fits(candidate.lerpVectors(current, proposed, mid))) low = mid;
+      else high = mid;
+    }
+    return candidate.lerpVectors(current, proposed, low).clone();
+  }
+
+  /**
+   * Lists the models whose footprints overlap `object` if it stood at `position`.
+   * @param {THREE.Object3D} object
+   * @param {{x: number, z: number}} position
+   * @param {Array<THREE.Object3D>} objects - All placed models (the object itself is skipped).
+   * @returns {Array<{object: THREE.Object3D, depth: number, normal: {x: number, z: number}}>}
+   */
+  findCollisions(object, position, objects) {
+    const local = this.getLocalFootprint(object);
+    if (!local) return [];
+    const footprint = placeFootprint(local, position, object.rotation.y);
+
+    const collisions = [];
+    objects.forEach(other => {
+      if (other === object) return;
+      const otherLocal = this.getLocalFootprint(other);
+      if (!otherLocal) return;
+      const overlap = footprintOverlap(footprint, placeFootprint(otherLocal, other.position, other.rotation.y), this.tolerance);
+      if (overlap) collisions.push({ object: other, ...overlap });
+    });
+    return collisions;
+  }
+
+  /**
+   * Applies the room walls and the collision mode to a drag step.
+   * @param {THREE.Object3D} object - Model being dragged.
+   * @param {THREE.Vector3} proposed - Position under the pointer.
+   * @param {THREE.Vector3} current - Position before this step.
+   * @param {Array<THREE.Object3D>} objects - All placed models.
+   * @returns {THREE.Vector3} - Position to use.
+   */
+  constrainPosition(object, proposed, current, objects) {
+    const inRoom = this.constrainToRoom(object, proposed, current);
+    const position = this.constrainAgainstModels(object, inRoom, current, objects);
+    // Sliding off another machine must not push the model through a wall
+    if (position !== inRoom && !this.isInsideRoom(object, position) && this.isInsideRoom(object, current)) {
+      return current.clone();
+    }
+    return position;
+  }
+
+  // Models that already overlap at the current position never block, so an overlapping pair can be pulled apart
+  constrainAgainstModels(object, proposed, current, objects) {
+    if (this.mode === 'allow') return proposed;
+
+    const alreadyOverlapping = new Set(this.findCollisions(object, current, objects).map(hit => hit.object));
+    const blockingAt = (position) => this.findCollisions(object, position, objects)
+      .filter(hit => !alreadyOverlapping.has(hit.object));
+
+    let hits = blockingAt(proposed);
+    if (hits.length === 0) return proposed;
+
+    if (this.mode === 'slide') {
+      // Push out along the shallowest axis of the deepest overlap, which leaves the motion along the obstacle's side
+      const position = proposed.clone();
+      for (let attempt = 0; attempt < 4 && hits.length > 0; attempt++) {
+        const deepest = hits.reduce((a, b) => (b.depth > a.depth ? b : a));
+        position.x += deepest.normal.x * (deepest.depth - this.tolerance / 2);
+        position.z += deepest.normal.z * (deepest.depth - this.tolerance / 2);
+        hits = blockingAt(position);
+      }
+      if (hits.length === 0) return position;
+    }
+    return current.clone();
+  }
+
+  /**
+   * Redraws the warning footprints: red under models that overlap another one,
+   * orange under models that are outside the room or too close to a wall.
+   * @param {Array<THREE.Object3D>} objects
+   * @returns {{overlapping: Set<THREE.Object3D>, outside: Set<THREE.Object3D>}}
+   */
+  updateWarnings(objects) {
+    const footprints = new Map();
+    const outside = new Set();
+    objects.forEach(object => {
+      const local = this.getLocalFootprint(object);
+      if (!local) return;
+      footprints.set(object, placeFootprint(local, object.position, object.rotation.y));
+      if (!this.footprintFitsRoom(local, object.position, object.rotation.y)) outside.add(object);
+    });
+
+    const overlapping = new Set();
+    const entries = [...footprints.entries()];
+    for (let i = 0; i < entries.length; i++) {
+      for (let j = i + 1; j < entries.length; j++) {
+        if (footprintOverlap(entries[i][1], entries[j][1], this.tolerance)) {
+          overlapping.add(entries[i][0]);
+          overlapping.add(entries[j][0]);
+        }
+      }
+    }
+
+    this.syncWarningMeshes(this.warningMeshes, overlapping, footprints, this.warningMaterial, 0.01);
+    this.syncWarningMeshes(this.outsideMeshes, outside, footprints, this.outsideMaterial, 0.012);
+    return { overlapping, outside };
+  }
+
+  // Drops warnings of models that are clear (or gone), then adds/updates the rest
+  syncWarningMeshes(meshes, flagged, footprints, material, height) {
+    const flaggedIds = new Set([...flagged].map(object => object.uuid));
+    meshes.forEach((mesh, uuid) => {
+      if (!flaggedIds.has(uuid)) {
+        this.scene.remove(mesh);
+        meshes.delete(uuid);
+      }
+    });
+    flagged.forEach(object => {
+      let mesh = meshes.get(object.uuid);
+      if (!mesh) {
+        mesh = new THREE.Mesh(this.warningGeometry, material);
+        mesh.name = 'PlacementWarning';
+        mesh.userData.isEditorHelper = true;
+        mesh.renderOrder = 1;
+        this.scene.add(mesh);
+        meshes.set(object.uuid, mesh);
+      }
+      const footprint = footprints.get(object);
+      mesh.position.set(footprint.x, height, footprint.z);
+      mesh.rotation.y = footprint.rotationY;
+      mesh.scale.set(footprint.halfWidth * 2, 1, footprint.halfDepth * 2);
+    });
+  }
+
+  clearWarnings() {
+    [this.warningMeshes, this.outsideMeshes].forEach(meshes => {
+      meshes.forEach(mesh => this.scene.remove(mesh));
+      meshes.clear();
+    });
+  }
+
+  dispose() {
+    this.clearWarnings();
+    this.warningGeometry.dispose();
+    this.warningMaterial.dispose();
+    this.outsideMaterial.dispose();
+  }
+}
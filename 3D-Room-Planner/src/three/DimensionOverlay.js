@@ -0,0 +1,111 @@
+// src/three/DimensionOverlay.js
+// Width, depth and height dimension lines around the selected model
+
+import * as THREE from 'three';
+import { computeModelBounds, getLocalFootprint } from './utils/Footprint.js';
+import { updateLabel, disposeLabelSprite } from './utils/LabelSprite.js';
+
+const LINE_GAP = 0.2; // Distance between the footprint and the dimension lines
+const TICK_SIZE = 0.08; // Half length of the end ticks
+const LINE_HEIGHT = 0.02; // Floor lines sit just above the floor
+
+export class DimensionOverlay {
+  constructor(scene) {
+    this.scene = scene;
+    this.target = null; // Model being measured
+    this.labels = {}; // 'width' | 'depth' | 'height' -> {sprite, text}
+
+    // The group follows the model's position and Y rotation, so lines are built in the model's own frame
+    this.group = new THREE.Group();
+    this.group.name = 'DimensionOverlay';
+    this.group.userData.isEditorHelper = true;
+    this.group.visible = false;
+    this.scene.add(this.group);
+
+    this.lineMaterial = new THREE.LineBasicMaterial({ color: 0x2b6cb0, depthTest: false, transparent: true });
+    this.lines = new THREE.LineSegments(new THREE.BufferGeometry(), this.lineMaterial);
+    this.lines.renderOrder = 2;
+    this.group.add(this.lines);
+  }
+
+  show(object) {
+    this.target = object;
+    this.update();
+  }
+
+  hide() {
+    this.target = null;
+    this.group.visible = false;
+  }
+
+  /**
+   * Re-measures the target and moves the lines and labels to it. Hides the overlay if the target is gone.
+   */
+  update() {
+    const object = this.target;
+    const local = object && object.parent ? getLocalFootprint(object) : null;
+    if (!local) {
+      this.hide();
+      return;
+    }
+
+    const bounds = computeModelBounds(object);
+    const width = local.halfWidth * 2;
+    const depth = local.halfDepth * 2;
+    const height = bounds.max.y - bounds.min.y;
+
+    this.group.position.set(object.position.x, bounds.min.y, object.position.z);
+    this.group.rotation.set(0, object.rotation.y, 0);
+
+    const minX = local.offsetX - local.halfWidth;
+    const maxX = local.offsetX + local.halfWidth;
+    const minZ = local.offsetZ - local.halfDepth;
+    const maxZ = local.offsetZ + local.halfDepth;
+    const frontZ = maxZ + LINE_GAP; // Width line in front of the model
+    const sideX = maxX + LINE_GAP; // Depth line on its right
+    const y = LINE_HEIGHT;
+
+    const segments = [
+      // Width, with ticks across the line
+      [minX, y, frontZ, maxX, y, frontZ],
+      [minX, y, frontZ - TICK_SIZE, minX, y, frontZ + TICK_SIZE],
+      [maxX, y, frontZ - TICK_SIZE, maxX, y, frontZ + TICK_SIZE],
+      // Depth
+      [sideX, y, minZ, sideX, y, maxZ],
+      [sideX - TICK_SIZE, y, minZ, sideX + TICK_SIZE, y, minZ],
+      [sideX - TICK_SIZE, y, maxZ, sideX + TICK_SIZE, y, maxZ],
+      // Height, standing at the front right corner
+      [sideX, 0, frontZ, sideX, height, frontZ],
+      [sideX - TICK_SIZE, height, frontZ, sideX + TICK_SIZE, height, frontZ]
+    ];
+    this.lines.geometry.setAttribute('position', new THREE.Float32BufferAttribute(segments.flat(), 3));
+    this.lines.geometry.computeBoundingSphere();
+
+    this.setLabel('width', width, new THREE.Vector3(local.offsetX, y + 0.05, frontZ));
+    this.setLabel('depth', depth, new THREE.Vector3(sideX, y + 0.05, local.offsetZ));
+    this.setLabel('height', height, new THREE.Vector3(sideX, height / 2, frontZ));
+
+    this.group.visible = true;
+  }
+
+  setLabel(key, value, position) {
+    const label = updateLabel(this.group, this.labels[key], `${value.toFixed(2)} m`, {
+      textColor: '#1a365d',
+      backgroundColor: 'rgba(255, 255, 255, 0.8)',
+      canvasWidth: 80,
+      canvasHeight: 28
+    });
+    label.sprite.name = `Dimension_${key}`;
+    label.sprite.position.copy(position);
+    this.labels[key] = label;
+  }
+
+  dispose() {
+    this.hide();
+    Object.values(this.labels).forEach(label => disposeLabelSprite(label.sprite));
+    this.labels = {};
+    this.lines.geometry.dispose();
+    this.lineMaterial.dispose();
+    this.scene.remove(this.group);
+  }
+}
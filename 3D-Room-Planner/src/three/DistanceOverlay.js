@@ -0,0 +1,136 @@
+// src/three/DistanceOverlay.js
+// Distance lines from the selected model to the walls around it and to its nearest neighbour
+
+import * as THREE from 'three';
+import { getLocalFootprint, placeFootprint } from './utils/Footprint.js';
+import { measureWallDistances, measureNearestNeighbour } from './utils/Distances.js';
+import { updateLabel, disposeLabelSprite } from './utils/LabelSprite.js';
+
+const TICK_SIZE = 0.06; // Half length of the end ticks
+const LINE_HEIGHT = 0.025; // Just above the dimension overlay's floor lines
+
+export class DistanceOverlay {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {function(): {objects: Array<THREE.Object3D>, roomPolygon: Array<{x: number, z: number}>|null}} getSurroundings
+   *   Called on every update for the models and walls to measure against.
+   * @param {function(THREE.Object3D): Object|null} [measure] - Local footprint of a model (see getLocalFootprint).
+   */
+  constructor(scene, getSurroundings, measure = getLocalFootprint) {
+    this.scene = scene;
+    this.getSurroundings = getSurroundings;
+    this.measure = measure;
+    this.target = null; // Model being measured
+    this.labels = {}; // 'front' | 'back' | 'left' | 'right' | 'neighbour' -> {sprite, text}
+
+    // Lines are built in world space, so the group itself never moves
+    this.group = new THREE.Group();
+    this.group.name = 'DistanceOverlay';
+    this.group.userData.isEditorHelper = true;
+    this.group.visible = false;
+    this.scene.add(this.group);
+
+    this.wallMaterial = new THREE.LineBasicMaterial({ color: 0x2f855a, depthTest: false, transparent: true });
+    this.neighbourMaterial = new THREE.LineBasicMaterial({ color: 0xb7791f, depthTest: false, transparent: true });
+    this.wallLines = new THREE.LineSegments(new THREE.BufferGeometry(), this.wallMaterial);
+    this.neighbourLines = new THREE.LineSegments(new THREE.BufferGeometry(), this.neighbourMaterial);
+    [this.wallLines, this.neighbourLines].forEach(lines => {
+      lines.renderOrder = 2;
+      this.group.add(lines);
+    });
+  }
+
+  show(object) {
+    this.target = object;
+    this.update();
+  }
+
+  hide() {
+    this.target = null;
+    this.group.visible = false;
+  }
+
+  /**
+   * Re-measures from the target's current footprint. Hides the overlay if the target is gone.
+   */
+  update() {
+    const object = this.target;
+    const footprint = object && object.parent ? this.getFootprint(object) : null;
+    if (!footprint) {
+      this.hide();
+      return;
+    }
+
+    const { objects = [], roomPolygon = null } = this.getSurroundings() || {};
+    const others = objects
+      .filter(other => other !== object && other.parent)
+      .map(other => this.getFootprint(other))
+      .filter(Boolean);
+    const walls = measureWallDistances(footprint, roomPolygon);
+    const neighbour = measureNearestNeighbour(footprint, others);
+
+    this.setLines(this.wallLines, walls);
+    this.setLines(this.neighbourLines, neighbour ? [neighbour] : []);
+
+    const shown = new Set();
+    walls.forEach(measure => {
+      this.setLabel(measure.side, measure, '#22543d');
+      shown.add(measure.side);
+    });
+    if (neighbour) {
+      this.setLabel('neighbour', neighbour, '#744210');
+      shown.add('neighbour');
+    }
+    Object.entries(this.labels).forEach(([key, label]) => {
+      label.sprite.visible = shown.has(key);
+    });
+
+    this.group.visible = true;
+  }
+
+  getFootprint(object) {
+    const local = this.measure(object);
+    return local ? placeFootprint(local, object.position, object.rotation.y) : null;
+  }
+
+  // One line per measure, with ticks across both ends
+  setLines(lines, measures) {
+    const positions = [];
+    const y = LINE_HEIGHT;
+    measures.forEach(({ from, to, distance }) => {
+      if (distance < 1e-6) return; // Touching: only the label is left
+      const tickX = (-(to.z - from.z) / distance) * TICK_SIZE;
+      const tickZ = ((to.x - from.x) / distance) * TICK_SIZE;
+      positions.push(
+        from.x, y, from.z, to.x, y, to.z,
+        from.x - tickX, y, from.z - tickZ, from.x + tickX, y, from.z + tickZ,
+        to.x - tickX, y, to.z - tickZ, to.x + tickX, y, to.z + tickZ
+      );
+    });
+    lines.geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    lines.geometry.computeBoundingSphere();
+  }
+
+  setLabel(key, measure, textColor) {
+    const label = updateLabel(this.group, this.labels[key], `${measure.distance.toFixed(2)} m`, {
+      textColor,
+      backgroundColor: 'rgba(255, 255, 255, 0.8)',
+      canvasWidth: 80,
+      canvasHeight: 28
+    });
+    label.sprite.name = `Distance_${key}`;
+    this.labels[key] = label;
+    label.sprite.position.set((measure.from.x + measure.to.x) / 2, LINE_HEIGHT + 0.05, (measure.from.z + measure.to.z) / 2);
+  }
+
+  dispose() {
+    this.hide();
+    Object.values(this.labels).forEach(label => disposeLabelSprite(label.sprite));
+    this.labels = {};
+    this.wallLines.geometry.dispose();
+    this.neighbourLines.geometry.dispose();
+    this.wallMaterial.dispose();
+    this.neighbourMaterial.dispose();
+    this.scene.remove(this.group);
+  }
+}
@@ -1,6 +1,8 @@
 // src/three/FloorDimensionEditor.js
 import * as THREE from 'three';
 import { DragControls } from 'three/examples/jsm/controls/DragControls.js';
+import { validatePolygon } from './utils/PolygonUtils';
+import { createLabelSprite } from './utils/LabelSprite';
 
 export class FloorDimensionEditor {
   constructor(scene, camera, renderer, orbitControls) {
@@ -12,10 +14,19 @@ export class FloorDimensionEditor {
     this.points = []; // Array of {x, z} points
     this.handles = []; // Array of THREE.Mesh (draggable spheres)
     this.edgeLabels = []; // Array of THREE.Sprite (dimension labels)
+    this.midpointHandles = []; // Array of THREE.Mesh at edge midpoints, click to insert a vertex
+    this.midpointGeometry = null; // Shared by the midpoint handles
+    this.midpointMaterial = null;
     this.floorMesh = null; // THREE.Mesh for the editable floor representation
     this.dragControls = null;
     this.isActive = true;
     this.onPointsUpdated = null; // Callback: (updatedPoints) => void
+    this.onValidationChanged = null; // Callback: (validation) => void, see validatePolygon
+    this.validation = { valid: true, issues: [], invalidEdges: [] };
+    this.edgeLines = null; // THREE.LineSegments outlining the edges, invalid ones in red
+    this.angleSnap = 0; // Corner lock while dragging, in degrees: 0 (off), 90 or 45
+    this.lengthInput = null; // HTML input shown over an edge label while typing an exact length
+    this.raycaster = new THREE.Raycaster();
 
     this.labelStyle = {
       font: '12px', // Increased font size (e.g., from 14px or 18px)
@@ -32,6 +43,8 @@ export class FloorDimensionEditor {
     this._onDragStart = this._onDragStart.bind(this);
     this._onDrag = this._onDrag.bind(this);
     this._onDragEnd = this._onDragEnd.bind(this);
+    this._onPointerDown = this._onPointerDown.bind(this);
+    this._onContextMenu = this._onContextMenu.bind(this);
   }
 
   initEditor(initialPoints, onUpdateCallback) {
@@ -44,29 +57,28 @@ export class FloorDimensionEditor {
     this.points = initialPoints.map(p => ({ ...p })); // Store a copy
     this.onPointsUpdated = onUpdateCallback;
 
+    this._validate();
     this._createFloorMesh();
     this._createHandles();
     this._createEdgeLabels();
+    this._createEdgeLines();
+    this._createMidpointHandles();
     this._enableDragging();
+    this.renderer.domElement.addEventListener('pointerdown', this._onPointerDown);
+    this.renderer.domElement.addEventListener('contextmenu', this._onContextMenu);
     this.isActive = true;
     console.log("FloorDimensionEditor activated with points:", JSON.stringify(this.points));
   }
 
   clearEditor() {
-    if (this.dragControls) {
-      this.dragControls.removeEventListener('dragstart', this._onDragStart);
-      this.dragControls.removeEventListener('drag', this._onDrag);
-      this.dragControls.removeEventListener('dragend', this._onDragEnd);
-      this.dragControls.dispose();
-      this.dragControls = null;
+    this._closeLengthInput(false);
+    if (this.renderer && this.renderer.domElement) {
+      this.renderer.domElement.removeEventListener('pointerdown', this._onPointerDown);
+      this.renderer.domElement.removeEventListener('contextmenu', this._onContextMenu);
     }
-
-    this.handles.forEach(handle => {
-      if (handle.geometry) handle.geometry.dispose();
-      if (handle.material) handle.material.dispose();
-      if (handle.parent) handle.parent.remove(handle);
-    });
-    this.handles = [];
+    this._removeHandles();
+    this._removeMidpointHandles();
+    this._removeEdgeLines();
 
     this.edgeLabels.forEach(label => {
       if (label.material.map) label.material.map.dispose();
@@ -82,6 +94,7 @@ export class FloorDimensionEditor {
       this.floorMesh = null;
     }
     this.points = [];
+    this.validation = { valid: true, issues: [], invalidEdges: [] };
     this.isActive = false;
     this.onPointsUpdated = null; // Clear callback
     console.log("FloorDimensionEditor deactivated and cleared.");
@@ -103,12 +116,20 @@ export class FloorDimensionEditor {
 
     // Keep handle on the XZ plane at the defined yPosition
     handle.position.y = this.labelStyle.yPosition;
+    if (this.angleSnap > 0) {
+      const locked = this._lockCorners(index, { x: handle.position.x, z: handle.position.z });
+      handle.position.x = locked.x;
+      handle.position.z = locked.z;
+    }
     
     this.points[index].x = handle.position.x;
     this.points[index].z = handle.position.z;
     
+    this._validate();
     this._updateFloorGeometry();
     this._updateEdgeLabels(); // Update positions and text of existing labels
+    this._createEdgeLines();
+    this._updateMidpointHandles();
   }
 
   _onDragEnd(event) {
@@ -119,9 +140,338 @@ export class FloorDimensionEditor {
         event.object.material.color.setHex(0x28a745); // Reset to original handle color
     }
 
+    this._commitPoints();
+  }
+
+  /**
+   * Sets the corner lock used while dragging handles.
+   * @param {number} degrees - 90 or 45 to lock corners to multiples of that angle, 0 to drag freely.
+   */
+  setAngleSnap(degrees) {
+    this.angleSnap = degrees === 90 || degrees === 45 ? degrees : 0;
+  }
+
+  /**
+   * Sets the exact length of an edge by moving its end vertex along the edge direction.
+   * The change is reported through onPointsUpdated like a drag.
+   * @param {number} edgeIndex - Edge from points[edgeIndex] to points[edgeIndex + 1].
+   * @param {number} length - New length in meters.
+   */
+  setEdgeLength(edgeIndex, length) {
+    if (!this.isActive || !(length > 0.01)) return;
+    const start = this.points[edgeIndex];
+    const endIndex = (edgeIndex + 1) % this.points.length;
+    const end = this.points[endIndex];
+    const currentLength = Math.hypot(end.x - start.x, end.z - start.z);
+    if (currentLength < 0.001) return;
+
+    end.x = start.x + (end.x - start.x) / currentLength * length;
+    end.z = start.z + (end.z - start.z) / currentLength * length;
+    if (this.handles[endIndex]) this.handles[endIndex].position.set(end.x, this.labelStyle.yPosition, end.z);
+
+    this._validate();
+    this._updateFloorGeometry();
+    this._updateEdgeLabels();
+    this._createEdgeLines();
+    this._updateMidpointHandles();
+    this._commitPoints();
+  }
+
+  /**
+   * Inserts a new vertex in the middle of an edge (e.g. to start an alcove or pillar).
+   * @param {number} edgeIndex - Edge from points[edgeIndex] to points[edgeIndex + 1].
+   */
+  insertVertex(edgeIndex) {
+    if (!this.isActive || edgeIndex < 0 || edgeIndex >= this.points.length) return;
+    const start = this.points[edgeIndex];
+    const end = this.points[(edgeIndex + 1) % this.points.length];
+    this.points.splice(edgeIndex + 1, 0, { x: (start.x + end.x) / 2, z: (start.z + end.z) / 2 });
+    this._onVertexCountChanged();
+  }
+
+  /**
+   * Removes a vertex; the polygon always keeps at least 3 points.
+   * @param {number} vertexIndex
+   * @returns {boolean} - True if the vertex was removed.
+   */
+  removeVertex(vertexIndex) {
+    if (!this.isActive || this.points.length <= 3 || vertexIndex < 0 || vertexIndex >= this.points.length) {
+      return false;
+    }
+    this.points.splice(vertexIndex, 1);
+    this._onVertexCountChanged();
+    return true;
+  }
+
+  // Handles are indexed by vertex, so they are rebuilt whenever the point count changes.
+  // Winding is left alone: Room.buildFromPolygon normalizes it when the points come back.
+  _onVertexCountChanged() {
+    this._closeLengthInput(false);
+    this._removeHandles();
+    this._createHandles();
+    this._enableDragging();
+    this._validate();
+    this._updateFloorGeometry();
+    this._updateEdgeLabels();
+    this._createEdgeLines();
+    this._createMidpointHandles();
+    this._commitPoints();
+  }
+
+  /**
+   * Sends a copy of the points to onPointsUpdated, unless the polygon is invalid.
+   * An invalid shape stays in the editor (highlighted) until the user fixes it.
+   * @returns {boolean} - True if the points were committed.
+   */
+  _commitPoints() {
+    if (!this.validation.valid) {
+      console.warn("FloorDimensionEditor: Shape not applied:", this.validation.issues.map(issue => issue.message).join(' '));
+      return false;
+    }
     if (this.onPointsUpdated) {
-      this.onPointsUpdated(this.points.map(p => ({...p}))); // Send a copy of updated points
+      this.onPointsUpdated(this.points.map(p => ({...p})));
+    }
+    return true;
+  }
+
+  _validate() {
+    const previous = this.validation;
+    this.validation = validatePolygon(this.points);
+    const changed = previous.valid !== this.validation.valid ||
+      previous.issues.map(issue => issue.message).join() !== this.validation.issues.map(issue => issue.message).join();
+    if (changed && this.onValidationChanged) {
+      this.onValidationChanged(this.validation);
+    }
+  }
+
+  _removeEdgeLines() {
+    if (!this.edgeLines) return;
+    this.edgeLines.geometry.dispose();
+    this.edgeLines.material.dispose();
+    if (this.edgeLines.parent) this.edgeLines.parent.remove(this.edgeLines);
+    this.edgeLines = null;
+  }
+
+  _createEdgeLines() {
+    this._removeEdgeLines();
+    const positions = [];
+    const colors = [];
+    const validColor = new THREE.Color(0x007bff);
+    const invalidColor = new THREE.Color(0xff2020);
+    const y = this.labelStyle.yPosition;
+
+    for (let i = 0; i < this.points.length; i++) {
+      const p1 = this.points[i];
+      const p2 = this.points[(i + 1) % this.points.length];
+      const color = this.validation.invalidEdges.includes(i) ? invalidColor : validColor;
+      positions.push(p1.x, y, p1.z, p2.x, y, p2.z);
+      colors.push(color.r, color.g, color.b, color.r, color.g, color.b);
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+    this.edgeLines = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ vertexColors: true, depthTest: false }));
+    this.edgeLines.renderOrder = 1;
+    this.scene.add(this.edgeLines);
+  }
+
+  // Rotates `direction` so its angle to `reference` becomes the nearest multiple of the corner lock
+  _snapDirection(direction, reference) {
+    const step = THREE.MathUtils.degToRad(this.angleSnap);
+    const referenceAngle = Math.atan2(reference.z, reference.x);
+    const relativeAngle = Math.atan2(direction.z, direction.x) - referenceAngle;
+    const snappedAngle = referenceAngle + Math.round(relativeAngle / step) * step;
+    return { x: Math.cos(snappedAngle), z: Math.sin(snappedAngle) };
+  }
+
+  /**
+   * Moves a dragged vertex so the corners at both neighbours are multiples of the corner lock.
+   * Each neighbour keeps its other edge; the new position is where the two snapped edges meet.
+   * If they do not meet sensibly, only the corner at the previous vertex is locked.
+   */
+  _lockCorners(index, rawPosition) {
+    const count = this.points.length;
+    const previous = this.points[(index - 1 + count) % count];
+    const beforePrevious = this.points[(index - 2 + count) % count];
+    const next = this.points[(index + 1) % count];
+    const afterNext = this.points[(index + 2) % count];
+
+    const normalize = (v) => {
+      const length = Math.hypot(v.x, v.z);
+      return length < 1e-6 ? null : { x: v.x / length, z: v.z / length };
+    };
+    const previousReference = normalize({ x: previous.x - beforePrevious.x, z: previous.z - beforePrevious.z });
+    const nextReference = normalize({ x: next.x - afterNext.x, z: next.z - afterNext.z });
+    const towardsFromPrevious = normalize({ x: rawPosition.x - previous.x, z: rawPosition.z - previous.z });
+    const towardsFromNext = normalize({ x: rawPosition.x - next.x, z: rawPosition.z - next.z });
+    if (!previousReference || !towardsFromPrevious) return rawPosition;
+
+    const d1 = this._snapDirection(towardsFromPrevious, previousReference);
+    // Fallback: project onto the snapped edge from the previous vertex
+    const along = Math.max(0, (rawPosition.x - previous.x) * d1.x + (rawPosition.z - previous.z) * d1.z);
+    const projected = { x: previous.x + d1.x * along, z: previous.z + d1.z * along };
+    if (!nextReference || !towardsFromNext) return projected;
+
+    // Intersect previous + s * d1 with next + t * d2
+    const d2 = this._snapDirection(towardsFromNext, nextReference);
+    const denominator = d1.x * d2.z - d1.z * d2.x;
+    if (Math.abs(denominator) < 1e-6) return projected;
+    const s = ((next.x - previous.x) * d2.z - (next.z - previous.z) * d2.x) / denominator;
+    const t = ((next.x - previous.x) * d1.z - (next.z - previous.z) * d1.x) / denominator;
+    const intersection = { x: previous.x + d1.x * s, z: previous.z + d1.z * s };
+    const distanceFromPointer = Math.hypot(intersection.x - rawPosition.x, intersection.z - rawPosition.z);
+    if (s <= 0 || t <= 0 || distanceFromPointer > 1.0) return projected;
+    return intersection;
+  }
+
+  _pickObject(event, objects) {
+    if (!objects.length) return null;
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    this.raycaster.setFromCamera(pointer, this.camera);
+    const hit = this.raycaster.intersectObjects(objects, false)[0];
+    return hit ? hit.object : null;
+  }
+
+  // Clicking a dimension label opens an input to type the exact edge length,
+  // clicking an edge midpoint inserts a vertex there
+  _onPointerDown(event) {
+    if (event.button !== 0) return;
+    const label = this._pickObject(event, this.edgeLabels);
+    if (label) {
+      event.stopPropagation();
+      this._openLengthInput(label.userData.edgeIndex);
+      return;
+    }
+    const midpoint = this._pickObject(event, this.midpointHandles);
+    if (midpoint) {
+      event.stopPropagation();
+      this.insertVertex(midpoint.userData.edgeIndex);
+    }
+  }
+
+  // Right-clicking a corner handle removes that vertex
+  _onContextMenu(event) {
+    const handle = this._pickObject(event, this.handles);
+    if (!handle) return;
+    event.preventDefault();
+    if (!this.removeVertex(handle.userData.vertexIndex)) {
+      console.warn("FloorDimensionEditor: A room needs at least 3 corners.");
+    }
+  }
+
+  _openLengthInput(edgeIndex) {
+    this._closeLengthInput(false);
+    const container = this.renderer.domElement.parentElement;
+    const label = this.edgeLabels[edgeIndex];
+    if (!container || !label) return;
+
+    const start = this.points[edgeIndex];
+    const end = this.points[(edgeIndex + 1) % this.points.length];
+    const screen = label.position.clone().project(this.camera);
+    const rect = this.renderer.domElement.getBoundingClientRect();
+
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.step = '0.01';
+    input.min = '0.01';
+    input.className = 'floor-edge-input';
+    input.value = Math.hypot(end.x - start.x, end.z - start.z).toFixed(2);
+    input.title = 'Edge length (m) - Enter to apply, Esc to cancel';
+    input.style.left = `${((screen.x + 1) / 2) * rect.width}px`;
+    input.style.top = `${((1 - screen.y) / 2) * rect.height}px`;
+    input.dataset.edgeIndex = edgeIndex;
+    input.addEventListener('keydown', (keyEvent) => {
+      keyEvent.stopPropagation(); // Keep Delete/Backspace away from the global shortcuts
+      if (keyEvent.key === 'Enter') this._closeLengthInput(true);
+      if (keyEvent.key === 'Escape') this._closeLengthInput(false);
+    });
+    input.addEventListener('blur', () => this._closeLengthInput(true));
+
+    container.appendChild(input);
+    this.lengthInput = input;
+    input.focus();
+    input.select();
+  }
+
+  _closeLengthInput(apply) {
+    const input = this.lengthInput;
+    if (!input) return;
+    this.lengthInput = null; // Cleared first: removing a focused input fires blur again
+    if (input.parentElement) input.parentElement.removeChild(input);
+    if (apply) {
+      const length = parseFloat(input.value);
+      if (Number.isFinite(length)) this.setEdgeLength(Number(input.dataset.edgeIndex), length);
+    }
+  }
+
+  _removeHandles() {
+    if (this.dragControls) {
+      this.dragControls.removeEventListener('dragstart', this._onDragStart);
+      this.dragControls.removeEventListener('drag', this._onDrag);
+      this.dragControls.removeEventListener('dragend', this._onDragEnd);
+      this.dragControls.dispose();
+      this.dragControls = null;
     }
+
+    this.handles.forEach(handle => {
+      if (handle.geometry) handle.geometry.dispose();
+      if (handle.material) handle.material.dispose();
+      if (handle.parent) handle.parent.remove(handle);
+    });
+    this.handles = [];
+  }
+
+  // The midpoint handles share one geometry and material, freed here once
+  _removeMidpointHandles() {
+    this.midpointHandles.forEach(handle => {
+      if (handle.parent) handle.parent.remove(handle);
+    });
+    this.midpointHandles = [];
+    if (this.midpointGeometry) this.midpointGeometry.dispose();
+    if (this.midpointMaterial) this.midpointMaterial.dispose();
+    this.midpointGeometry = null;
+    this.midpointMaterial = null;
+  }
+
+  // One handle per edge, so they are only rebuilt when the point count changes; drags just move them
+  _createMidpointHandles() {
+    this._removeMidpointHandles();
+    this.midpointGeometry = new THREE.SphereGeometry(0.05, 12, 12);
+    this.midpointMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff, depthTest: false, transparent: true, opacity: 0.7 });
+
+    for (let i = 0; i < this.points.length; i++) {
+      const handle = new THREE.Mesh(this.midpointGeometry, this.midpointMaterial);
+      handle.userData = { edgeIndex: i, isFloorMidpointHandle: true };
+      handle.renderOrder = 1;
+      this.scene.add(handle);
+      this.midpointHandles.push(handle);
+    }
+    this._updateMidpointHandles();
+  }
+
+  _updateMidpointHandles() {
+    this.midpointHandles.forEach((handle, i) => {
+      const p1 = this.points[i];
+      const p2 = this.points[(i + 1) % this.points.length];
+      handle.position.set((p1.x + p2.x) / 2, this.labelStyle.yPosition, (p1.z + p2.z) / 2);
+    });
+  }
+
+  // Follows a camera switch (2D/3D view); handle dragging is rebuilt since DragControls keeps its camera
+  setCamera(camera) {
+    this.camera = camera;
+    if (!this.dragControls) return;
+    this.dragControls.removeEventListener('dragstart', this._onDragStart);
+    this.dragControls.removeEventListener('drag', this._onDrag);
+    this.dragControls.removeEventListener('dragend', this._onDragEnd);
+    this.dragControls.dispose();
+    this.dragControls = null;
+    this._enableDragging();
   }
 
   _enableDragging() {
@@ -172,40 +522,9 @@ export class FloorDimensionEditor {
     });
   }
   
-  _createDimensionSprite(length) {
-    const text = `${length.toFixed(2)}m`;
-    const canvas = document.createElement('canvas');
-    const context = canvas.getContext('2d');
-    const font = this.labelStyle.font;
-    context.font = font;
-    const textMetrics = context.measureText(text);
-    
-    const canvasPadding = 10; // Padding around text
-    canvas.width = Math.max(this.labelStyle.canvasWidth, textMetrics.width + canvasPadding); // Ensure min width
-    canvas.height = this.labelStyle.canvasHeight;
-
-    context.font = font; // Re-apply font after resize
-    context.fillStyle = this.labelStyle.textColor;
-    context.textAlign = 'center';
-    context.textBaseline = 'middle';
-    context.fillText(text, canvas.width / 2, canvas.height / 2);
-
-    const texture = new THREE.CanvasTexture(canvas);
-    texture.needsUpdate = true;
-
-    const material = new THREE.SpriteMaterial({ 
-      map: texture, 
-      transparent: true,
-      depthTest: false,
-      sizeAttenuation: false // Makes sprite size fixed in screen pixels
-    });
-
-    const sprite = new THREE.Sprite(material);
-    // Scale for sizeAttenuation: false. Value depends on desired screen size.
-    // (canvas.width * pixel_scale_factor)
-    sprite.scale.set(canvas.width * 0.006, canvas.height * 0.006, 1.0); 
-    sprite.renderOrder = 2; // Render labels on top of handles
-    return sprite;
+  _createDimensionSprite(length, textColor = this.labelStyle.textColor) {
+    const { font, canvasWidth, canvasHeight } = this.labelStyle;
+    return createLabelSprite(`${length.toFixed(2)}m`, { font, textColor, canvasWidth, canvasHeight });
   }
 
   _createEdgeLabels() {
@@ -225,7 +544,8 @@ export class FloorDimensionEditor {
       const dz = p2.z - p1.z;
       const length = Math.sqrt(dx * dx + dz * dz);
 
-      const labelSprite = this._createDimensionSprite(length);
+      const isInvalid = this.validation.invalidEdges.includes(i);
+      const labelSprite = this._createDimensionSprite(length, isInvalid ? '#d00000' : this.labelStyle.textColor);
       
       const midX = p1.x + dx / 2;
       const midZ = p1.z + dz / 2;
@@ -239,6 +559,7 @@ export class FloorDimensionEditor {
       const offsetZ = perpDz * this.labelStyle.offsetFromEdge;
 
       labelSprite.position.set(midX + offsetX, this.labelStyle.yPosition, midZ + offsetZ);
+      labelSprite.userData.edgeIndex = i;
       
       this.scene.add(labelSprite);
       this.edgeLabels.push(labelSprite);
@@ -252,6 +573,7 @@ export class FloorDimensionEditor {
     const newGeometry = new THREE.ShapeGeometry(shape);
     newGeometry.rotateX(Math.PI / 2);
     this.floorMesh.geometry = newGeometry;
+    this.floorMesh.material.color.setHex(this.validation.valid ? 0x007bff : 0xff4040);
   }
 
   _updateEdgeLabels() {
@@ -0,0 +1,235 @@
+// src/three/FloorUnderlay.js
+// Tracing underlay: an imported floor-plan drawing lying semi-transparent on the floor. Its scale is
+// calibrated from two clicked points a known distance apart, so the room outline can be traced over it.
+
+import * as THREE from 'three';
+
+// Just above the floor: over the 2D plan's paper and grid, under its walls (see PlanView's layers)
+const UNDERLAY_HEIGHT = 0.0015;
+const DEFAULT_OPACITY = 0.5;
+const DEFAULT_WIDTH = 10; // Meters across an uncalibrated drawing
+const MARKER_RADIUS = 0.05;
+const CALIBRATION_COLOR = 0x2b6cb0;
+
+export class FloorUnderlay {
+  constructor(scene) {
+    this.scene = scene;
+    this.mesh = null;
+    this.texture = null;
+    this.name = ''; // File name of the drawing
+    this.imageSize = null; // Pixels {width, height}
+    this.metersPerPixel = 0;
+    this.calibrated = false;
+    this.calibrationPoints = []; // Floor points clicked for the calibration, at most two
+
+    this.group = new THREE.Group();
+    this.group.name = 'FloorUnderlay';
+    this.group.userData.isEditorHelper = true;
+    this.scene.add(this.group);
+
+    // No depth writes, so the drawing never hides what stands on it; the offset keeps it off the 3D floor
+    this.material = new THREE.MeshBasicMaterial({
+      transparent: true,
+      opacity: DEFAULT_OPACITY,
+      depthWrite: false,
+      side: THREE.DoubleSide,
+      polygonOffset: true,
+      polygonOffsetFactor: -1,
+      polygonOffsetUnits: -4,
+      toneMapped: false
+    });
+
+    // Calibration markers and the line between them (or to the pointer), drawn on top
+    this.markerGeometry = new THREE.SphereGeometry(MARKER_RADIUS, 12, 8);
+    this.markerMaterial = new THREE.MeshBasicMaterial({ color: CALIBRATION_COLOR, depthTest: false, transparent: true });
+    this.lineMaterial = new THREE.LineDashedMaterial({
+      color: CALIBRATION_COLOR, dashSize: 0.1, gapSize: 0.06, depthTest: false, transparent: true
+    });
+    this.markers = [];
+    this.calibrationLine = new THREE.Line(new THREE.BufferGeometry(), this.lineMaterial);
+    this.calibrationLine.renderOrder = 3;
+    this.calibrationLine.visible = false;
+    this.group.add(this.calibrationLine);
+  }
+
+  get loaded() {
+    return !!this.mesh;
+  }
+
+  /**
+   * Lays a drawing on the floor, replacing the previous one, at a provisional scale until it is calibrated.
+   * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap} image
+   * @param {Object} [options]
+   * @param {string} [options.name] - Shown in the panel.
+   * @param {{x: number, z: number}} [options.center] - World floor position of the drawing's centre.
+   * @param {number} [options.width] - Provisional width in meters.
+   */
+  setImage(image, { name = '', center = { x: 0, z: 0 }, width = DEFAULT_WIDTH } = {}) {
+    this.removeImage();
+    const pixelWidth = image.naturalWidth || image.width;
+    const pixelHeight = image.naturalHeight || image.height;
+    if (!pixelWidth || !pixelHeight) throw new Error('The image is empty');
+
+    this.texture = new THREE.Texture(image);
+    this.texture.colorSpace = THREE.SRGBColorSpace;
+    this.texture.needsUpdate = true;
+    this.material.map = this.texture;
+    this.material.needsUpdate = true;
+
+    // The top of the drawing faces -Z, the top of the 2D view
+    this.mesh = new THREE.Mesh(new THREE.PlaneGeometry(1, 1).rotateX(-Math.PI / 2), this.material);
+    this.mesh.position.set(center.x, UNDERLAY_HEIGHT, center.z);
+    this.mesh.renderOrder = -1;
+    this.group.add(this.mesh);
+
+    this.name = name;
+    this.imageSize = { width: pixelWidth, height: pixelHeight };
+    this.metersPerPixel = width / pixelWidth;
+    this.calibrated = false;
+    this.applyScale();
+  }
+
+  applyScale() {
+    if (!this.mesh) return;
+    this.mesh.scale.set(this.imageSize.width * this.metersPerPixel, 1, this.imageSize.height * this.metersPerPixel);
+  }
+
+  /**
+   * Shifts the drawing on the floor, e.g. to follow the room when it is rebuilt around a new centre.
+   * @param {number} dx - Meters along X.
+   * @param {number} dz - Meters along Z.
+   */
+  moveBy(dx, dz) {
+    if (!this.mesh) return;
+    this.mesh.position.x += dx;
+    this.mesh.position.z += dz;
+    this.cancelCalibration();
+  }
+
+  setOpacity(opacity) {
+    this.material.opacity = THREE.MathUtils.clamp(Number(opacity), 0.05, 1);
+  }
+
+  setVisible(visible) {
+    this.group.visible = !!visible;
+  }
+
+  /**
+   * Adds a clicked floor point to the calibration; the second one completes the pair.
+   * @param {THREE.Vector3} point
+   * @returns {number|null} - Distance between the two points on the drawing as it is scaled now, once both are set.
+   */
+  addCalibrationPoint(point) {
+    if (this.calibrationPoints.length >= 2) this.cancelCalibration();
+    const floorPoint = new THREE.Vector3(point.x, UNDERLAY_HEIGHT, point.z);
+    this.calibrationPoints.push(floorPoint);
+
+    const marker = new THREE.Mesh(this.markerGeometry, this.markerMaterial);
+    marker.position.copy(floorPoint);
+    marker.renderOrder = 3;
+    this.group.add(marker);
+    this.markers.push(marker);
+
+    if (this.calibrationPoints.length < 2) return null;
+    this.drawCalibrationLine(this.calibrationPoints[1]);
+    return this.getCalibrationDistance();
+  }
+
+  /**
+   * Stretches the calibration line from the first point to the pointer while the second is being picked.
+   * @param {THREE.Vector3|null} point
+   */
+  updateCalibrationPreview(point) {
+    if (this.calibrationPoints.length !== 1) return;
+    if (!point) {
+      this.calibrationLine.visible = false;
+      return;
+    }
+    this.drawCalibrationLine(new THREE.Vector3(point.x, UNDERLAY_HEIGHT, point.z));
+  }
+
+  drawCalibrationLine(end) {
+    this.calibrationLine.geometry.setFromPoints([this.calibrationPoints[0], end]);
+    this.calibrationLine.computeLineDistances();
+    this.calibrationLine.visible = true;
+  }
+
+  getCalibrationDistance() {
+    if (this.calibrationPoints.length < 2) return null;
+    return this.calibrationPoints[0].distanceTo(this.calibrationPoints[1]);
+  }
+
+  /**
+   * Rescales the drawing so the two calibration points end up the given distance apart. The first point
+   * stays where it is on the floor, and the drawing grows or shrinks around it.
+   * @param {number} realDistance - Meters between the two points in reality.
+   * @returns {boolean} - False without two distinct points or a positive distance.
+   */
+  applyCalibration(realDistance) {
+    const measured = this.getCalibrationDistance();
+    if (!this.mesh || !measured || !(realDistance > 0)) return false;
+
+    const factor = realDistance / measured;
+    const anchor = this.calibrationPoints[0];
+    this.mesh.position.x = anchor.x + (this.mesh.position.x - anchor.x) * factor;
+    this.mesh.position.z = anchor.z + (this.mesh.position.z - anchor.z) * factor;
+    this.metersPerPixel *= factor;
+    this.calibrated = true;
+    this.applyScale();
+    this.cancelCalibration();
+    return true;
+  }
+
+  cancelCalibration() {
+    this.markers.forEach(marker => this.group.remove(marker));
+    this.markers = [];
+    this.calibrationPoints = [];
+    this.calibrationLine.visible = false;
+  }
+
+  /**
+   * @returns {{name: string, width: number, depth: number, metersPerPixel: number, calibrated: boolean,
+   *   opacity: number, visible: boolean, calibrationPoints: number, calibrationDistance: number|null}|null}
+   *   Null without a drawing; width and depth in meters.
+   */
+  getState() {
+    if (!this.mesh) return null;
+    return {
+      name: this.name,
+      width: this.mesh.scale.x,
+      depth: this.mesh.scale.z,
+      metersPerPixel: this.metersPerPixel,
+      calibrated: this.calibrated,
+      opacity: this.material.opacity,
+      visible: this.group.visible,
+      calibrationPoints: this.calibrationPoints.length,
+      calibrationDistance: this.getCalibrationDistance()
+    };
+  }
+
+  removeImage() {
+    this.cancelCalibration();
+    if (this.mesh) {
+      this.group.remove(this.mesh);
+      this.mesh.geometry.dispose();
+      this.mesh = null;
+    }
+    if (this.texture) {
+      this.texture.dispose();
+      this.texture = null;
+    }
+    this.material.map = null;
+    this.imageSize = null;
+    this.name = '';
+  }
+
+  dispose() {
+    this.removeImage();
+    this.scene.remove(this.group);
+    this.calibrationLine.geometry.dispose();
+    this.markerGeometry.dispose();
+    this.markerMaterial.dispose();
+    this.lineMaterial.dispose();
+    this.material.dispose();
+  }
+}
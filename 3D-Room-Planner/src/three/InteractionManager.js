@@ -1,6 +1,15 @@
 // Direct model manipulation (click and drag)
 
 import * as THREE from 'three';
+import { isEditorOnly } from './utils/SceneExporter.js';
+
+// A point-picking click may wander this many pixels and still count as a click rather than an orbit drag
+const PICK_CLICK_TOLERANCE = 4;
+// Modes in which clicks place points (tape measure, underlay calibration, wall drawing) instead of selecting models
+const POINT_PICKING_MODES = ['measure', 'calibrate', 'draw-walls'];
+
+// Modifier keys passed along with picked points (Shift locks walls straight, Alt places them freely)
+const pickModifiers = (event) => ({ shiftKey: !!event.shiftKey, altKey: !!event.altKey });
 
 export class InteractionManager {
   constructor(scene, camera, renderer, orbitControls) {
@@ -11,19 +20,33 @@ export class InteractionManager {
     this.orbitControls = orbitControls;
     
     // Properties
-    this.selectedObject = null;
-    this.pinnedObjects = new Set();
+    this.selectedObject = null; // Primary selection: the object reported to the selection callbacks
+    this.selectedObjects = []; // Whole selection, primary last
     this.isDragging = false;
     this.isRotating = false;
     this.floorLevel = 0; // Default floor level
+    // Optional hook to adjust drag positions (collisions etc.): (object, proposed, current) => THREE.Vector3
+    this.constrainPosition = null;
+    // Drag snapping: position step in meters and rotation step in degrees (0 = off); Alt suspends both
+    this.snap = { gridStep: 0, angleStep: 0 };
+    this.snapSuspended = false;
     
     // Interaction state
-    this.interactionMode = 'translate'; // 'translate', 'rotate'
+    this.interactionMode = 'translate'; // 'translate', 'rotate', 'measure', 'calibrate', 'draw-walls'
+    this.pickPointerDown = null; // Client {x, y} of a pointer press in a point-picking mode
     this.dragStartPosition = new THREE.Vector3();
     this.objectStartPosition = new THREE.Vector3();
     this.objectStartRotation = new THREE.Euler();
     this.dragPlane = new THREE.Plane();
     this.dragOffset = new THREE.Vector3();
+    this.dragObject = null; // Object under the pointer when the drag started
+    this.dragObjects = []; // Selected models that move with it (pinned ones stay put)
+    this.dragStartStates = new Map(); // Model -> {position, rotationY} when the drag started
+    this.dragMoved = false;
+    
+    // Rubber-band selection on empty floor (2D view only)
+    this.marqueeEnabled = false;
+    this.marquee = null; // {startX, startY, additive, element} while a rectangle is being drawn
     
     // Mouse/pointer state
     this.raycaster = new THREE.Raycaster();
@@ -97,10 +120,26 @@ export class InteractionManager {
     this.groundPlane.constant = -this.floorLevel;
   }
   
+  setMarqueeEnabled(enabled) {
+    this.marqueeEnabled = !!enabled;
+  }
+  
+  setSnap({ gridStep = this.snap.gridStep, angleStep = this.snap.angleStep } = {}) {
+    this.snap = { gridStep: Math.max(0, Number(gridStep) || 0), angleStep: Math.max(0, Number(angleStep) || 0) };
+  }
+  
+  // Rounds a value to the nearest multiple of a step (no-op for a zero step or while Alt is held)
+  snapValue(value, step) {
+    if (!step || this.snapSuspended) return value;
+    return Math.round(value / step) * step;
+  }
+  
   // Handle pointer down event
   onPointerDown(event) {
-    // Skip if not left click or if modifier keys are pressed
-    if (event.button !== 0 || event.ctrlKey || event.metaKey) return;
+    // Skip if not left click
+    if (event.button !== 0) return;
+    // Shift/Ctrl/Cmd-click adds to or removes from the selection
+    const additive = event.shiftKey || event.ctrlKey || event.metaKey;
     
     // Calculate normalized device coordinates
     const rect = this.renderer.domElement.getBoundingClientRect();
@@ -110,6 +149,12 @@ export class InteractionManager {
     // Store starting position
     this.startPointer.copy(this.pointer);
     
+    // Point picking: points are placed on release, so dragging still orbits the camera
+    if (this.isPickingPoints()) {
+      this.pickPointerDown = { x: event.clientX, y: event.clientY };
+      return;
+    }
+    
     // Set up raycasting
     this.raycaster.setFromCamera(this.pointer, this.camera);
     
@@ -118,15 +163,16 @@ export class InteractionManager {
     const intersects = this.raycaster.intersectObjects(selectableObjects, true);
     
     if (intersects.length > 0) {
-      // Find the root model
+      // Find the root model (or the door/window group)
       let selected = intersects[0].object;
-      while (selected.parent && !selected.userData.isModelRoot) {
+      while (selected.parent && !selected.userData.isModelRoot && !selected.userData.isOpening) {
         selected = selected.parent;
       }
       
-      // If clicked on same object, start dragging
-      if (this.selectedObject === selected) {
-        // Only allow dragging if not pinned
+      if (additive) {
+        this.toggleSelection(selected);
+      } else if (this.isSelected(selected)) {
+        // Clicked on a selected object: start dragging it (with the rest of the selection)
         if (!this.isPinned(selected)) {
           this.startDrag(selected, intersects[0].point);
         }
@@ -137,28 +183,49 @@ export class InteractionManager {
       
       // Disable orbit controls during interaction
       this.orbitControls.enabled = false;
+    } else if (this.marqueeEnabled) {
+      // Empty floor in the 2D view: draw a selection rectangle
+      this.startMarquee(event, additive);
+      this.orbitControls.enabled = false;
     } else {
-      // Clicked on empty space - deselect
-      this.deselect();
+      // Clicked on empty space - deselect (Ctrl/Shift-clicks are left to the orbit controls)
+      if (!additive) this.deselect();
 
       // Ensure orbit controls are enabled for empty space clicks
       this.orbitControls.enabled = true;
     }
   }
   
+  // Models that follow a drag or rotation of the selection (openings and pinned models never do)
+  getTransformTargets(objects = this.selectedObjects) {
+    return objects.filter(object => !object.userData.isOpening && !this.isPinned(object));
+  }
+  
   // Start dragging an object
   startDrag(object, hitPoint) {
     if (!object || this.isPinned(object)) return;
     
     // Set up dragging state
     this.isDragging = true;
-    this.isRotating = this.interactionMode === 'rotate';
+    this.dragMoved = false;
+    this.dragObject = object;
+    // Doors and windows only slide along the walls
+    this.isRotating = this.interactionMode === 'rotate' && !object.userData.isOpening;
     
     // Store starting positions
     this.dragStartPosition.copy(hitPoint);
     this.objectStartPosition.copy(object.position);
     this.objectStartRotation.copy(object.rotation);
     
+    this.dragObjects = object.userData.isOpening ? [] : this.getTransformTargets();
+    this.dragStartStates = new Map(this.dragObjects.map(target => [
+      target,
+      { position: target.position.clone(), rotationY: target.rotation.y }
+    ]));
+    if (this.dragObjects.length > 0 && this.callbacks?.onTransformStarted) {
+      this.callbacks.onTransformStarted(this.dragObjects);
+    }
+    
     // For translation: Set up drag plane based on camera view
     if (!this.isRotating) {
       // Always use a horizontal (floor) plane for dragging - exactly at y=0
@@ -183,13 +250,27 @@ export class InteractionManager {
   
   // Handle pointer move
   onPointerMove(event) {
+    if (this.marquee) {
+      this.updateMarquee(event);
+      return;
+    }
+    
     // Update pointer position
     const rect = this.renderer.domElement.getBoundingClientRect();
     this.pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
     this.pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    this.snapSuspended = !!event.altKey;
+    
+    if (this.isPickingPoints()) {
+      if (this.callbacks?.onPointHover) this.callbacks.onPointHover(this.pickModePoint(), this.interactionMode, pickModifiers(event));
+      return;
+    }
     
     // Handle dragging
-    if (this.isDragging && this.selectedObject && !this.isPinned(this.selectedObject)) {
+    if (this.isDragging && this.dragObject && this.dragObject.userData.isOpening) {
+      this.handleOpeningDrag();
+    } else if (this.isDragging && this.dragObjects.length > 0) {
+      this.dragMoved = true;
       if (this.isRotating) {
         this.handleRotation();
       } else {
@@ -198,7 +279,7 @@ export class InteractionManager {
       
       // Trigger change callback
       if (this.callbacks?.onObjectChanged) {
-        this.callbacks.onObjectChanged(this.selectedObject);
+        this.callbacks.onObjectChanged(this.dragObject);
       }
     }
   }
@@ -211,18 +292,48 @@ export class InteractionManager {
     // Find intersection with the floor plane
     const intersection = new THREE.Vector3();
     if (this.raycaster.ray.intersectPlane(this.dragPlane, intersection)) {
-      // Get the current Y position (height) - we want to maintain this
-      const currentY = this.selectedObject.position.y;
-      
-      // Calculate new position with offset (only in XZ plane)
+      // Calculate new position with offset (only in XZ plane), keeping the current height
       const newPosition = new THREE.Vector3(
-        intersection.x - this.dragOffset.x,
-        currentY, // Keep current height
-        intersection.z - this.dragOffset.z
+        this.snapValue(intersection.x - this.dragOffset.x, this.snap.gridStep),
+        this.dragObject.position.y,
+        this.snapValue(intersection.z - this.dragOffset.z, this.snap.gridStep)
       );
       
-      // Update object position (sliding along the floor)
-      this.selectedObject.position.copy(newPosition);
+      if (this.dragObjects.length === 1) {
+        // Update object position (sliding along the floor)
+        const position = this.constrainPosition
+          ? this.constrainPosition(this.dragObject, newPosition, this.dragObject.position)
+          : newPosition;
+        this.dragObject.position.copy(position);
+      } else {
+        this.moveGroup(newPosition.sub(this.dragObject.position));
+      }
+    }
+  }
+  
+  // Moves every dragged model by the same step, shortened until it suits each of them
+  moveGroup(step) {
+    step.y = 0;
+    if (this.constrainPosition) {
+      const constrainedStep = (object) => {
+        const proposed = object.position.clone().add(step);
+        return this.constrainPosition(object, proposed, object.position).sub(object.position).setY(0);
+      };
+      for (let pass = 0; pass < 2; pass++) {
+        this.dragObjects.forEach(object => step.copy(constrainedStep(object)));
+      }
+      // A step that still has to be changed for one of the models is dropped, so the group stays rigid
+      if (!this.dragObjects.every(object => constrainedStep(object).distanceToSquared(step) < 1e-10)) return;
+    }
+    this.dragObjects.forEach(object => object.position.add(step));
+  }
+  
+  // Doors and windows belong to the room: report the floor point under the pointer and let the room snap them to a wall
+  handleOpeningDrag() {
+    this.raycaster.setFromCamera(this.pointer, this.camera);
+    const intersection = new THREE.Vector3();
+    if (this.raycaster.ray.intersectPlane(this.dragPlane, intersection) && this.callbacks?.onOpeningDragged) {
+      this.callbacks.onOpeningDragged(this.dragObject, intersection);
     }
   }
   
@@ -233,26 +344,194 @@ export class InteractionManager {
     
     // Apply a rotation sensitivity factor
     const rotationSensitivity = 5.0;
-    const rotationAngle = deltaX * rotationSensitivity;
+    let rotationAngle = deltaX * rotationSensitivity;
     
-    // Apply rotation around Y axis (up/down)
-    this.selectedObject.rotation.y = this.objectStartRotation.y + rotationAngle;
+    // A single model snaps its heading; a group snaps the angle it has turned by
+    const step = THREE.MathUtils.degToRad(this.snap.angleStep);
+    const startRotation = this.dragStartStates.size === 1 ? this.objectStartRotation.y : 0;
+    rotationAngle = this.snapValue(startRotation + rotationAngle, step) - startRotation;
+    
+    // Apply rotation around Y axis (up/down), around the centre of the dragged models
+    this.rotateAroundCentre(this.dragStartStates, rotationAngle);
+  }
+  
+  /**
+   * Turns models about the Y axis through the centre of their positions.
+   * @param {Map<THREE.Object3D, {position: THREE.Vector3, rotationY: number}>} startStates - Positions to rotate from.
+   * @param {number} angle - In radians.
+   */
+  rotateAroundCentre(startStates, angle) {
+    const bounds = new THREE.Box3();
+    startStates.forEach(state => bounds.expandByPoint(state.position));
+    const centre = bounds.getCenter(new THREE.Vector3());
+    const axis = new THREE.Vector3(0, 1, 0);
+    
+    startStates.forEach((state, object) => {
+      const offset = state.position.clone().sub(centre).applyAxisAngle(axis, angle);
+      object.position.set(centre.x + offset.x, state.position.y, centre.z + offset.z);
+      object.rotation.y = state.rotationY + angle;
+    });
   }
   
   // End dragging on pointer up
-  onPointerUp() {
-    if (this.isDragging && this.selectedObject) {
+  onPointerUp(event) {
+    if (this.marquee) {
+      this.endMarquee(event);
+      return;
+    }
+    if (this.isPickingPoints()) {
+      this.endPickClick(event);
+      return;
+    }
+    if (this.isDragging && this.dragObject && this.dragObject.userData.isOpening && this.callbacks?.onOpeningDragEnded) {
+      this.callbacks.onOpeningDragEnded(this.dragObject);
+    }
+    if (this.isDragging && this.dragObjects.length > 0 && this.callbacks?.onTransformEnded) {
+      this.callbacks.onTransformEnded(this.dragObjects);
+    }
+    if (this.isDragging && this.dragObject) {
+      // A plain click on one model of a larger selection selects just that model
+      if (!this.dragMoved && this.selectedObjects.length > 1) {
+        this.select(this.dragObject);
+      }
+      
       // End dragging state
       this.isDragging = false;
       this.isRotating = false;
+      this.dragObject = null;
+      this.dragObjects = [];
+      this.dragStartStates = new Map();
       
       // Re-enable orbit controls
       this.orbitControls.enabled = true;
     }
   }
   
+  startMarquee(event, additive) {
+    this.marquee = { startX: event.clientX, startY: event.clientY, additive, element: null };
+    // Keep receiving pointer events when the rectangle is dragged past the canvas
+    if (this.renderer.domElement.setPointerCapture) this.renderer.domElement.setPointerCapture(event.pointerId);
+  }
+  
+  updateMarquee(event) {
+    const { startX, startY } = this.marquee;
+    // Tiny movements still count as a click on empty space
+    if (!this.marquee.element && Math.hypot(event.clientX - startX, event.clientY - startY) < 4) return;
+    
+    const container = this.renderer.domElement.parentElement;
+    if (!container) return;
+    if (!this.marquee.element) {
+      this.marquee.element = document.createElement('div');
+      this.marquee.element.className = 'selection-marquee';
+      container.appendChild(this.marquee.element);
+    }
+    const containerRect = container.getBoundingClientRect();
+    const style = this.marquee.element.style;
+    style.left = `${Math.min(startX, event.clientX) - containerRect.left}px`;
+    style.top = `${Math.min(startY, event.clientY) - containerRect.top}px`;
+    style.width = `${Math.abs(event.clientX - startX)}px`;
+    style.height = `${Math.abs(event.clientY - startY)}px`;
+  }
+  
+  endMarquee(event) {
+    const { startX, startY, additive, element } = this.marquee;
+    this.marquee = null;
+    this.orbitControls.enabled = true;
+    
+    if (!element) {
+      // Plain click on empty space
+      if (!additive) this.deselect();
+      return;
+    }
+    element.remove();
+    
+    const inside = this.getModelsInRect({
+      left: Math.min(startX, event.clientX),
+      right: Math.max(startX, event.clientX),
+      top: Math.min(startY, event.clientY),
+      bottom: Math.max(startY, event.clientY)
+    });
+    this.setSelection(additive ? [...this.selectedObjects, ...inside] : inside);
+  }
+  
+  /**
+   * Lists the models whose centre is on screen inside a rectangle.
+   * @param {{left: number, right: number, top: number, bottom: number}} rect - Client (page) pixel coordinates.
+   * @returns {Array<THREE.Object3D>}
+   */
+  getModelsInRect(rect) {
+    const canvasRect = this.renderer.domElement.getBoundingClientRect();
+    const centre = new THREE.Vector3();
+    return this.getSelectableObjects().filter(object => {
+      if (!object.userData.isModelRoot || !object.visible) return false;
+      new THREE.Box3().setFromObject(object).getCenter(centre).project(this.camera);
+      const x = canvasRect.left + ((centre.x + 1) / 2) * canvasRect.width;
+      const y = canvasRect.top + ((1 - centre.y) / 2) * canvasRect.height;
+      return x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom;
+    });
+  }
+  
+  isPickingPoints() {
+    return POINT_PICKING_MODES.includes(this.interactionMode);
+  }
+  
+  // Reports a point-picking click on release; presses that turned into camera drags are ignored
+  endPickClick(event) {
+    const down = this.pickPointerDown;
+    this.pickPointerDown = null;
+    if (!down || Math.hypot(event.clientX - down.x, event.clientY - down.y) > PICK_CLICK_TOLERANCE) return;
+    
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    this.pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    this.pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    const point = this.pickModePoint();
+    if (point && this.callbacks?.onPointPicked) this.callbacks.onPointPicked(point, this.interactionMode, pickModifiers(event));
+  }
+  
+  // The tape measure reads any surface; other point-picking modes work on the floor plane
+  pickModePoint() {
+    return this.interactionMode === 'measure' ? this.pickSurfacePoint() : this.pickFloorPoint();
+  }
+  
+  /**
+   * Point on the floor plane under the pointer, ignoring walls and models in the way.
+   * @returns {THREE.Vector3|null} - Null when the pointer is above the horizon.
+   */
+  pickFloorPoint() {
+    this.raycaster.setFromCamera(this.pointer, this.camera);
+    const point = new THREE.Vector3();
+    return this.raycaster.ray.intersectPlane(this.groundPlane, point) ? point : null;
+  }
+  
+  /**
+   * First visible floor, wall or model surface under the pointer, or the floor plane if there is none.
+   * @returns {THREE.Vector3|null} - Null when the pointer is above the horizon.
+   */
+  pickSurfacePoint() {
+    this.raycaster.setFromCamera(this.pointer, this.camera);
+    const hit = this.raycaster.intersectObjects(this.scene.children, true)
+      .find(intersection => this.isMeasurableSurface(intersection.object));
+    if (hit) return hit.point.clone();
+    return this.pickFloorPoint();
+  }
+  
+  // Meshes that are drawn and belong to the room or a model (not to an editor helper)
+  isMeasurableSurface(object) {
+    if (!object.isMesh || (object.material && object.material.visible === false)) return false;
+    for (let node = object; node; node = node.parent) {
+      if (!node.visible || isEditorOnly(node)) return false;
+    }
+    return true;
+  }
+  
   // Handle keyboard shortcuts
   onKeyDown(event) {
+    // Esc while picking points is about the points, not the selection
+    if (this.isPickingPoints() && event.key === 'Escape') {
+      if (this.callbacks?.onPointCancel) this.callbacks.onPointCancel(this.interactionMode);
+      return;
+    }
+    
     // Skip if no object selected
     if (!this.selectedObject) return;
     
@@ -263,9 +542,14 @@ export class InteractionManager {
       case 'r': // Rotation mode
         this.setInteractionMode('rotate');
         break;
-      case 'p': // Toggle pin
-        this.togglePin(this.selectedObject);
+      case 'p': { // Toggle pin on the whole selection: unpin if everything is pinned, otherwise pin
+        const models = this.selectedObjects.filter(object => !object.userData.isOpening); // Openings cannot be pinned
+        const allPinned = models.every(object => this.isPinned(object));
+        // The owner records the change as one undo step; without it the pins are simply set
+        if (this.callbacks?.onPinSelection) this.callbacks.onPinSelection(!allPinned);
+        else models.forEach(object => (allPinned ? this.unpinObject(object) : this.pinObject(object)));
         break;
+      }
       case 'delete': // Delete
       case 'backspace':
         this.deleteSelected();
@@ -284,6 +568,8 @@ export class InteractionManager {
     const selectableObjects = [];
     
     this.scene.traverse((object) => {
+      // Openings on walls hidden for the current camera cannot be picked through the gap
+      if (object.userData && object.userData.isOpening && !object.visible) return;
       if (object.userData && object.userData.selectable) {
         selectableObjects.push(object);
       }
@@ -292,43 +578,68 @@ export class InteractionManager {
     return selectableObjects;
   }
   
+  isSelected(object) {
+    return this.selectedObjects.includes(object);
+  }
+  
+  getSelection() {
+    return [...this.selectedObjects];
+  }
+  
+  /**
+   * Replaces the selection. The last object becomes the primary one, reported through
+   * onObjectSelected; onSelectionChanged receives the whole list.
+   * Doors and windows are only ever selected on their own.
+   * @param {Array<THREE.Object3D>} objects
+   */
+  setSelection(objects) {
+    let next = [...new Set(objects.filter(Boolean))];
+    if (next.length > 1) next = next.filter(object => !object.userData.isOpening);
+    
+    const previous = this.selectedObjects;
+    previous.filter(object => !next.includes(object)).forEach(object => this.removeHighlight(object));
+    next.filter(object => !previous.includes(object)).forEach(object => this.addHighlight(object));
+    this.selectedObjects = next;
+    
+    const previousPrimary = this.selectedObject;
+    this.selectedObject = next.length > 0 ? next[next.length - 1] : null;
+    if (this.selectedObject !== previousPrimary) {
+      if (previousPrimary) {
+        // End any dragging
+        this.isDragging = false;
+        if (this.callbacks?.onObjectDeselected) this.callbacks.onObjectDeselected(previousPrimary);
+      }
+      if (this.selectedObject && this.callbacks?.onObjectSelected) {
+        this.callbacks.onObjectSelected(this.selectedObject);
+      }
+    }
+    
+    if (this.callbacks?.onSelectionChanged) {
+      this.callbacks.onSelectionChanged(this.getSelection());
+    }
+  }
+  
   // Select an object
   select(object) {
-    if (this.selectedObject === object) return;
-    
-    // Deselect previous
-    this.deselect();
-    
-    // Set as selected
-    this.selectedObject = object;
-    
-    // Add highlight
-    this.addHighlight(object);
-    
-    // Trigger callback
-    if (this.callbacks?.onObjectSelected) {
-      this.callbacks.onObjectSelected(object);
+    if (this.selectedObject === object && this.selectedObjects.length === 1) return;
+    this.setSelection([object]);
+  }
+  
+  // Adds a model to the selection, or removes it if it is already selected
+  toggleSelection(object) {
+    if (object.userData.isOpening || (this.selectedObject && this.selectedObject.userData.isOpening)) {
+      this.select(object);
+    } else if (this.isSelected(object)) {
+      this.setSelection(this.selectedObjects.filter(selected => selected !== object));
+    } else {
+      this.setSelection([...this.selectedObjects, object]);
     }
   }
   
-  // Deselect current object
+  // Deselect everything
   deselect() {
     if (!this.selectedObject) return;
-    
-    // Remove highlight
-    this.removeHighlight(this.selectedObject);
-    
-    // Store reference before clearing
-    const previouslySelected = this.selectedObject;
-    this.selectedObject = null;
-    
-    // End any dragging
-    this.isDragging = false;
-    
-    // Trigger callback
-    if (this.callbacks?.onObjectDeselected) {
-      this.callbacks.onObjectDeselected(previouslySelected);
-    }
+    this.setSelection([]);
   }
   
 // Add visual highlight to selected object
@@ -382,16 +693,16 @@ removeBoundingBox(object) {
 
 // Update bounding boxes - called from animation loop
 updateBoundingBoxes() {
-  // Update the bounding box if there's a selected object
-  if (this.selectedObject && this.selectedObject.userData.boundingBoxHelper) {
+  this.selectedObjects.forEach(object => {
     // BoxHelper has an update method to recalculate the box
-    this.selectedObject.userData.boundingBoxHelper.update();
-  }
+    if (object.userData.boundingBoxHelper) object.userData.boundingBoxHelper.update();
+  });
 }
   
-  // Set interaction mode (translate or rotate)
+  // Set interaction mode (translate, rotate, or a point-picking mode)
   setInteractionMode(mode) {
     this.interactionMode = mode;
+    this.pickPointerDown = null;
     
     // Trigger callback
     if (this.callbacks?.onModeChanged) {
@@ -405,18 +716,16 @@ updateBoundingBoxes() {
     return box.max.y - box.min.y;
   }
   
-  // Check if object is pinned
+  // Check if object is pinned. The flag lives on the object itself, so undo and redo, which restore
+  // userData, bring the pin back with the model
   isPinned(object) {
-    return this.pinnedObjects.has(object.uuid);
+    return !!object.userData.isPinned;
   }
   
   // Pin an object
   pinObject(object) {
     if (!object) return;
     
-    // Add to pinned set
-    this.pinnedObjects.add(object.uuid);
-    
     // Update object state
     object.userData.isPinned = true;
     
@@ -433,9 +742,6 @@ updateBoundingBoxes() {
   unpinObject(object) {
     if (!object) return;
     
-    // Remove from pinned set
-    this.pinnedObjects.delete(object.uuid);
-    
     // Update object state
     object.userData.isPinned = false;
     
@@ -502,41 +808,53 @@ updatePinVisual(object, isPinned) {
 }
  
   
-  // Delete selected object
+  // Delete the selection
   deleteSelected() {
     if (!this.selectedObject) return;
     
-    const objectToDelete = this.selectedObject;
+    const objectsToDelete = this.getSelection();
     
     // Deselect first
     this.deselect();
+
+    // Doors and windows are part of the room, which removes them itself
+    if (objectsToDelete[0].userData.isOpening) {
+      if (this.callbacks?.onOpeningDeleted) this.callbacks.onOpeningDeleted(objectsToDelete[0]);
+      return;
+    }
     
-    // Remove from pinned objects if needed
-    this.pinnedObjects.delete(objectToDelete.uuid);
-    
-    // Remove from scene
-    this.scene.remove(objectToDelete);
+    objectsToDelete.forEach(object => {
+      // Remove from scene
+      this.scene.remove(object);
+    });
     
     // Trigger callback
-    if (this.callbacks?.onObjectDeleted) {
-      this.callbacks.onObjectDeleted(objectToDelete);
+    if (this.callbacks?.onObjectsDeleted) {
+      this.callbacks.onObjectsDeleted(objectsToDelete);
     }
   }
   
   // Rotate object by specific angle (for UI buttons)
   rotateObject(object, angleDegrees) {
-    if (!object || this.isPinned(object)) return;
+    if (object) this.rotateObjects([object], angleDegrees);
+  }
+  
+  // Rotate several models by an angle around their common centre, as one transform
+  rotateObjects(objects, angleDegrees) {
+    const targets = this.getTransformTargets(objects);
+    if (targets.length === 0) return;
     
-    // Convert to radians
-    const angleRadians = THREE.MathUtils.degToRad(angleDegrees);
+    if (this.callbacks?.onTransformStarted) this.callbacks.onTransformStarted(targets);
     
-    // Rotate around Y axis
-    object.rotation.y += angleRadians;
+    const startStates = new Map(targets.map(target => [
+      target,
+      { position: target.position.clone(), rotationY: target.rotation.y }
+    ]));
+    this.rotateAroundCentre(startStates, THREE.MathUtils.degToRad(angleDegrees));
     
-    // Trigger callback
-    if (this.callbacks?.onObjectChanged) {
-      this.callbacks.onObjectChanged(object);
-    }
+    // Trigger callbacks
+    if (this.callbacks?.onObjectChanged) this.callbacks.onObjectChanged(targets[targets.length - 1]);
+    if (this.callbacks?.onTransformEnded) this.callbacks.onTransformEnded(targets);
   }
   
   // Dispose resources
@@ -548,6 +866,10 @@ updatePinVisual(object, isPinned) {
     if (this.dragPlaneHelper) {
       this.scene.remove(this.dragPlaneHelper);
     }
+    if (this.marquee && this.marquee.element) {
+      this.marquee.element.remove();
+    }
+    this.marquee = null;
     
     // Clear references
     this.scene = null;
@@ -555,8 +877,8 @@ updatePinVisual(object, isPinned) {
     this.renderer = null;
     this.orbitControls = null;
     this.selectedObject = null;
+    this.selectedObjects = [];
     this.callbacks = null;
-    this.pinnedObjects.clear();
   }
 }
 
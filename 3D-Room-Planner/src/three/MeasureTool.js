@@ -0,0 +1,154 @@
+// src/three/MeasureTool.js
+// Tape measure: distance annotations between pairs of clicked points, kept until they are cleared
+
+import * as THREE from 'three';
+import { createLabelSprite, disposeLabelSprite, updateLabel, removeLabel } from './utils/LabelSprite.js';
+
+const MARKER_RADIUS = 0.04;
+const LINE_COLOR = 0xc53030;
+const LABEL_STYLE = { textColor: '#742a2a', backgroundColor: 'rgba(255, 255, 255, 0.85)', canvasWidth: 80, canvasHeight: 28 };
+
+const formatDistance = (distance) => `${distance.toFixed(2)} m`;
+
+// Labels sit just above the middle of their line
+function placeLabel(label, start, end) {
+  label.position.copy(start).add(end).multiplyScalar(0.5);
+  label.position.y += 0.05;
+}
+
+export class MeasureTool {
+  constructor(scene) {
+    this.scene = scene;
+    this.measurements = []; // {start, end, distance, line, markers, label}
+    this.pendingStart = null; // First point of the measurement being taken
+    this.pendingMarker = null;
+
+    this.group = new THREE.Group();
+    this.group.name = 'MeasureTool';
+    this.group.userData.isEditorHelper = true;
+    this.scene.add(this.group);
+
+    // Drawn on top, so a measurement between two model surfaces is never hidden inside the models
+    this.lineMaterial = new THREE.LineBasicMaterial({ color: LINE_COLOR, depthTest: false, transparent: true });
+    this.previewMaterial = new THREE.LineDashedMaterial({
+      color: LINE_COLOR, dashSize: 0.08, gapSize: 0.05, depthTest: false, transparent: true
+    });
+    this.markerGeometry = new THREE.SphereGeometry(MARKER_RADIUS, 12, 8);
+    this.markerMaterial = new THREE.MeshBasicMaterial({ color: LINE_COLOR, depthTest: false, transparent: true });
+
+    // Rubber band from the first point to the pointer
+    this.previewLine = new THREE.Line(new THREE.BufferGeometry(), this.previewMaterial);
+    this.previewLine.renderOrder = 3;
+    this.previewLine.visible = false;
+    this.group.add(this.previewLine);
+    this.previewLabel = null; // {sprite, text}
+  }
+
+  /**
+   * Adds a clicked point: the first of a pair starts a measurement, the second completes it.
+   * @param {THREE.Vector3} point
+   * @returns {{start: THREE.Vector3, end: THREE.Vector3, distance: number}|null} - The completed measurement, if any.
+   */
+  addPoint(point) {
+    if (!this.pendingStart) {
+      this.pendingStart = point.clone();
+      this.pendingMarker = this.createMarker(this.pendingStart);
+      return null;
+    }
+
+    const start = this.pendingStart;
+    const end = point.clone();
+    const distance = start.distanceTo(end);
+    const line = new THREE.Line(new THREE.BufferGeometry().setFromPoints([start, end]), this.lineMaterial);
+    line.renderOrder = 3;
+    this.group.add(line);
+    const label = this.createLabel(distance, start, end);
+    const measurement = { start, end, distance, line, markers: [this.pendingMarker, this.createMarker(end)], label };
+    this.measurements.push(measurement);
+
+    this.pendingStart = null;
+    this.pendingMarker = null;
+    this.hidePreview();
+    return { start: start.clone(), end: end.clone(), distance };
+  }
+
+  /**
+   * Stretches the rubber band from the first point to the pointer. Does nothing without a first point.
+   * @param {THREE.Vector3|null} point - Null when the pointer is off every surface.
+   */
+  updatePreview(point) {
+    if (!this.pendingStart || !point) {
+      this.hidePreview();
+      return;
+    }
+    this.previewLine.geometry.setFromPoints([this.pendingStart, point]);
+    this.previewLine.computeLineDistances();
+    this.previewLine.visible = true;
+
+    const text = formatDistance(this.pendingStart.distanceTo(point));
+    this.previewLabel = updateLabel(this.group, this.previewLabel, text, LABEL_STYLE);
+    this.previewLabel.sprite.renderOrder = 4;
+    placeLabel(this.previewLabel.sprite, this.pendingStart, point);
+  }
+
+  hidePreview() {
+    this.previewLine.visible = false;
+    this.removePreviewLabel();
+  }
+
+  removePreviewLabel() {
+    removeLabel(this.group, this.previewLabel);
+    this.previewLabel = null;
+  }
+
+  // Drops a half-finished measurement
+  cancel() {
+    if (this.pendingMarker) this.group.remove(this.pendingMarker);
+    this.pendingStart = null;
+    this.pendingMarker = null;
+    this.hidePreview();
+  }
+
+  clear() {
+    this.cancel();
+    this.measurements.forEach(measurement => {
+      this.group.remove(measurement.line, measurement.label, ...measurement.markers);
+      measurement.line.geometry.dispose();
+      disposeLabelSprite(measurement.label);
+    });
+    this.measurements = [];
+  }
+
+  /**
+   * @returns {Array<{start: THREE.Vector3, end: THREE.Vector3, distance: number}>}
+   */
+  getMeasurements() {
+    return this.measurements.map(({ start, end, distance }) => ({ start: start.clone(), end: end.clone(), distance }));
+  }
+
+  createMarker(position) {
+    const marker = new THREE.Mesh(this.markerGeometry, this.markerMaterial);
+    marker.position.copy(position);
+    marker.renderOrder = 3;
+    this.group.add(marker);
+    return marker;
+  }
+
+  createLabel(distance, start, end) {
+    const label = createLabelSprite(formatDistance(distance), LABEL_STYLE);
+    placeLabel(label, start, end);
+    label.renderOrder = 4;
+    this.group.add(label);
+    return label;
+  }
+
+  dispose() {
+    this.clear();
+    this.scene.remove(this.group);
+    this.previewLine.geometry.dispose();
+    this.lineMaterial.dispose();
+    this.previewMaterial.dispose();
+    this.markerGeometry.dispose();
+    this.markerMaterial.dispose();
+  }
+}
@@ -3,6 +3,8 @@
 
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader';
+import { computeModelBounds } from './utils/Footprint.js';
+import equipmentConfig from '../config/equipment';
 
 export class ModelLoader {
   constructor() {
@@ -11,6 +13,54 @@ export class ModelLoader {
     
     // Model cache
     this.modelCache = {};
+
+    // Model type -> {width, height, depth} measured from the loaded asset (in meters)
+    this.measuredDimensions = {};
+  }
+
+  /**
+   * Measures a loaded model in its own frame: width along X, height along Y, depth along Z.
+   * @param {THREE.Object3D} model - Model with an identity transform.
+   * @returns {{width: number, height: number, depth: number}|null} - Null for models without meshes.
+   */
+  measure(model) {
+    const box = computeModelBounds(model);
+    if (box.isEmpty()) return null;
+    const size = box.getSize(new THREE.Vector3());
+    return { width: size.x, height: size.y, depth: size.z };
+  }
+
+  /**
+   * Warns when a measured model disagrees with equipmentConfig.dimensions by more than the tolerance.
+   * Placeholder sizes (entries not marked `verified`) are not checked.
+   * @param {string} modelType
+   * @param {{width: number, height: number, depth: number}} measured
+   * @returns {Array<string>} - The sides that disagree.
+   */
+  checkDimensions(modelType, measured) {
+    const configured = equipmentConfig.dimensions[modelType];
+    if (!configured || !configured.verified || !measured) return [];
+
+    const tolerance = equipmentConfig.dimensionTolerance;
+    const mismatched = ['width', 'height', 'depth']
+      .filter(side => Math.abs(measured[side] - configured[side]) > tolerance);
+    if (mismatched.length > 0) {
+      const format = (d) => `${d.width.toFixed(2)} × ${d.depth.toFixed(2)} × ${d.height.toFixed(2)} m`;
+      console.warn(
+        `ModelLoader: ${modelType} measures ${format(measured)} (W × D × H) but the config says ${format(configured)};` +
+        ` ${mismatched.join(', ')} off by more than ${tolerance} m`
+      );
+    }
+    return mismatched;
+  }
+
+  /**
+   * Size of a model type: the measured size once the asset has loaded, the configured size before that.
+   * @param {string} modelType
+   * @returns {{width: number, height: number, depth: number}|null}
+   */
+  getDimensions(modelType) {
+    return this.measuredDimensions[modelType] || equipmentConfig.dimensions[modelType] || null;
   }
   
   /**
@@ -47,6 +97,14 @@ export class ModelLoader {
           }
         });
         
+        // Measure the asset before it is moved, so clones from the cache carry the size too
+        const measured = this.measure(model);
+        if (measured) {
+          this.measuredDimensions[modelType] = measured;
+          model.userData.measuredDimensions = { ...measured };
+          this.checkDimensions(modelType, measured);
+        }
+
         // Cache the model
         this.modelCache[modelType] = model.clone();
         
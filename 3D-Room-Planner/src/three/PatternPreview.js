@@ -0,0 +1,62 @@
+// src/three/PatternPreview.js
+// Translucent boxes showing where the pattern tool would place copies, red where a copy would not fit
+
+import * as THREE from 'three';
+import placementConfig from '../config/placement';
+
+export class PatternPreview {
+  constructor(scene) {
+    this.scene = scene;
+    this.ghosts = [];
+
+    this.group = new THREE.Group();
+    this.group.name = 'PatternPreview';
+    this.group.userData.isEditorHelper = true;
+    this.scene.add(this.group);
+
+    // Ghosts share one unit box, scaled to the model's bounds
+    this.ghostGeometry = new THREE.BoxGeometry(1, 1, 1);
+    this.ghostGeometry.translate(0, 0.5, 0); // Origin on the floor
+    const ghostMaterial = (color) => new THREE.MeshBasicMaterial({
+      color, transparent: true, opacity: 0.3, depthWrite: false
+    });
+    this.okMaterial = ghostMaterial(placementConfig.patternPreviewColor);
+    this.blockedMaterial = ghostMaterial(placementConfig.collisionWarningColor);
+  }
+
+  /**
+   * Shows one ghost per placed footprint.
+   * @param {Array<{x: number, z: number, rotationY: number, halfWidth: number, halfDepth: number}>} footprints
+   * @param {{bottom: number, height: number}} extent - Vertical extent of the model.
+   * @param {Array<boolean>} blocked - Copies that would overlap equipment or leave the room.
+   */
+  show(footprints, extent, blocked) {
+    while (this.ghosts.length > footprints.length) this.group.remove(this.ghosts.pop());
+    while (this.ghosts.length < footprints.length) {
+      const ghost = new THREE.Mesh(this.ghostGeometry, this.okMaterial);
+      ghost.renderOrder = 1;
+      this.group.add(ghost);
+      this.ghosts.push(ghost);
+    }
+
+    footprints.forEach((footprint, index) => {
+      const ghost = this.ghosts[index];
+      ghost.material = blocked[index] ? this.blockedMaterial : this.okMaterial;
+      ghost.position.set(footprint.x, extent.bottom, footprint.z);
+      ghost.rotation.y = footprint.rotationY;
+      ghost.scale.set(footprint.halfWidth * 2, Math.max(extent.height, 0.01), footprint.halfDepth * 2);
+    });
+  }
+
+  clear() {
+    this.show([], { bottom: 0, height: 0 }, []);
+  }
+
+  dispose() {
+    this.clear();
+    this.scene.remove(this.group);
+    this.ghostGeometry.dispose();
+    this.okMaterial.dispose();
+    this.blockedMaterial.dispose();
+  }
+}
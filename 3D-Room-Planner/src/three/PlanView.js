@@ -0,0 +1,215 @@
+// src/three/PlanView.js
+// Floor-plan drawing for the 2D view: filled walls with door and window symbols, equipment footprints
+// with labels, wall dimensions and a grid on white paper. It lies on the floor; SceneManager hides the
+// 3D room and models while it renders the plan, so editor helpers still draw over it.
+
+import * as THREE from 'three';
+import { footprintCorners } from './utils/Footprint.js';
+import { getWallLines } from './utils/Guides.js';
+import { openingSymbol, wallDimension, frontMarker } from './utils/PlanSymbols.js';
+import { updateLabel, removeLabel, disposeLabelSprite } from './utils/LabelSprite.js';
+
+// Drawing layers, bottom to top, as heights above the floor; editor helpers start at 0.02
+const LAYER = { paper: 0, grid: 0.001, walls: 0.002, openings: 0.003, footprints: 0.004, lines: 0.005 };
+const PAPER_SIZE = 1000;
+
+const WALL_COLOR = 0x2d3748;
+const LINE_COLOR = 0x1a202c;
+const DIMENSION_COLOR = 0x4a5568;
+const OPENING_COLOR = 0xffffff;
+const PAPER_COLOR = 0xffffff;
+const GRID_COLOR = 0xe2e8f0;
+// Footprint fills by state
+const FOOTPRINT_COLORS = {
+  normal: 0xffffff,
+  selected: 0xbee3f8,
+  overlapping: 0xfed7d7,
+  outside: 0xfeebc8
+};
+
+
+export class PlanView {
+  constructor(scene) {
+    this.scene = scene;
+    this.labels = new Map(); // Key -> {sprite, text}
+
+    this.group = new THREE.Group();
+    this.group.name = 'PlanView';
+    this.group.userData.isEditorHelper = true;
+    this.group.visible = false;
+    this.scene.add(this.group);
+
+    this.paperMaterial = new THREE.MeshBasicMaterial({ color: PAPER_COLOR });
+    this.paper = new THREE.Mesh(new THREE.PlaneGeometry(PAPER_SIZE, PAPER_SIZE).rotateX(-Math.PI / 2), this.paperMaterial);
+    this.paper.position.y = LAYER.paper;
+    this.gridMaterial = new THREE.LineBasicMaterial({ color: GRID_COLOR });
+    this.grid = new THREE.LineSegments(new THREE.BufferGeometry(), this.gridMaterial);
+    this.group.add(this.paper, this.grid);
+
+    this.wallMaterial = new THREE.MeshBasicMaterial({ color: WALL_COLOR, side: THREE.DoubleSide });
+    this.openingMaterial = new THREE.MeshBasicMaterial({ color: OPENING_COLOR, side: THREE.DoubleSide });
+    this.footprintMaterial = new THREE.MeshBasicMaterial({ vertexColors: true, side: THREE.DoubleSide });
+    this.lineMaterial = new THREE.LineBasicMaterial({ color: LINE_COLOR });
+    this.dimensionMaterial = new THREE.LineBasicMaterial({ color: DIMENSION_COLOR });
+
+    this.walls = new THREE.Mesh(new THREE.BufferGeometry(), this.wallMaterial);
+    this.openings = new THREE.Mesh(new THREE.BufferGeometry(), this.openingMaterial);
+    this.footprints = new THREE.Mesh(new THREE.BufferGeometry(), this.footprintMaterial);
+    this.lines = new THREE.LineSegments(new THREE.BufferGeometry(), this.lineMaterial);
+    this.dimensions = new THREE.LineSegments(new THREE.BufferGeometry(), this.dimensionMaterial);
+    this.group.add(this.walls, this.openings, this.footprints, this.lines, this.dimensions);
+  }
+
+  setVisible(visible) {
+    this.group.visible = !!visible;
+  }
+
+  get visible() {
+    return this.group.visible;
+  }
+
+  /**
+   * Draws the grid lines of a square grid centred on the origin, like the 3D view's grid.
+   * @param {{size: number, step: number}|null} grid - Null hides the grid.
+   */
+  setGrid(grid) {
+    const points = [];
+    if (grid && grid.step > 0) {
+      const half = grid.size / 2;
+      const count = Math.round(grid.size / grid.step);
+      for (let i = 0; i <= count; i++) {
+        const offset = -half + i * grid.step;
+        points.push({ x: offset, z: -half }, { x: offset, z: half }, { x: -half, z: offset }, { x: half, z: offset });
+      }
+    }
+    setGeometry(this.grid, segmentsGeometry(points), LAYER.grid);
+  }
+
+  /**
+   * Redraws the plan.
+   * @param {Object} plan - World-space data, see SceneManager.refreshPlanView.
+   * @param {Array<{x: number, z: number}>} plan.inner - Inner wall faces (the floor polygon).
+   * @param {Array<{x: number, z: number}>} plan.outer - Outer wall corners, index for index with `inner`.
+   * @param {number} plan.thickness - Wall thickness.
+   * @param {Array<Object>} plan.openings - Doors and windows, see Room.addOpening.
+   * @param {Array<{key: string, footprint: Object, label: string, state: string}>} plan.models
+   *   Footprints with their label and state ('normal', 'selected', 'overlapping' or 'outside').
+   */
+  update({ inner = [], outer = [], thickness = 0, openings = [], models = [] }) {
+    const lines = [];
+    const dimensions = [];
+    const usedLabels = new Set();
+    const label = (key, text, position) => {
+      this.setLabel(key, text, position);
+      usedLabels.add(key);
+    };
+
+    // Walls: the band between the outer and inner outlines
+    const hasRoom = inner.length >= 3 && outer.length === inner.length;
+    setGeometry(this.walls, hasRoom ? bandGeometry(outer, inner) : null, LAYER.walls);
+    if (hasRoom) {
+      pushLoop(lines, inner);
+      pushLoop(lines, outer);
+    }
+
+    // Doors and windows: a gap in the band with the usual symbols
+    const walls = hasRoom ? getWallLines(inner) : [];
+    const openingTriangles = [];
+    openings.forEach(opening => {
+      const wall = walls.find(entry => entry.index === opening.wallIndex);
+      if (!wall) return;
+      const { gap, lines: symbol } = openingSymbol(opening, wall, thickness);
+      openingTriangles.push(gap[0], gap[1], gap[2], gap[0], gap[2], gap[3]);
+      symbol.forEach(segment => lines.push(...segment));
+    });
+    setGeometry(this.openings, trianglesGeometry(openingTriangles), LAYER.openings);
+
+    // Wall lengths, outside the walls
+    walls.forEach(wall => {
+      const dimension = wallDimension(wall, thickness);
+      dimension.lines.forEach(segment => dimensions.push(...segment));
+      label(`wall-${wall.index}`, `${wall.length.toFixed(2)} m`, dimension.label);
+    });
+
+    // Equipment: filled footprints with an outline, a mark on the front side and the model's name
+    const fills = [];
+    const colors = [];
+    const color = new THREE.Color();
+    models.forEach(({ key, footprint, label: text, state }) => {
+      const [c0, c1, c2, c3] = footprintCorners(footprint);
+      fills.push(c0, c1, c2, c0, c2, c3);
+      color.setHex(FOOTPRINT_COLORS[state] || FOOTPRINT_COLORS.normal);
+      for (let i = 0; i < 6; i++) colors.push(color.r, color.g, color.b);
+      pushLoop(lines, [c0, c1, c2, c3]);
+
+      frontMarker(footprint).forEach(segment => lines.push(...segment));
+
+      label(`model-${key}`, text, footprint);
+    });
+    const footprintGeometry = trianglesGeometry(fills);
+    if (footprintGeometry) footprintGeometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+    setGeometry(this.footprints, footprintGeometry, LAYER.footprints);
+
+    setGeometry(this.lines, segmentsGeometry(lines), LAYER.lines);
+    setGeometry(this.dimensions, segmentsGeometry(dimensions), LAYER.lines);
+
+    this.labels.forEach((entry, key) => {
+      if (usedLabels.has(key)) return;
+      removeLabel(this.group, entry);
+      this.labels.delete(key);
+    });
+  }
+
+  setLabel(key, text, position) {
+    const entry = updateLabel(this.group, this.labels.get(key), text, {
+      textColor: '#1a202c',
+      backgroundColor: null,
+      canvasWidth: 80,
+      canvasHeight: 24
+    });
+    entry.sprite.name = `PlanLabel_${key}`;
+    this.labels.set(key, entry);
+    entry.sprite.position.set(position.x, LAYER.lines + 0.01, position.z);
+  }
+
+  dispose() {
+    this.labels.forEach(entry => disposeLabelSprite(entry.sprite));
+    this.labels.clear();
+    [this.paper, this.grid, this.walls, this.openings, this.footprints, this.lines, this.dimensions]
+      .forEach(object => object.geometry.dispose());
+    [this.paperMaterial, this.gridMaterial, this.wallMaterial, this.openingMaterial, this.footprintMaterial,
+      this.lineMaterial, this.dimensionMaterial].forEach(material => material.dispose());
+    this.scene.remove(this.group);
+  }
+}
+
+function pushLoop(segments, points) {
+  points.forEach((point, index) => segments.push(point, points[(index + 1) % points.length]));
+}
+
+// Swaps in a new geometry (null draws nothing) at a drawing layer
+function setGeometry(object, geometry, layer) {
+  object.geometry.dispose();
+  object.geometry = geometry || new THREE.BufferGeometry();
+  object.position.y = layer;
+}
+
+// Shapes are drawn in X/Y, so floor points go in as (x, -z) and come out on the floor after the rotation
+function bandGeometry(outer, inner) {
+  const shape = new THREE.Shape(outer.map(point => new THREE.Vector2(point.x, -point.z)));
+  shape.holes.push(new THREE.Path(inner.map(point => new THREE.Vector2(point.x, -point.z))));
+  const geometry = new THREE.ShapeGeometry(shape);
+  geometry.rotateX(-Math.PI / 2);
+  return geometry;
+}
+
+function trianglesGeometry(points) {
+  if (points.length === 0) return null;
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(points.flatMap(point => [point.x, 0, point.z]), 3));
+  return geometry;
+}
+
+function segmentsGeometry(points) {
+  return trianglesGeometry(points); // Same layout: consecutive pairs of floor points
+}
@@ -4,11 +4,41 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js'; // Ensure .js extension for modules
 import { RGBELoader } from 'three/examples/jsm/loaders/RGBELoader.js';    // For HDR environment maps
-import { Room } from './objects/Room.js';         // Assuming Room.js exists and exports Room class
+import { Room, DEFAULT_WALL_HEIGHT, DEFAULT_WALL_THICKNESS } from './objects/Room.js';         // Assuming Room.js exists and exports Room class
 import { ModelLoader } from './ModelLoader.js';   // Assuming ModelLoader.js exists
 import { GridHelper } from './utils/GridHelper.js'; // Assuming GridHelper.js exists
 import { InteractionManager } from './InteractionManager.js'; // Assuming InteractionManager.js exists
 import { FloorDimensionEditor } from './FloorDimensionEditor';
+import { CollisionManager } from './CollisionManager.js';
+import { ClearanceManager } from './ClearanceManager.js';
+import { DimensionOverlay } from './DimensionOverlay.js';
+import { DistanceOverlay } from './DistanceOverlay.js';
+import { PROJECT_FORMAT, PROJECT_SCHEMA_VERSION, migrateProject, toPlainVector } from './utils/ProjectSchema.js';
+import { buildExportScene, exportToGLB } from './utils/SceneExporter.js';
+import { computeRoomStats } from './utils/RoomStats.js';
+import { PatternPreview } from './PatternPreview.js';
+import { SmartGuides } from './SmartGuides.js';
+import { MeasureTool } from './MeasureTool.js';
+import { PlanView } from './PlanView.js';
+import { FloorUnderlay } from './FloorUnderlay.js';
+import { computeModelBounds, getLocalFootprint, getFootprint, placeFootprint, footprintOverlap } from './utils/Footprint.js';
+import { getWallLines, findFacingRotation, computeGuideSnap } from './utils/Guides.js';
+import { computePatternPlacements } from './utils/Pattern.js';
+import { FloorPlanEngine } from './utils/FloorPlanEngine.js';
+import { computeAlignment, computeDistribution } from './utils/Arrange.js';
+import { downloadBlob, downloadText } from '../utils/fileDownload';
+import { buildBillOfMaterials, billOfMaterialsToCSV, billOfMaterialsToQuoteHTML } from '../utils/BillOfMaterials';
+import { buildFloorPlan, paginateFloorPlan, floorPlanToSVG, floorPlanToPDF } from '../utils/FloorPlanExport';
+import { AutosaveStore } from '../utils/AutosaveStore';
+import { readFloorPlanImage } from '../utils/FloorPlanImport';
+import openingsConfig from '../config/openings';
+import placementConfig from '../config/placement';
+// Orthographic camera of the 2D plan view
+const PLAN_CAMERA_HEIGHT = 50; // Above the tallest wall or machine
+const PLAN_MARGIN = 2; // Meters of paper left around the walls when the plan is fitted to the room
+const PLAN_MIN_ZOOM = 0.2;
+const PLAN_MAX_ZOOM = 10;
+
 // import React, { useState, useRef, useEffect } from 'react';
 // import Toolbar from '../components/UI/Toolbar';
 
@@ -53,6 +83,39 @@ export class SceneManager {
     this.floorDimensionEditorInstance = null;
     this.grid = null;
     this.orbitControls = null; // Initialize orbitControls
+    this.viewMode = '3D'; // '2D' or '3D', kept in sync by setView2D/setView3D
+    this.autosaveStore = new AutosaveStore({ maxSnapshots: 5 });
+    this.autosaveDelay = 1500; // ms of inactivity before a snapshot is written
+    this.autosaveTimer = null;
+    this.isRestoringProject = false; // Suppresses autosave while a project is being loaded
+    this.selectedOpeningId = null; // Door/window currently selected (openings live in the room, not in this.objects)
+    this.openingDragStartState = null; // Openings before the current drag, recorded as one undo step on release
+    this.collisionManager = null;
+    this.clearanceManager = null;
+    this.dimensionOverlay = null; // Width/depth/height lines around the selected model
+    this.distanceOverlay = null; // Distances from the selected model to the walls and its nearest neighbour
+    this.patternPreview = null; // Ghost copies shown while the pattern tool is open
+    this.smartGuides = null; // Alignment guides shown while a model is dragged
+    this.measureTool = null; // Tape-measure annotations, kept until cleared
+    this.planView = null; // Floor-plan drawing shown in the 2D view
+    this.floorUnderlay = null; // Imported floor-plan drawing to trace the room over
+    this.floorPlanEngine = null; // Corner-by-corner room drawing ('draw-walls' interaction mode)
+    this.wallDrawingMessage = null; // Why the last wall-drawing click was refused, shown until the next one
+    this.perspectiveCamera = null; // 3D view camera
+    this.planCamera = null; // 2D view camera (orthographic, looking straight down)
+    this.planViewSize = 20; // Meters of floor the plan camera shows top to bottom at zoom 1
+    this.savedView3D = null; // 3D camera pose to return to when leaving the 2D view
+    // Drag snapping; gridStep defaults to the grid spacing once the grid exists
+    this.snapSettings = {
+      gridEnabled: placementConfig.defaultGridSnap,
+      gridStep: 1,
+      angleStep: placementConfig.defaultAngleSnap,
+      guidesEnabled: placementConfig.defaultSmartGuides,
+      autoRotate: placementConfig.defaultAutoRotate
+    };
+    this.transformStartStates = null; // Model -> state before the current drag/rotation, recorded as one undo step at the end
+    // Result of the last warning refresh: overlapping models, models outside the room, blocked clearance zones
+    this.placementWarnings = { overlapping: new Set(), outside: new Set(), clearance: [] };
     // this.grid = null;
 
     this.onWindowResize = this.onWindowResize.bind(this);
@@ -70,6 +133,8 @@ export class SceneManager {
       this.floorDimensionEditorInstance = new FloorDimensionEditor(
           this.scene, this.camera, this.renderer, this.orbitControls
       );
+      // Invalid shapes are held back by the editor; the panel lists what needs fixing
+      this.floorDimensionEditorInstance.onValidationChanged = () => this.dispatchFloorEditorState();
   } else {
       console.error("SceneManager: Could not initialize FloorDimensionEditor due to missing dependencies (scene, camera, renderer, or orbitControls).");
   }
@@ -123,14 +188,33 @@ export class SceneManager {
   }
 
   initCamera() {
-    this.camera = new THREE.PerspectiveCamera(
+    this.perspectiveCamera = new THREE.PerspectiveCamera(
       45, // FOV
       this.container.clientWidth / this.container.clientHeight, // Aspect ratio
       0.1, // Near clipping plane
       1000 // Far clipping plane
     );
-    this.camera.position.set(5, 5, 10);
-    this.camera.lookAt(0, 0, 0);
+    this.perspectiveCamera.position.set(5, 5, 10);
+    this.perspectiveCamera.lookAt(0, 0, 0);
+
+    // Frustum is set from the container size by updatePlanFrustum()
+    this.planCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 1000);
+    this.planCamera.position.set(0, PLAN_CAMERA_HEIGHT, 0);
+    this.planCamera.lookAt(0, 0, 0);
+    this.updatePlanFrustum();
+
+    this.camera = this.perspectiveCamera; // Active camera, swapped by setView2D/setView3D
+  }
+
+  updatePlanFrustum() {
+    if (!this.planCamera || !this.container) return;
+    const aspect = this.container.clientWidth / this.container.clientHeight || 1;
+    const halfHeight = this.planViewSize / 2;
+    this.planCamera.left = -halfHeight * aspect;
+    this.planCamera.right = halfHeight * aspect;
+    this.planCamera.top = halfHeight;
+    this.planCamera.bottom = -halfHeight;
+    this.planCamera.updateProjectionMatrix();
   }
 
   initRenderer() {
@@ -305,6 +389,8 @@ export class SceneManager {
         this.orbitControls.screenSpacePanning = false;
         this.orbitControls.minDistance = 1; // Adjusted minDistance
         this.orbitControls.maxDistance = 50; // Adjusted maxDistance
+        this.orbitControls.minZoom = PLAN_MIN_ZOOM; // Zoom limits of the orthographic plan camera
+        this.orbitControls.maxZoom = PLAN_MAX_ZOOM;
         this.orbitControls.maxPolarAngle = Math.PI / 2 - 0.05; // Prevent going too far below horizon
     } else {
         console.error("SceneManager: Camera or renderer not ready for OrbitControls.");
@@ -322,6 +408,8 @@ export class SceneManager {
     // The provided Room.js takes height. Let's use that.
     this.room = new Room(2.5); // Pass default height
     this.room.buildFromPolygon(defaultRoomPoints, false);
+    // Registered after the default build so only real shape changes are reported and autosaved
+    this.room.onShapeChanged = () => this.handleRoomShapeChanged();
 
     if (this.room.group) {
       this.room.group.traverse((object) => { /* ... your material setup ... */ });
@@ -342,6 +430,68 @@ export class SceneManager {
     });
   }
 
+  // Called by Room after every rebuild, whichever path (template popup, floor editor, project import) triggered it
+  handleRoomShapeChanged() {
+    if (!this.room || !this.room.group) return;
+    const worldPoints = this.syncRoomPolygon();
+    if (this.container) {
+      this.container.dispatchEvent(new CustomEvent('room-shape-updated', { detail: { points: worldPoints } }));
+    }
+    // Equipment left outside the new shape is flagged by the layout refresh below
+    this.handleLayoutChanged();
+    this.scheduleAutosave();
+  }
+
+  /**
+   * Hands the room's outline to the managers that keep models inside it and clear of the walls.
+   * @returns {Array<{x: number, z: number}>} - The outline in world coordinates.
+   */
+  syncRoomPolygon() {
+    if (!this.room || !this.room.group) return [];
+    this.room.group.updateMatrixWorld(true);
+    const worldPoints = this.room.getCurrentPoints().map(localPoint => {
+      const worldPoint = new THREE.Vector3(localPoint.x, 0, localPoint.z).applyMatrix4(this.room.group.matrixWorld);
+      return { x: worldPoint.x, z: worldPoint.z };
+    });
+    if (this.collisionManager) this.collisionManager.setRoomPolygon(worldPoints);
+    if (this.clearanceManager) this.clearanceManager.setRoomPolygon(worldPoints);
+    return worldPoints;
+  }
+
+  /**
+   * Floor area, perimeter, wall surface and equipment coverage of the current layout.
+   * @returns {Object} - See computeRoomStats.
+   */
+  getRoomStats() {
+    return {
+      ...computeRoomStats(this.room, this.objects, object => this.measureFootprint(object)),
+      equipmentOverlapping: this.placementWarnings.overlapping.size,
+      equipmentOutside: this.placementWarnings.outside.size,
+      blockedClearanceZones: this.placementWarnings.clearance.length
+    };
+  }
+
+  // Local footprint of a model; while a drag is under way it comes from the collision manager's cache,
+  // since everything derived from the layout is refreshed on every drag step
+  measureFootprint(object) {
+    return this.collisionManager ? this.collisionManager.getLocalFootprint(object) : getLocalFootprint(object);
+  }
+
+  // Called after anything that reshapes the room or moves equipment: refreshes what is derived from the layout
+  handleLayoutChanged() {
+    this.refreshPlacementWarnings();
+    if (this.dimensionOverlay) this.dimensionOverlay.update();
+    if (this.distanceOverlay) this.distanceOverlay.update();
+    this.refreshPlanView();
+    this.dispatchRoomStats();
+  }
+
+  dispatchRoomStats() {
+    if (this.container && this.room) {
+      this.container.dispatchEvent(new CustomEvent('room-stats-updated', { detail: this.getRoomStats() }));
+    }
+  }
+
   initGrid() {
     if (!this.scene ) return;
     this.grid = new GridHelper(30, 30, 0.5); // size, divisions, centerLineColor, gridColor
@@ -356,6 +506,7 @@ export class SceneManager {
   toggleGridVisibility() {
     if (this.grid && this.grid.grid) {
       this.grid.grid.visible = !this.grid.grid.visible;
+      this.refreshPlanView(); // The plan draws its own copy of the grid
       console.log(`SceneManager: Grid is now ${this.grid.grid.visible ? 'visible' : 'hidden'}`);
     }
   }
@@ -370,22 +521,69 @@ export class SceneManager {
           this.orbitControls
         );
         this.interactionManager.setFloorLevel(this.floorLevel);
+        this.interactionManager.setMarqueeEnabled(this.viewMode === '2D');
+        if (this.grid) this.snapSettings.gridStep = this.grid.getCellSize();
+        this.applySnapSettings();
+        this.collisionManager = new CollisionManager(this.scene);
+        this.clearanceManager = new ClearanceManager(this.scene);
+        // The starting room was built before the managers existed (and before onShapeChanged was registered)
+        this.syncRoomPolygon();
+        this.dimensionOverlay = new DimensionOverlay(this.scene);
+        this.distanceOverlay = new DistanceOverlay(this.scene, () => ({
+          objects: this.objects,
+          roomPolygon: this.collisionManager ? this.collisionManager.roomPolygon : null
+        }), object => this.measureFootprint(object));
+        this.patternPreview = new PatternPreview(this.scene);
+        this.smartGuides = new SmartGuides(this.scene);
+        this.measureTool = new MeasureTool(this.scene);
+        this.planView = new PlanView(this.scene);
+        this.floorUnderlay = new FloorUnderlay(this.scene);
+        const wallDrawingGroup = new THREE.Group();
+        wallDrawingGroup.name = 'WallDrawing';
+        wallDrawingGroup.userData.isEditorHelper = true;
+        this.scene.add(wallDrawingGroup);
+        this.floorPlanEngine = new FloorPlanEngine(wallDrawingGroup);
+        this.interactionManager.constrainPosition = (object, proposed, current) => this.constrainDragPosition(object, proposed, current);
         this.interactionManager.setCallbacks({
           onObjectSelected: (object) => {
+            if (object.userData.isOpening) {
+              this.selectedOpeningId = object.userData.openingId;
+              this.dispatchOpeningSelected();
+              return;
+            }
             this.selectedObject = object;
             if (this.container) this.container.dispatchEvent(new CustomEvent('object-selected', { detail: object }));
           },
           onObjectDeselected: () => {
             this.selectedObject = null;
+            this.selectedOpeningId = null;
             if (this.container) this.container.dispatchEvent(new CustomEvent('object-deselected'));
           },
-          onObjectChanged: (object, previousState) => { // Assuming InteractionManager can provide previousState
-            this.addToUndoStack({
-              type: 'transform',
-              object: object,
-              previousProperties: previousState, // State BEFORE the change
-              newProperties: this.getObjectState(object) // State AFTER the change
+          onSelectionChanged: (objects) => {
+            // Dimensions and distances are only drawn for a single model
+            const single = objects.length === 1 && !objects[0].userData.isOpening ? objects[0] : null;
+            [this.dimensionOverlay, this.distanceOverlay].forEach(overlay => {
+              if (!overlay) return;
+              if (single) overlay.show(single);
+              else overlay.hide();
             });
+            this.refreshPlanView(); // Selected footprints are tinted in the plan
+            if (this.container) this.container.dispatchEvent(new CustomEvent('selection-changed', { detail: objects }));
+          },
+          onTransformStarted: (objects) => {
+            this.transformStartStates = new Map(objects.map(object => [object, this.getObjectState(object)]));
+            if (this.collisionManager) this.collisionManager.cacheFootprints(this.objects);
+          },
+          onObjectChanged: () => {
+            // Moves and rotations are recorded once they end; meanwhile only the derived layout follows
+            this.handleLayoutChanged();
+          },
+          onTransformEnded: () => {
+            if (this.smartGuides) this.smartGuides.clear();
+            if (this.collisionManager) this.collisionManager.clearFootprintCache();
+            if (!this.transformStartStates) return;
+            this.recordTransforms(this.transformStartStates);
+            this.transformStartStates = null;
           },
           onObjectPinned: (object) => {
             if (this.container) this.container.dispatchEvent(new CustomEvent('object-pinned', { detail: object }));
@@ -393,13 +591,67 @@ export class SceneManager {
           onObjectUnpinned: (object) => {
             if (this.container) this.container.dispatchEvent(new CustomEvent('object-unpinned', { detail: object }));
           },
-          onObjectDeleted: (object) => {
-            const originalState = this.getObjectState(object); // Get state before filtering
-            this.objects = this.objects.filter(obj => obj !== object);
-            this.addToUndoStack({ type: 'remove', object: object, properties: originalState });
+          onPinSelection: (pinned) => this.setSelectionPinned(pinned),
+          onObjectsDeleted: (objects) => {
+            const actions = objects.map(object => ({ type: 'remove', object, properties: this.getObjectState(object) }));
+            this.objects = this.objects.filter(obj => !objects.includes(obj));
+            this.recordActions(actions);
+          },
+          onOpeningDragged: (object, worldPoint) => {
+            if (!this.room) return;
+            if (!this.openingDragStartState) this.openingDragStartState = this.room.getOpenings();
+            this.room.moveOpeningToPoint(object.userData.openingId, this.worldToRoomLocal(worldPoint));
+            this.refreshPlanView();
+          },
+          onOpeningDragEnded: () => {
+            if (!this.openingDragStartState) return;
+            this.recordOpeningsChange(this.openingDragStartState);
+            this.openingDragStartState = null;
+            this.dispatchOpeningSelected();
+          },
+          onOpeningDeleted: (object) => {
+            this.removeOpening(object.userData.openingId);
+          },
+          onPointPicked: (point, mode, modifiers) => {
+            if (mode === 'calibrate') this.addUnderlayCalibrationPoint(point);
+            else if (mode === 'draw-walls') this.addWallDrawingPoint(point, modifiers);
+            else if (this.measureTool && this.measureTool.addPoint(this.toMeasurePoint(point))) this.dispatchMeasurements();
+          },
+          onPointHover: (point, mode, modifiers) => {
+            if (mode === 'calibrate') {
+              if (this.floorUnderlay) this.floorUnderlay.updateCalibrationPreview(point);
+            } else if (mode === 'draw-walls') {
+              if (this.floorPlanEngine) this.floorPlanEngine.update(point && { x: point.x, y: point.z }, this.getWallDrawingOptions(modifiers));
+            } else if (this.measureTool) {
+              this.measureTool.updatePreview(point && this.toMeasurePoint(point));
+            }
+          },
+          onPointCancel: (mode) => {
+            // Esc drops the first point of a measurement or calibration, or the last corner of a room being
+            // drawn, and leaves the mode when there is nothing to drop
+            if (mode === 'calibrate' && this.floorUnderlay && this.floorUnderlay.calibrationPoints.length > 0) {
+              this.floorUnderlay.cancelCalibration();
+              this.dispatchUnderlayState();
+            } else if (mode === 'draw-walls' && this.floorPlanEngine && this.floorPlanEngine.corners.length > 0) {
+              this.removeLastWallCorner();
+            } else if (mode === 'measure' && this.measureTool && this.measureTool.pendingStart) {
+              this.measureTool.cancel();
+            } else {
+              this.setInteractionMode('translate');
+            }
           },
           onModeChanged: (mode) => {
             this.interactionMode = mode;
+            if (mode !== 'measure' && this.measureTool) this.measureTool.cancel();
+            if (mode !== 'draw-walls' && this.floorPlanEngine) {
+              this.floorPlanEngine.reset();
+              this.wallDrawingMessage = null;
+            }
+            // A completed calibration pair waits for its real distance; a single point is dropped
+            if (mode !== 'calibrate' && this.floorUnderlay && this.floorUnderlay.calibrationPoints.length === 1) {
+              this.floorUnderlay.cancelCalibration();
+              this.dispatchUnderlayState();
+            }
             if (this.container) this.container.dispatchEvent(new CustomEvent('mode-changed', { detail: mode }));
           }
         });
@@ -410,8 +662,9 @@ export class SceneManager {
 
   onWindowResize() {
     if (this.camera && this.renderer && this.container) {
-      this.camera.aspect = this.container.clientWidth / this.container.clientHeight;
-      this.camera.updateProjectionMatrix();
+      this.perspectiveCamera.aspect = this.container.clientWidth / this.container.clientHeight;
+      this.perspectiveCamera.updateProjectionMatrix();
+      this.updatePlanFrustum();
       this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
     }
   }
@@ -449,7 +702,7 @@ export class SceneManager {
 
     if (this.renderer && this.scene && this.camera) {
       try {
-        this.renderer.render(this.scene, this.camera);
+        this.renderFrame();
       } catch (error) {
         console.warn('SceneManager: Error during rendering:', error);
       }
@@ -482,29 +735,8 @@ export class SceneManager {
         targetXZPosition.z
       );
 
-      model.userData.isModelRoot = true;
-      model.userData.selectable = true;
-      model.userData.type = modelType;
       model.userData.finalYPosition = model.position.y;
-
-      // Configure materials for HDR lighting
-      if (this.scene && this.scene.environment) {
-        model.traverse((object) => {
-          if (object.isMesh && object.material) {
-            const materials = Array.isArray(object.material) ? object.material : [object.material];
-            materials.forEach(material => {
-              if (material.isMeshStandardMaterial || material.isMeshPhysicalMaterial) {
-                material.envMap = this.scene.environment;
-                material.envMapIntensity = 1.0; // Consistent with applyEnvironmentToObjects
-                material.needsUpdate = true;
-              }
-            });
-          }
-        });
-      } else if (!this.isLoadingHDR) { // If HDR is not loading and not set, mark environment as not applied
-          this.environmentApplied = false;
-      }
-
+      this.prepareModel(model, modelType);
 
       this.scene.add(model);
       this.objects.push(model);
@@ -514,16 +746,188 @@ export class SceneManager {
     });
   }
 
+  // Marks a freshly loaded model as a selectable model root and applies the HDR environment to its materials
+  prepareModel(model, modelType) {
+    model.userData.isModelRoot = true;
+    model.userData.selectable = true;
+    model.userData.type = modelType;
+
+    // Configure materials for HDR lighting
+    if (this.scene && this.scene.environment) {
+      model.traverse((object) => {
+        if (object.isMesh && object.material) {
+          const materials = Array.isArray(object.material) ? object.material : [object.material];
+          materials.forEach(material => {
+            if (material.isMeshStandardMaterial || material.isMeshPhysicalMaterial) {
+              material.envMap = this.scene.environment;
+              material.envMapIntensity = 1.0; // Consistent with applyEnvironmentToObjects
+              material.needsUpdate = true;
+            }
+          });
+        }
+      });
+    } else if (!this.isLoadingHDR) { // If HDR is not loading and not set, mark environment as not applied
+        this.environmentApplied = false;
+    }
+  }
+
+  /**
+   * Places a door or window from the openings presets on the longest wall and selects it.
+   * @param {string} presetId - Key of openingsConfig.presets (e.g. 'door', 'fireExit', 'window').
+   * @returns {Object|null} - The added opening.
+   */
+  addOpening(presetId) {
+    const preset = openingsConfig.presets[presetId];
+    if (!preset || !this.room || this.room.isEmpty) {
+      console.warn(`SceneManager: Cannot add opening '${presetId}' - unknown preset or room without walls.`);
+      return null;
+    }
+    const previousOpenings = this.room.getOpenings();
+    const opening = this.room.addOpening({ ...preset });
+    if (!opening) return null;
+    this.recordOpeningsChange(previousOpenings);
+    this.selectObject(this.room.getOpeningObject(opening.id));
+    console.log(`SceneManager: Opening ${opening.id} (${opening.type}) added on wall ${opening.wallIndex}.`);
+    return opening;
+  }
+
+  /**
+   * Changes size, sill height, swing, hinge or position of a door/window.
+   * @param {string} openingId
+   * @param {Object} changes - See Room.addOpening() for the properties.
+   */
+  updateOpening(openingId, changes) {
+    if (!this.room || !this.room.getOpening(openingId)) return;
+    const previousOpenings = this.room.getOpenings();
+    this.room.updateOpening(openingId, changes);
+    this.recordOpeningsChange(previousOpenings);
+    this.dispatchOpeningSelected();
+  }
+
+  removeOpening(openingId) {
+    if (!this.room || !this.room.getOpening(openingId)) return;
+    const previousOpenings = this.room.getOpenings();
+    if (this.selectedOpeningId === openingId) this.deselectObject();
+    this.room.removeOpening(openingId);
+    this.recordOpeningsChange(previousOpenings);
+  }
+
+  // Records the difference between the given openings and the current ones as a single undo step
+  recordOpeningsChange(previousOpenings) {
+    this.addToUndoStack({
+      type: 'openings',
+      previousOpenings,
+      newOpenings: this.room.getOpenings()
+    });
+  }
+
+  // Re-applies a list of openings from the undo/redo stack, dropping the selection if its opening is gone
+  applyOpenings(openings) {
+    if (!this.room) return;
+    this.room.setOpenings(openings);
+    if (this.selectedOpeningId && !this.room.getOpening(this.selectedOpeningId)) this.deselectObject();
+    else this.dispatchOpeningSelected();
+  }
+
+  dispatchOpeningSelected() {
+    const opening = this.room && this.selectedOpeningId ? this.room.getOpening(this.selectedOpeningId) : null;
+    if (opening && this.container) {
+      this.container.dispatchEvent(new CustomEvent('opening-selected', { detail: opening }));
+    }
+  }
+
+  /**
+   * Wall height/thickness settings plus the length and effective height of every wall, for the settings panel.
+   * @returns {{height: number, thickness: number, wallHeights: Array, walls: Array<{wallIndex: number, length: number, height: number, isOverridden: boolean}>}}
+   */
+  getWallSettings() {
+    if (!this.room) return null;
+    const settings = this.room.getWallSettings();
+    settings.walls = this.room.getCurrentPoints().map((point, wallIndex) => ({
+      wallIndex,
+      length: this.room.getWallEdge(wallIndex).length,
+      height: this.room.getWallHeight(wallIndex),
+      isOverridden: wallIndex in this.room.wallHeightOverrides
+    }));
+    settings.equipmentWallOffset = this.collisionManager ? this.collisionManager.wallOffset : placementConfig.wallOffset;
+    settings.showClearanceZones = this.clearanceManager ? this.clearanceManager.visible : true;
+    return settings;
+  }
+
+  /**
+   * Changes wall height, thickness and/or per-wall heights as one undoable step.
+   * @param {Object} settings - See Room.setWallSettings().
+   */
+  setWallSettings(settings) {
+    if (!this.room) return;
+    const previousSettings = this.room.getWallSettings();
+    this.room.setWallSettings(settings);
+    this.addToUndoStack({ type: 'walls', previousSettings, newSettings: this.room.getWallSettings() });
+    this.dispatchWallsUpdated();
+  }
+
+  /**
+   * Gives one wall its own height (null resets it to the room's wall height) as one undoable step.
+   * @param {number} wallIndex
+   * @param {number|null} height
+   */
+  setWallHeight(wallIndex, height) {
+    if (!this.room) return;
+    const previousSettings = this.room.getWallSettings();
+    this.room.setWallHeightOverride(wallIndex, height);
+    this.addToUndoStack({ type: 'walls', previousSettings, newSettings: this.room.getWallSettings() });
+    this.dispatchWallsUpdated();
+  }
+
+  dispatchWallsUpdated() {
+    if (this.container) {
+      this.container.dispatchEvent(new CustomEvent('room-walls-updated', { detail: this.getWallSettings() }));
+    }
+  }
+
+  worldToRoomLocal(worldPoint) {
+    this.room.group.updateMatrixWorld(true);
+    const inverse = new THREE.Matrix4().copy(this.room.group.matrixWorld).invert();
+    const local = new THREE.Vector3(worldPoint.x, 0, worldPoint.z).applyMatrix4(inverse);
+    return { x: local.x, z: local.z };
+  }
+
   selectObject(object) {
     if (this.interactionManager) this.interactionManager.select(object);
   }
   deselectObject() {
     if (this.interactionManager) this.interactionManager.deselect();
   }
+  // Selected models (doors and windows excluded), primary last
+  getSelection() {
+    if (!this.interactionManager) return [];
+    return this.interactionManager.getSelection().filter(object => !object.userData.isOpening);
+  }
+  setSelection(objects) {
+    if (this.interactionManager) this.interactionManager.setSelection(objects);
+  }
+  isSelected(object) {
+    return !!this.interactionManager && this.interactionManager.isSelected(object);
+  }
   setInteractionMode(mode) {
     this.interactionMode = mode;
     if (this.interactionManager) this.interactionManager.setInteractionMode(mode);
   }
+  /**
+   * Distances taken with the tape measure ('measure' interaction mode).
+   * @returns {Array<{start: THREE.Vector3, end: THREE.Vector3, distance: number}>}
+   */
+  getMeasurements() {
+    return this.measureTool ? this.measureTool.getMeasurements() : [];
+  }
+  clearMeasurements() {
+    if (!this.measureTool) return;
+    this.measureTool.clear();
+    this.dispatchMeasurements();
+  }
+  dispatchMeasurements() {
+    if (this.container) this.container.dispatchEvent(new CustomEvent('measurements-changed', { detail: this.getMeasurements() }));
+  }
   pinObject(object) {
     if (this.interactionManager) this.interactionManager.pinObject(object || this.selectedObject);
   }
@@ -538,6 +942,76 @@ export class SceneManager {
     object = object || this.selectedObject;
     if (object && this.interactionManager) this.interactionManager.rotateObject(object, angleDegrees);
   }
+  // The selection actions below treat all selected models as one undoable step
+  rotateSelected(angleDegrees) {
+    if (this.interactionManager) this.interactionManager.rotateObjects(this.getSelection(), angleDegrees);
+  }
+  pinSelected() {
+    this.setSelectionPinned(true);
+  }
+  unpinSelected() {
+    this.setSelectionPinned(false);
+  }
+  // Pins or unpins every selected model as a single undo step
+  setSelectionPinned(pinned) {
+    if (!this.interactionManager) return;
+    const actions = this.getSelection()
+      .filter(object => this.interactionManager.isPinned(object) !== pinned)
+      .map(object => ({ type: 'pin', object, pinned }));
+    actions.forEach(action => this.applyPinned(action.object, action.pinned));
+    this.recordActions(actions);
+  }
+  applyPinned(object, pinned) {
+    if (pinned) this.pinObject(object);
+    else this.unpinObject(object);
+  }
+  duplicateSelected() {
+    this.duplicateObjects(this.getSelection());
+  }
+  removeSelected() {
+    this.removeObjects(this.getSelection());
+  }
+
+  /**
+   * Lines up the selected models on a side or centre line of their bounding boxes, as one undoable step.
+   * Pinned models stay put but still count as references.
+   * @param {string} alignment - 'left', 'right', 'top', 'bottom', 'center-x' or 'center-z' (top is the smallest Z, as in the 2D view).
+   */
+  alignSelected(alignment) {
+    const objects = this.getSelection();
+    if (objects.length < 2) return;
+    this.arrangeObjects(objects, (boxes, fixed) => computeAlignment(boxes, alignment, fixed));
+  }
+
+  /**
+   * Spaces the selected models evenly along an axis (equal gaps between their bounding boxes), as one undoable step.
+   * The two outermost models stay where they are.
+   * @param {string} axis - 'x' or 'z'.
+   */
+  distributeSelected(axis) {
+    const objects = this.getSelection();
+    if (objects.length < 3) return;
+    this.arrangeObjects(objects, (boxes, fixed) => computeDistribution(boxes, axis, fixed));
+  }
+
+  // Moves models by offsets computed from their world bounding boxes and records the moves
+  arrangeObjects(objects, computeOffsets) {
+    const boxes = objects.map(object => computeModelBounds(object));
+    const fixed = objects.map(object => !!this.interactionManager && this.interactionManager.isPinned(object));
+    const offsets = computeOffsets(boxes, fixed);
+    if (!offsets) {
+      console.warn("SceneManager: Unknown align/distribute option.");
+      return;
+    }
+
+    const startStates = new Map(objects.map(object => [object, this.getObjectState(object)]));
+    objects.forEach((object, index) => {
+      object.position.x += offsets[index].x;
+      object.position.z += offsets[index].z;
+      object.updateMatrixWorld(true);
+    });
+    this.recordTransforms(startStates);
+  }
   setTransformMode(mode) { // Assumes this.transformControls is part of InteractionManager or separate
     this.transformMode = mode;
     if (this.interactionManager && typeof this.interactionManager.setTransformMode === 'function') {
@@ -551,18 +1025,43 @@ export class SceneManager {
 
   duplicateObject(objectToDuplicate) {
     objectToDuplicate = objectToDuplicate || this.selectedObject;
-    if (!objectToDuplicate) return;
+    if (objectToDuplicate) this.duplicateObjects([objectToDuplicate]);
+  }
+
+  /**
+   * Duplicates models next to the originals as one undoable step and selects the copies.
+   * @param {Array<THREE.Object3D>} objects
+   */
+  duplicateObjects(objects) {
+    const clones = objects.map(objectToDuplicate => {
+      const clone = this.cloneModel(objectToDuplicate);
+      clone.position.x += 0.5;
+      clone.position.z += 0.5;
+      return clone;
+    });
+    if (clones.length === 0) return;
+    this.addModels(clones);
+    console.log(`SceneManager: ${clones.length} object(s) duplicated.`);
+  }
 
+  /**
+   * Copies a placed model from the ModelLoader cache (cheap: geometry and materials are shared),
+   * with the same transform and settings. The copy is not added to the scene.
+   * @param {THREE.Object3D} objectToDuplicate
+   * @returns {THREE.Object3D}
+   */
+  cloneModel(objectToDuplicate) {
+    let result = null;
+    // ModelLoader.duplicate clones from its cache and calls back synchronously
     this.modelLoader.duplicate(objectToDuplicate, (clone) => {
       clone.position.copy(objectToDuplicate.position);
       clone.rotation.copy(objectToDuplicate.rotation);
       clone.scale.copy(objectToDuplicate.scale);
-      clone.position.x += 0.5;
-      clone.position.z += 0.5;
 
-      clone.userData = JSON.parse(JSON.stringify(objectToDuplicate.userData));
+      clone.userData = this.getObjectState(objectToDuplicate).userData;
       clone.userData.isModelRoot = true;
       clone.userData.selectable = true;
+      delete clone.userData.isPinned; // Copies start unpinned
 
       // Apply HDR environment to the cloned object's materials
       if (this.scene && this.scene.environment) {
@@ -581,48 +1080,366 @@ export class SceneManager {
       } else if (!this.isLoadingHDR) {
           this.environmentApplied = false;
       }
+      result = clone;
+    });
+    return result;
+  }
+
+  // Adds new models to the scene as one undoable step and selects them
+  addModels(models) {
+    if (models.length === 0) return;
+    models.forEach(model => {
+      this.objects.push(model);
+      this.scene.add(model);
+    });
+    this.recordActions(models.map(model => ({ type: 'add', object: model, properties: this.getObjectState(model) })));
+    this.setSelection(models);
+  }
 
+  // Default pattern distances for a model: its footprint plus placementConfig.patternGap
+  getPatternDefaults(object = this.selectedObject) {
+    const local = object ? getLocalFootprint(object) : null;
+    const width = local ? local.halfWidth * 2 : 1;
+    const depth = local ? local.halfDepth * 2 : 1;
+    return {
+      spacing: Number((width + placementConfig.patternGap).toFixed(2)),
+      rowSpacing: Number((depth + placementConfig.patternGap).toFixed(2)),
+      radius: Number(Math.max(3, depth * 3).toFixed(2))
+    };
+  }
 
-      this.objects.push(clone);
-      this.scene.add(clone);
-      this.addToUndoStack({ type: 'add', object: clone, properties: this.getObjectState(clone) });
-      this.selectObject(clone);
-      console.log("SceneManager: Object duplicated:", clone);
+  /**
+   * Works out where a pattern of copies of `source` would go and which copies would not fit
+   * (overlapping equipment or another copy, or too close to the walls).
+   * @param {THREE.Object3D} source
+   * @param {Object} options - See computePatternPlacements.
+   * @returns {{placements: Array, footprints: Array, blocked: Array<boolean>, extent: {bottom: number, height: number}}|null}
+   */
+  evaluatePattern(source, options) {
+    const local = source ? getLocalFootprint(source) : null;
+    if (!local) return null;
+
+    const origin = { x: source.position.x, z: source.position.z, rotationY: source.rotation.y };
+    const placements = computePatternPlacements(origin, options, placementConfig.maxPatternCopies);
+    const footprints = placements.map(placement => placeFootprint(local, placement, placement.rotationY));
+
+    const tolerance = placementConfig.collisionTolerance;
+    const existing = this.objects
+      .map(object => {
+        const objectLocal = getLocalFootprint(object);
+        return objectLocal ? placeFootprint(objectLocal, object.position, object.rotation.y) : null;
+      })
+      .filter(Boolean);
+    const blocked = footprints.map((footprint, index) => {
+      if (this.collisionManager && !this.collisionManager.footprintFitsRoom(local, placements[index], placements[index].rotationY)) return true;
+      if (existing.some(other => footprintOverlap(footprint, other, tolerance))) return true;
+      return footprints.some((other, otherIndex) => otherIndex !== index && footprintOverlap(footprint, other, tolerance));
     });
+
+    const bounds = computeModelBounds(source);
+    return { placements, footprints, blocked, extent: { bottom: bounds.min.y, height: bounds.max.y - bounds.min.y } };
+  }
+
+  /**
+   * Shows ghost copies for a pattern of the selected model.
+   * @param {Object} options - See computePatternPlacements.
+   * @returns {{copies: number, blocked: number}}
+   */
+  previewPattern(options) {
+    const pattern = this.evaluatePattern(this.selectedObject, options);
+    if (!pattern || !this.patternPreview) {
+      this.clearPatternPreview();
+      return { copies: 0, blocked: 0 };
+    }
+    this.patternPreview.show(pattern.footprints, pattern.extent, pattern.blocked);
+    return { copies: pattern.placements.length, blocked: pattern.blocked.filter(Boolean).length };
+  }
+
+  clearPatternPreview() {
+    if (this.patternPreview) this.patternPreview.clear();
+  }
+
+  /**
+   * Places the pattern copies of the selected model (copies that do not fit are placed too, and flagged)
+   * as one undoable step, then selects the source and its copies.
+   * @param {Object} options - See computePatternPlacements.
+   * @returns {number} - Copies added.
+   */
+  applyPattern(options) {
+    this.clearPatternPreview();
+    const source = this.selectedObject;
+    const pattern = this.evaluatePattern(source, options);
+    if (!pattern || pattern.placements.length === 0) return 0;
+
+    const copies = pattern.placements.map(placement => {
+      const clone = this.cloneModel(source);
+      clone.position.set(placement.x, source.position.y, placement.z);
+      clone.rotation.y = placement.rotationY;
+      clone.updateMatrixWorld(true);
+      return clone;
+    });
+    this.addModels(copies);
+    this.setSelection([...copies, source]); // Source stays the primary selection
+    console.log(`SceneManager: Pattern placed ${copies.length} copies of ${source.userData.type}.`);
+    return copies.length;
   }
 
   removeObject(objectToRemove) {
     objectToRemove = objectToRemove || this.selectedObject;
-    if (!objectToRemove) return;
-    const state = this.getObjectState(objectToRemove); // Get state before removal
-    this.addToUndoStack({ type: 'remove', object: objectToRemove, properties: state });
-    if (this.selectedObject === objectToRemove) this.deselectObject();
-    this.scene.remove(objectToRemove);
-    this.objects = this.objects.filter(obj => obj !== objectToRemove);
-    console.log("SceneManager: Object removed:", objectToRemove);
+    if (objectToRemove) this.removeObjects([objectToRemove]);
+  }
+
+  /**
+   * Removes models from the scene as one undoable step.
+   * @param {Array<THREE.Object3D>} objects
+   */
+  removeObjects(objects) {
+    const toRemove = objects.filter(object => this.objects.includes(object));
+    if (toRemove.length === 0) return;
+    const actions = toRemove.map(object => ({ type: 'remove', object, properties: this.getObjectState(object) })); // State before removal
+    if (toRemove.some(object => this.isSelected(object))) this.deselectObject();
+    toRemove.forEach(object => this.scene.remove(object));
+    this.objects = this.objects.filter(obj => !toRemove.includes(obj));
+    this.recordActions(actions);
+    console.log(`SceneManager: ${toRemove.length} object(s) removed.`);
+  }
+
+  /**
+   * Looks up a placed model by its three.js id or uuid.
+   * @param {number|string} id
+   * @returns {THREE.Object3D|null}
+   */
+  findModelById(id) {
+    return this.objects.find(object => object.id === id || object.uuid === id) || null;
+  }
+
+  /**
+   * Moves a model on the floor (its height is kept) as one undoable step.
+   * @param {THREE.Object3D} object
+   * @param {{x: number, z: number}} position
+   */
+  moveObject(object, position) {
+    if (!object) return;
+    const previousProperties = this.getObjectState(object);
+    object.position.set(position.x, object.position.y, position.z);
+    object.updateMatrixWorld(true);
+    this.addToUndoStack({ type: 'transform', object, previousProperties, newProperties: this.getObjectState(object) });
+  }
+
+  /**
+   * Lists the models whose footprints would overlap `object` at `position` (whatever the collision mode).
+   * @param {THREE.Object3D} object
+   * @param {{x: number, z: number}} position
+   * @returns {Array<THREE.Object3D>}
+   */
+  checkCollisionsAtPosition(object, position) {
+    if (!this.collisionManager || !object) return [];
+    return this.collisionManager.findCollisions(object, position, this.objects).map(hit => hit.object);
+  }
+
+  // Called by InteractionManager for every drag step
+  constrainDragPosition(object, proposed, current) {
+    if (!this.collisionManager) return proposed;
+    // Selected models move together, so they never block each other
+    const obstacles = this.objects.filter(other => other === object || !this.isSelected(other));
+    const guided = this.applySmartGuides(object, proposed);
+    const position = this.collisionManager.constrainPosition(object, guided, current, obstacles);
+    // Guides only stay up while the model really is where they point
+    if (this.smartGuides && position.distanceToSquared(guided) > 1e-8) this.smartGuides.clear();
+    return position;
+  }
+
+  /**
+   * Smart guides for a model dragged on its own: turns it away from a wall it is pushed against,
+   * then snaps it flush to walls and into line with other models. Group drags and Alt skip this.
+   * @param {THREE.Object3D} object
+   * @param {THREE.Vector3} proposed
+   * @returns {THREE.Vector3}
+   */
+  applySmartGuides(object, proposed) {
+    const interaction = this.interactionManager;
+    const startState = interaction && interaction.dragObjects.length === 1 ? interaction.dragStartStates.get(object) : null;
+    const { guidesEnabled, autoRotate } = this.snapSettings;
+    const local = startState && (guidesEnabled || autoRotate) ? this.measureFootprint(object) : null;
+    if (!this.smartGuides || !local || interaction.snapSuspended) {
+      if (this.smartGuides) this.smartGuides.clear();
+      // Alt drags freely, with the heading the model was picked up with
+      if (local && autoRotate) object.rotation.y = startState.rotationY;
+      return proposed;
+    }
+
+    const walls = getWallLines(this.collisionManager.roomPolygon);
+    const { wallOffset } = this.collisionManager;
+    const tolerance = placementConfig.guideSnapTolerance;
+
+    // Away from the walls the model keeps the heading it was picked up with
+    if (autoRotate) {
+      const facing = findFacingRotation(local, proposed, walls, wallOffset + tolerance);
+      object.rotation.y = facing ? facing.rotationY : startState.rotationY;
+    }
+    if (!guidesEnabled) {
+      this.smartGuides.clear();
+      return proposed;
+    }
+
+    const others = this.objects
+      .filter(other => other !== object && !this.isSelected(other))
+      .map(other => {
+        const otherLocal = this.measureFootprint(other);
+        return otherLocal && placeFootprint(otherLocal, other.position, other.rotation.y);
+      })
+      .filter(Boolean);
+    const snap = computeGuideSnap(placeFootprint(local, proposed, object.rotation.y), others, walls, { tolerance, wallOffset });
+    this.smartGuides.show(snap.guides);
+    return new THREE.Vector3(proposed.x + snap.x, proposed.y, proposed.z + snap.z);
+  }
+
+  /**
+   * Sets how dragged models react to each other: 'block', 'slide' or 'allow' (overlap shown in red).
+   * @param {string} mode
+   */
+  setCollisionMode(mode) {
+    if (!this.collisionManager) return;
+    this.collisionManager.setMode(mode);
+    if (this.container) {
+      this.container.dispatchEvent(new CustomEvent('collision-mode-changed', { detail: this.collisionManager.mode }));
+    }
+  }
+
+  getSnapSettings() {
+    return { ...this.snapSettings };
+  }
+
+  /**
+   * Changes drag snapping. Holding Alt while dragging ignores it.
+   * @param {{gridEnabled?: boolean, gridStep?: number, angleStep?: number, guidesEnabled?: boolean, autoRotate?: boolean}} settings
+   *   Steps in meters and degrees (angleStep 0 = free); smart guides and turning models away from walls on or off.
+   */
+  setSnapSettings(settings) {
+    this.snapSettings = { ...this.snapSettings, ...settings };
+    this.applySnapSettings();
+    if (this.container) this.container.dispatchEvent(new CustomEvent('snap-changed', { detail: this.getSnapSettings() }));
+  }
+
+  applySnapSettings() {
+    if (!this.interactionManager) return;
+    const { gridEnabled, gridStep, angleStep } = this.snapSettings;
+    this.interactionManager.setSnap({ gridStep: gridEnabled ? gridStep : 0, angleStep });
+  }
+
+  /**
+   * Sets the minimum distance between equipment footprints and the walls.
+   * @param {number} offset - In meters.
+   */
+  setEquipmentWallOffset(offset) {
+    if (!this.collisionManager) return;
+    this.collisionManager.setWallOffset(offset);
+    this.handleLayoutChanged();
+    this.dispatchWallsUpdated();
+    this.scheduleAutosave();
+  }
+
+  /**
+   * Shows or hides the safety clearance zones drawn around equipment.
+   * @param {boolean} visible
+   */
+  setClearanceZonesVisible(visible) {
+    if (!this.clearanceManager) return;
+    this.clearanceManager.setVisible(visible);
+    this.dispatchWallsUpdated();
+  }
+
+  refreshPlacementWarnings() {
+    if (!this.collisionManager || !this.clearanceManager) return;
+    this.placementWarnings = {
+      ...this.collisionManager.updateWarnings(this.objects),
+      clearance: this.clearanceManager.update(this.objects, object => this.measureFootprint(object))
+    };
   }
 
   getObjectState(object) {
+    // The selection box is a live scene helper, not part of the object's state
+    const { boundingBoxHelper, ...userData } = object.userData;
     return {
       position: object.position.clone(),
       rotation: object.rotation.clone(),
       scale: object.scale.clone(),
-      userData: JSON.parse(JSON.stringify(object.userData))
+      userData: JSON.parse(JSON.stringify(userData))
     };
   }
   applyObjectState(object, state) {
+    const { boundingBoxHelper } = object.userData;
     object.position.copy(state.position);
     object.rotation.copy(state.rotation);
     object.scale.copy(state.scale);
     object.userData = JSON.parse(JSON.stringify(state.userData));
+    if (boundingBoxHelper) object.userData.boundingBoxHelper = boundingBoxHelper;
     object.updateMatrixWorld(true);
   }
 
+  // Records the models that changed since `startStates` as one 'transform' (or 'batch') undo step
+  recordTransforms(startStates) {
+    const actions = [];
+    startStates.forEach((previousProperties, object) => {
+      const newProperties = this.getObjectState(object);
+      if (previousProperties.position.equals(newProperties.position) && previousProperties.rotation.equals(newProperties.rotation)) return;
+      actions.push({ type: 'transform', object, previousProperties, newProperties });
+    });
+    this.recordActions(actions);
+  }
+
+  // Pushes several undo actions as one step: a single action as is, more wrapped in a 'batch'
+  recordActions(actions) {
+    if (actions.length === 0) return;
+    this.addToUndoStack(actions.length === 1 ? actions[0] : { type: 'batch', actions });
+  }
+
   addToUndoStack(action) {
     // For 'transform', action should contain { type, object, previousProperties, newProperties }
     this.undoStack.push(action);
     this.redoStack = [];
     console.log("SceneManager: Action added to undo stack:", action.type, this.undoStack.length);
+    this.handleLayoutChanged();
+    this.scheduleAutosave();
+  }
+
+  /**
+   * Debounced autosave of the working layout to IndexedDB.
+   * Called after every recorded undo step, undo/redo and room shape change.
+   */
+  scheduleAutosave() {
+    if (this.isRestoringProject || !this.autosaveStore.isSupported()) return;
+    if (this.autosaveTimer) clearTimeout(this.autosaveTimer);
+    this.autosaveTimer = setTimeout(() => {
+      this.autosaveTimer = null;
+      if (!this.scene) return; // Disposed in the meantime
+      this.autosaveStore.saveSnapshot(this.exportProject())
+        .then(id => console.log("SceneManager: Autosaved snapshot", id))
+        .catch(error => console.warn("SceneManager: Autosave failed:", error));
+    }, this.autosaveDelay);
+  }
+
+  /**
+   * Lists autosaved snapshots, newest first.
+   * @returns {Promise<Array>}
+   */
+  getAutosaveSnapshots() {
+    return this.autosaveStore.listSnapshots();
+  }
+
+  /**
+   * Restores an autosaved snapshot (the newest one when no id is given).
+   * @param {number} [snapshotId]
+   * @returns {Promise<Object>} - Resolves with the restored project document.
+   */
+  restoreAutosave(snapshotId) {
+    return this.autosaveStore.listSnapshots().then(snapshots => {
+      const snapshot = snapshotId === undefined
+        ? snapshots[0]
+        : snapshots.find(entry => entry.id === snapshotId);
+      if (!snapshot) throw new Error('SceneManager: Autosave snapshot not found.');
+      return this.importProject(snapshot.project);
+    });
   }
 
   undo() {
@@ -630,34 +1447,70 @@ export class SceneManager {
     const action = this.undoStack.pop();
     console.log("SceneManager: Undoing action:", action.type);
 
+    if (!this.revertAction(action)) {
+      console.warn('SceneManager: Unknown action type for undo:', action.type);
+      this.redoStack.push(action); // Push back if not handled correctly for redo
+      return;
+    }
+    this.redoStack.push(action); // Original action (with its new/old states) goes to redo
+    this.handleLayoutChanged();
+    this.scheduleAutosave();
+  }
+
+  redo() {
+    if (this.redoStack.length === 0) { console.log("SceneManager: Redo stack empty."); return; }
+    const action = this.redoStack.pop();
+    console.log("SceneManager: Redoing action:", action.type);
+
+    if (!this.reapplyAction(action)) {
+      console.warn('SceneManager: Unknown action type for redo:', action.type);
+      this.undoStack.push(action); // Push back if not handled correctly for undo
+      return;
+    }
+    this.undoStack.push(action);
+    this.handleLayoutChanged();
+    this.scheduleAutosave();
+  }
+
+  // Undoes one recorded action; returns false for unknown action types
+  revertAction(action) {
     switch (action.type) {
       case 'add':
         this.scene.remove(action.object);
         this.objects = this.objects.filter(obj => obj !== action.object);
-        if (this.selectedObject === action.object) this.deselectObject();
+        if (this.isSelected(action.object)) this.deselectObject();
         break;
       case 'remove':
         this.scene.add(action.object);
         this.objects.push(action.object);
         this.applyObjectState(action.object, action.properties);
+        // Redraws the pin marker and tells the panels, which the restored userData alone does not
+        this.applyPinned(action.object, !!action.properties.userData.isPinned);
         break;
       case 'transform':
         this.applyObjectState(action.object, action.previousProperties); // Revert to previous state
-        if(this.interactionManager) this.interactionManager.updateControlsForObject(action.object);
+        break;
+      case 'openings':
+        this.applyOpenings(action.previousOpenings);
+        break;
+      case 'walls':
+        this.room.setWallSettings(action.previousSettings);
+        this.dispatchWallsUpdated();
+        break;
+      case 'pin':
+        this.applyPinned(action.object, !action.pinned);
+        break;
+      case 'batch':
+        [...action.actions].reverse().forEach(entry => this.revertAction(entry));
         break;
       default:
-        console.warn('SceneManager: Unknown action type for undo:', action.type);
-        this.redoStack.push(action); // Push back if not handled correctly for redo
-        return;
+        return false;
     }
-    this.redoStack.push(action); // Original action (with its new/old states) goes to redo
+    return true;
   }
 
-  redo() {
-    if (this.redoStack.length === 0) { console.log("SceneManager: Redo stack empty."); return; }
-    const action = this.redoStack.pop();
-    console.log("SceneManager: Redoing action:", action.type);
-
+  // Redoes one recorded action; returns false for unknown action types
+  reapplyAction(action) {
     switch (action.type) {
       case 'add':
         this.scene.add(action.object);
@@ -667,18 +1520,28 @@ export class SceneManager {
       case 'remove':
         this.scene.remove(action.object);
         this.objects = this.objects.filter(obj => obj !== action.object);
-        if (this.selectedObject === action.object) this.deselectObject();
+        if (this.isSelected(action.object)) this.deselectObject();
         break;
       case 'transform':
         this.applyObjectState(action.object, action.newProperties); // Apply the new state
-        if(this.interactionManager) this.interactionManager.updateControlsForObject(action.object);
+        break;
+      case 'openings':
+        this.applyOpenings(action.newOpenings);
+        break;
+      case 'walls':
+        this.room.setWallSettings(action.newSettings);
+        this.dispatchWallsUpdated();
+        break;
+      case 'pin':
+        this.applyPinned(action.object, action.pinned);
+        break;
+      case 'batch':
+        action.actions.forEach(entry => this.reapplyAction(entry));
         break;
       default:
-        console.warn('SceneManager: Unknown action type for redo:', action.type);
-        this.undoStack.push(action); // Push back if not handled correctly for undo
-        return;
+        return false;
     }
-    this.undoStack.push(action);
+    return true;
   }
   takeScreenshot() {
     if (!this.renderer || !this.scene || !this.camera) return;
@@ -693,38 +1556,478 @@ export class SceneManager {
   
     console.log("SceneManager: Screenshot saved.");
   }
-  
-  
-  
+
+  /**
+   * Exports the planned room (floor, walls and every placed model) as a single GLB file.
+   * Editor helpers such as bounding boxes, pins, the grid and the watermark are left out.
+   * @param {string} [filename='room-layout.glb'] - Suggested file name.
+   * @returns {Promise<void>}
+   */
+  exportGLB(filename = 'room-layout.glb') {
+    const exportRoot = buildExportScene({
+      roomGroup: this.room ? this.room.group : null,
+      objects: this.objects
+    });
+    return exportToGLB(exportRoot)
+      .then(blob => {
+        downloadBlob(blob, filename);
+        console.log("SceneManager: GLB exported.");
+      })
+      .catch(error => {
+        console.error("SceneManager: GLB export failed:", error);
+        throw error;
+      });
+  }
+
+  /**
+   * Renders the room from the 2D (top-down) camera and returns it as an image, then restores the current camera.
+   * The grid and the selection box are hidden for the capture.
+   * @returns {string|null} - PNG data URL.
+   */
+  captureTopDownImage() {
+    if (!this.renderer || !this.scene || !this.camera) return null;
+
+    const previousCamera = this.getCameraState();
+    const hiddenHelpers = [];
+    const hideHelper = (helper) => {
+      if (helper && helper.visible) {
+        helper.visible = false;
+        hiddenHelpers.push(helper);
+      }
+    };
+    hideHelper(this.grid && this.grid.grid);
+    const highlighted = this.interactionManager ? this.interactionManager.getSelection() : [];
+    highlighted.forEach(object => hideHelper(object.userData.boundingBoxHelper));
+    hideHelper(this.dimensionOverlay && this.dimensionOverlay.group);
+    hideHelper(this.distanceOverlay && this.distanceOverlay.group);
+    hideHelper(this.measureTool && this.measureTool.group);
+    hideHelper(this.floorUnderlay && this.floorUnderlay.group);
+    hideHelper(this.floorPlanEngine && this.floorPlanEngine.group);
+
+    this.setView2D();
+    if (this.room) this.room.updateWallVisibility(this.camera);
+    this.renderFrame();
+    const dataURL = this.renderer.domElement.toDataURL('image/png');
+
+    hiddenHelpers.forEach(helper => { helper.visible = true; });
+    this.applyCameraState(previousCamera);
+    return dataURL;
+  }
+
+  /**
+   * Builds a bill of materials for the placed equipment (grouped by model type).
+   * @returns {Object} - See buildBillOfMaterials().
+   */
+  getBillOfMaterials() {
+    return buildBillOfMaterials(this.objects, {
+      roomPoints: this.room ? this.room.getCurrentPoints() : []
+    });
+  }
+
+  /**
+   * Downloads the bill of materials as CSV.
+   * @param {string} [filename='bill-of-materials.csv'] - Suggested file name.
+   */
+  exportBillOfMaterialsCSV(filename = 'bill-of-materials.csv') {
+    downloadText(billOfMaterialsToCSV(this.getBillOfMaterials()), filename, 'text/csv');
+    console.log("SceneManager: Bill of materials exported.");
+  }
+
+  /**
+   * Downloads a print-ready HTML quote with a top-down render of the room.
+   * @param {string} [filename='equipment-quote.html'] - Suggested file name.
+   */
+  exportQuoteHTML(filename = 'equipment-quote.html') {
+    const html = billOfMaterialsToQuoteHTML(this.getBillOfMaterials(), {
+      planImage: this.captureTopDownImage(),
+      logoUrl: `${window.location.origin}/assets/icons/stech_logo.png`
+    });
+    downloadText(html, filename, 'text/html');
+    console.log("SceneManager: Quote exported.");
+  }
+
+  /**
+   * Walls, openings and equipment footprints of the current layout, ready for a printed plan.
+   * @returns {Object} - See buildFloorPlan().
+   */
+  getFloorPlan() {
+    const outline = this.getPlanOutline() || { inner: [], outer: [] };
+    const models = this.objects
+      .filter(object => object.parent)
+      .map(object => ({ type: object.userData.type, footprint: getFootprint(object) }))
+      .filter(model => model.footprint);
+    return buildFloorPlan({
+      ...outline,
+      thickness: this.room ? this.room.wallThickness : 0,
+      openings: this.room ? this.room.getOpenings() : [],
+      models
+    });
+  }
+
+  /**
+   * Number of sheets the PDF floor plan takes at a print scale and paper size.
+   * @param {{scale: number, paper: string, orientation: string}} options - See paginateFloorPlan().
+   * @returns {{columns: number, rows: number, count: number}}
+   */
+  getFloorPlanSheets(options) {
+    const { columns, rows, count } = paginateFloorPlan(this.getFloorPlan(), options);
+    return { columns, rows, count };
+  }
+
+  /**
+   * Downloads the floor plan as a to-scale SVG drawing.
+   * @param {{scale: number}} options - See floorPlanToSVG().
+   * @param {string} [filename='floor-plan.svg'] - Suggested file name.
+   */
+  exportFloorPlanSVG(options, filename = 'floor-plan.svg') {
+    downloadText(floorPlanToSVG(this.getFloorPlan(), options), filename, 'image/svg+xml');
+    console.log("SceneManager: Floor plan SVG exported.");
+  }
+
+  /**
+   * Downloads the floor plan as a PDF at a print scale, over as many sheets of the chosen paper as it needs.
+   * @param {{scale: number, paper: string, orientation: string}} options - See floorPlanToPDF().
+   * @param {string} [filename='floor-plan.pdf'] - Suggested file name.
+   */
+  exportFloorPlanPDF(options, filename = 'floor-plan.pdf') {
+    downloadBlob(new Blob([floorPlanToPDF(this.getFloorPlan(), options)], { type: 'application/pdf' }), filename);
+    console.log("SceneManager: Floor plan PDF exported.");
+  }
+
+  /**
+   * Serialises the current layout into a versioned project document.
+   * Captures the room polygon, wall height, every placed model and the camera.
+   * @returns {Object} - Plain JSON-compatible project document.
+   */
+  exportProject() {
+    return {
+      format: PROJECT_FORMAT,
+      schemaVersion: PROJECT_SCHEMA_VERSION,
+      savedAt: new Date().toISOString(),
+      room: {
+        points: this.room ? this.room.getCurrentPoints() : [],
+        wallHeight: this.room ? this.room.height : DEFAULT_WALL_HEIGHT,
+        wallThickness: this.room ? this.room.wallThickness : DEFAULT_WALL_THICKNESS,
+        wallHeights: this.room ? this.room.getWallSettings().wallHeights : [],
+        isEmpty: this.room ? this.room.isEmpty : false,
+        openings: this.room ? this.room.getOpenings() : []
+      },
+      placement: {
+        collisionMode: this.collisionManager ? this.collisionManager.mode : placementConfig.defaultCollisionMode,
+        wallOffset: this.collisionManager ? this.collisionManager.wallOffset : placementConfig.wallOffset
+      },
+      models: this.objects.map(object => ({
+        type: object.userData.type,
+        position: toPlainVector(object.position),
+        rotation: {
+          x: object.rotation.x,
+          y: object.rotation.y,
+          z: object.rotation.z,
+          order: object.rotation.order
+        },
+        scale: toPlainVector(object.scale),
+        pinned: !!object.userData.isPinned
+      })),
+      camera: this.getCameraState()
+    };
+  }
+
+  /**
+   * Replaces the current layout with a saved project document.
+   * Older schema versions are upgraded before loading.
+   * @param {string|Object} json - Project document as a JSON string or parsed object.
+   * @returns {Promise<Object>} - Resolves with the loaded document once every model is in the scene.
+   */
+  async importProject(json) {
+    let project;
+    try {
+      project = migrateProject(json);
+    } catch (error) {
+      console.error('SceneManager: Could not import project:', error);
+      throw error;
+    }
+
+    this.isRestoringProject = true;
+    // Reset even when the room or a model fails to load, or autosave would stay off for the session
+    try {
+      if (this.autosaveTimer) {
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = null;
+      }
+      this.clearObjects();
+
+      if (this.collisionManager) {
+        this.collisionManager.setWallOffset(project.placement.wallOffset);
+        this.setCollisionMode(project.placement.collisionMode);
+      }
+      if (this.room) {
+        this.room.buildFromPolygon(project.room.points, !!project.room.isEmpty);
+        // Per-wall heights refer to the new polygon, so they are applied after it is built
+        this.room.setWallSettings({
+          height: project.room.wallHeight,
+          thickness: project.room.wallThickness,
+          wallHeights: project.room.wallHeights
+        });
+        this.room.setOpenings(project.room.openings);
+        this.dispatchWallsUpdated();
+      }
+      this.applyCameraState(project.camera);
+
+      const modelLoads = project.models.map(entry => new Promise(resolve => {
+        this.modelLoader.load(entry.type, `/assets/models/${entry.type}.glb`, (model) => {
+          if (!this.scene) { resolve(null); return; } // Disposed while loading
+
+          this.prepareModel(model, entry.type);
+          if (entry.position) model.position.set(entry.position.x, entry.position.y, entry.position.z);
+          if (entry.rotation) model.rotation.set(entry.rotation.x, entry.rotation.y, entry.rotation.z, entry.rotation.order || 'XYZ');
+          if (entry.scale) model.scale.set(entry.scale.x, entry.scale.y, entry.scale.z);
+          model.userData.finalYPosition = model.position.y;
+          model.updateMatrixWorld(true);
+
+          this.scene.add(model);
+          this.objects.push(model);
+          if (entry.pinned) this.pinObject(model);
+          resolve(model);
+        });
+      }));
+
+      await Promise.all(modelLoads);
+    } finally {
+      this.isRestoringProject = false;
+    }
+
+    // A freshly opened project starts with a clean history
+    this.undoStack = [];
+    this.redoStack = [];
+    console.log(`SceneManager: Project imported with ${this.objects.length} models.`);
+    this.handleLayoutChanged();
+    // Snapshot the opened project, or a reload before the next edit would restore the previous session
+    this.scheduleAutosave();
+    if (this.container) {
+      this.container.dispatchEvent(new CustomEvent('project-loaded', { detail: { viewMode: this.viewMode } }));
+    }
+    return project;
+  }
+
+  /**
+   * Downloads the current layout as a project JSON file.
+   * @param {string} [filename='room-project.json'] - Suggested file name.
+   */
+  saveProject(filename = 'room-project.json') {
+    downloadText(JSON.stringify(this.exportProject(), null, 2), filename, 'application/json');
+    console.log("SceneManager: Project saved.");
+  }
+
+  // Removes every placed model from the scene without recording undo steps
+  clearObjects() {
+    this.deselectObject();
+    this.objects.forEach(object => {
+      if (object.parent) object.parent.remove(object);
+    });
+    this.objects = [];
+    if (this.collisionManager) this.collisionManager.clearWarnings();
+    if (this.clearanceManager) this.clearanceManager.clear();
+  }
+
+  getCameraState() {
+    return {
+      viewMode: this.viewMode,
+      position: toPlainVector(this.camera.position),
+      target: this.orbitControls ? toPlainVector(this.orbitControls.target) : { x: 0, y: 0, z: 0 },
+      zoom: this.camera.zoom
+    };
+  }
+
+  applyCameraState(state) {
+    if (!state || !this.camera) return;
+    if (state.viewMode === '2D') this.setView2D();
+    else this.setView3D();
+
+    // The plan camera only pans: it keeps its height and looks straight down at the target
+    const planView = this.camera === this.planCamera;
+    if (state.position) {
+      this.camera.position.set(state.position.x, planView ? PLAN_CAMERA_HEIGHT : state.position.y, state.position.z);
+    }
+    if (state.target && this.orbitControls) {
+      this.orbitControls.target.set(state.target.x, planView ? 0 : state.target.y, state.target.z);
+      if (planView) this.camera.position.set(state.target.x, PLAN_CAMERA_HEIGHT, state.target.z);
+    } else if (state.target) {
+      this.camera.lookAt(state.target.x, state.target.y, state.target.z);
+    }
+    if (planView && Number.isFinite(state.zoom)) {
+      this.camera.zoom = THREE.MathUtils.clamp(state.zoom, PLAN_MIN_ZOOM, PLAN_MAX_ZOOM);
+      this.camera.updateProjectionMatrix();
+    }
+    if (this.orbitControls) this.orbitControls.update();
+  }
+
+  // Points the orbit controls, picking and the floor editor at `camera`
+  setActiveCamera(camera) {
+    if (this.camera === camera) return;
+    this.camera = camera;
+    if (this.orbitControls) this.orbitControls.object = camera;
+    if (this.interactionManager) this.interactionManager.camera = camera;
+    if (this.floorDimensionEditorInstance) this.floorDimensionEditorInstance.setCamera(camera);
+  }
+
+  /**
+   * Centers the plan camera over the room, zoomed so the walls and their dimensions fit the view.
+   */
+  fitPlanToRoom() {
+    const outline = this.getPlanOutline();
+    const box = new THREE.Box2();
+    (outline ? outline.outer : []).forEach(point => box.expandByPoint(new THREE.Vector2(point.x, point.z)));
+    if (box.isEmpty()) box.set(new THREE.Vector2(-5, -5), new THREE.Vector2(5, 5));
+    box.expandByScalar(PLAN_MARGIN);
+
+    const center = box.getCenter(new THREE.Vector2());
+    const size = box.getSize(new THREE.Vector2());
+    const aspect = this.container ? this.container.clientWidth / this.container.clientHeight || 1 : 1;
+    this.planViewSize = Math.max(size.y, size.x / aspect);
+    this.updatePlanFrustum();
+    this.planCamera.zoom = 1;
+    this.planCamera.updateProjectionMatrix();
+    this.planCamera.position.set(center.x, PLAN_CAMERA_HEIGHT, center.y);
+    if (this.orbitControls) this.orbitControls.target.set(center.x, 0, center.y);
+  }
+
+  /**
+   * Zooms the active camera: scales the plan camera's zoom in 2D, moves the camera toward the target in 3D.
+   * @param {number} factor - Below 1 zooms in, above 1 zooms out.
+   */
+  zoomBy(factor) {
+    if (!this.camera || !(factor > 0)) return;
+    if (this.camera.isOrthographicCamera) {
+      this.camera.zoom = THREE.MathUtils.clamp(this.camera.zoom / factor, PLAN_MIN_ZOOM, PLAN_MAX_ZOOM);
+      this.camera.updateProjectionMatrix();
+    } else if (this.orbitControls) {
+      const offset = this.camera.position.clone().sub(this.orbitControls.target).multiplyScalar(factor);
+      this.camera.position.copy(this.orbitControls.target).add(offset);
+    } else {
+      this.camera.position.multiplyScalar(factor);
+    }
+    if (this.orbitControls) this.orbitControls.update();
+  }
+
   setView2D() {
-    this.camera.position.set(0, 15, 0);
-    this.camera.lookAt(0, 0, 0);
-    this.camera.rotation.set(-Math.PI / 2, 0, 0);
+    // Remember where the 3D camera was, so leaving the plan returns to it
+    if (this.viewMode !== '2D') {
+      this.savedView3D = {
+        position: this.perspectiveCamera.position.clone(),
+        target: this.orbitControls ? this.orbitControls.target.clone() : new THREE.Vector3()
+      };
+    }
+    this.viewMode = '2D';
+    this.setActiveCamera(this.planCamera);
+    this.fitPlanToRoom();
     if (this.orbitControls) {
-      this.orbitControls.target.set(0, 0, 0);
       this.orbitControls.maxPolarAngle = 0.01; // Almost straight down
       this.orbitControls.minPolarAngle = 0; // Almost straight down
       this.orbitControls.enableRotate = false;
       this.orbitControls.screenSpacePanning = true;
       this.orbitControls.update();
     }
+    // Left-dragging empty floor draws a selection rectangle (rotation is off in this view)
+    if (this.interactionManager) this.interactionManager.setMarqueeEnabled(true);
+    this.refreshPlanView();
     console.log("SceneManager: Switched to 2D View");
   }
 
   setView3D() {
-    this.camera.position.set(5, 5, 10);
-    this.camera.lookAt(0, 0, 0);
+    // Coming back from the plan restores the previous 3D pose; otherwise (reset) the default one
+    const restore = this.viewMode === '2D' ? this.savedView3D : null;
+    this.savedView3D = null;
+    this.viewMode = '3D';
+    this.setActiveCamera(this.perspectiveCamera);
+    this.camera.position.copy(restore ? restore.position : new THREE.Vector3(5, 5, 10));
+    this.camera.lookAt(restore ? restore.target : new THREE.Vector3(0, 0, 0));
     if (this.orbitControls) {
-      this.orbitControls.target.set(0, 0, 0);
+      this.orbitControls.target.copy(restore ? restore.target : new THREE.Vector3(0, 0, 0));
       this.orbitControls.maxPolarAngle = Math.PI / 2 - 0.05;
       this.orbitControls.minPolarAngle = 0;
       this.orbitControls.enableRotate = true;
       this.orbitControls.screenSpacePanning = false;
       this.orbitControls.update();
     }
+    if (this.interactionManager) this.interactionManager.setMarqueeEnabled(false);
+    this.refreshPlanView();
     console.log("SceneManager: Switched to 3D View");
   }
 
+  /**
+   * World-space outline of the walls: inner faces and outer corners, index for index.
+   * @returns {{inner: Array<{x: number, z: number}>, outer: Array<{x: number, z: number}>}|null}
+   */
+  getPlanOutline() {
+    if (!this.room || !this.room.group) return null;
+    this.room.group.updateMatrixWorld(true);
+    const toWorld = (point) => {
+      const worldPoint = new THREE.Vector3(point.x, 0, point.z).applyMatrix4(this.room.group.matrixWorld);
+      return { x: worldPoint.x, z: worldPoint.z };
+    };
+    const inner = this.room.getCurrentPoints().map(toWorld);
+    if (inner.length < 3) return null;
+    return { inner, outer: this.room.getOuterPoints().map(toWorld) };
+  }
+
+  // Redraws the floor plan from the current layout; only shown in the 2D view, and not while the floor editor is open
+  refreshPlanView() {
+    if (!this.planView) return;
+    const editing = this.floorDimensionEditorInstance && this.floorDimensionEditorInstance.isActive;
+    const show = this.viewMode === '2D' && !editing;
+    this.planView.setVisible(show);
+    if (!show) return;
+
+    const outline = this.getPlanOutline() || { inner: [], outer: [] };
+    const selection = new Set(this.interactionManager ? this.interactionManager.getSelection() : []);
+    const { overlapping, outside } = this.placementWarnings;
+    const models = [];
+    this.objects.forEach(object => {
+      if (!object.parent) return;
+      const local = this.measureFootprint(object);
+      if (!local) return;
+      const footprint = placeFootprint(local, object.position, object.rotation.y);
+      let state = 'normal';
+      if (overlapping.has(object)) state = 'overlapping';
+      else if (outside.has(object)) state = 'outside';
+      if (selection.has(object)) state = 'selected';
+      models.push({ key: object.uuid, footprint, label: object.userData.type || 'Model', state });
+    });
+
+    this.planView.setGrid(this.grid && this.grid.grid && this.grid.grid.visible
+      ? { size: this.grid.size, step: this.grid.getCellSize() }
+      : null);
+    this.planView.update({
+      inner: outline.inner,
+      outer: outline.outer,
+      thickness: this.room ? this.room.wallThickness : 0,
+      openings: this.room ? this.room.getOpenings() : [],
+      models
+    });
+  }
+
+  /**
+   * Renders one frame. In the 2D view the floor plan stands in for the 3D room and models,
+   * which are hidden for the render only, so picking and measuring still hit them.
+   */
+  renderFrame() {
+    const standIns = this.planView && this.planView.visible
+      ? [this.room && this.room.group, this.grid && this.grid.grid, ...this.objects].filter(object => object && object.visible)
+      : [];
+    standIns.forEach(object => { object.visible = false; });
+    try {
+      this.renderer.render(this.scene, this.camera);
+    } finally {
+      standIns.forEach(object => { object.visible = true; });
+    }
+  }
+
+  // Tape-measure points lie on the floor in the 2D view, where only floor distances can be read
+  toMeasurePoint(point) {
+    if (this.viewMode !== '2D') return point;
+    return new THREE.Vector3(point.x, this.floorLevel, point.z);
+  }
+
   setHDRExposure(value) {
     if (this.renderer) {
       this.renderer.toneMappingExposure = Number(value);
@@ -829,19 +2132,205 @@ export class SceneManager {
                     });
                     
                     console.log("SceneManager: Converted back to LOCAL points for buildFromPolygon:", newLocalPoints);
+                    // Room.onShapeChanged dispatches 'room-shape-updated' and schedules an autosave
                     this.room.buildFromPolygon(newLocalPoints, false); 
-                    
-                    if (this.container) {
-                        this.container.dispatchEvent(new CustomEvent('room-shape-updated', { 
-                            detail: { points: updatedWorldPoints.map(p => ({...p})) } 
-                        }));
-                    }
                 }
             });
         } else {
             console.warn("SceneManager: Current room has insufficient points to activate floor editor.", localRoomPoints);
         }
     }
+    this.refreshPlanView(); // The editor draws its own outline over the 3D floor
+    this.dispatchFloorEditorState();
+  }
+
+  // Corner lock for the floor editor handles: 90, 45 or 0 (off)
+  setFloorEditorAngleSnap(degrees) {
+    if (!this.floorDimensionEditorInstance) return;
+    this.floorDimensionEditorInstance.setAngleSnap(degrees);
+    this.dispatchFloorEditorState();
+  }
+
+  dispatchFloorEditorState() {
+    if (!this.container || !this.floorDimensionEditorInstance) return;
+    const editor = this.floorDimensionEditorInstance;
+    this.container.dispatchEvent(new CustomEvent('floor-editor-changed', {
+      detail: { active: editor.isActive, angleSnap: editor.angleSnap, issues: editor.validation.issues }
+    }));
+  }
+
+  /**
+   * Lays an existing floor-plan drawing (JPG, PNG or the first page of a PDF) on the floor to trace over.
+   * It is centred on the room and as wide as the room until it is calibrated.
+   * @param {File} file
+   * @returns {Promise<Object>} - The underlay state, see FloorUnderlay.getState().
+   */
+  async loadFloorUnderlay(file) {
+    if (!this.floorUnderlay) throw new Error('The scene is not ready');
+    const image = await readFloorPlanImage(file);
+
+    const outline = this.getPlanOutline();
+    const box = new THREE.Box2();
+    (outline ? outline.inner : []).forEach(point => box.expandByPoint(new THREE.Vector2(point.x, point.z)));
+    const center = box.isEmpty() ? new THREE.Vector2() : box.getCenter(new THREE.Vector2());
+    const width = box.isEmpty() ? undefined : box.getSize(new THREE.Vector2()).x;
+
+    if (this.interactionMode === 'calibrate') this.setInteractionMode('translate');
+    this.floorUnderlay.setImage(image, { name: file.name, center: { x: center.x, z: center.y }, width });
+    this.floorUnderlay.setVisible(true);
+    console.log(`SceneManager: Loaded floor underlay ${file.name} (${image.naturalWidth || image.width} x ${image.naturalHeight || image.height} px)`);
+    this.dispatchUnderlayState();
+    return this.floorUnderlay.getState();
+  }
+
+  // Starts picking the two calibration points; the floor editor is closed since it blocks clicks on the floor
+  startUnderlayCalibration() {
+    if (!this.floorUnderlay || !this.floorUnderlay.loaded) return;
+    if (this.floorDimensionEditorInstance && this.floorDimensionEditorInstance.isActive) this.toggleFloorEditor();
+    this.floorUnderlay.cancelCalibration();
+    this.setInteractionMode('calibrate');
+    this.dispatchUnderlayState();
+  }
+
+  addUnderlayCalibrationPoint(point) {
+    if (!this.floorUnderlay) return;
+    if (this.floorUnderlay.addCalibrationPoint(point) !== null) this.setInteractionMode('translate');
+    this.dispatchUnderlayState();
+  }
+
+  /**
+   * Scales the underlay so the two picked calibration points are the given distance apart.
+   * @param {number} realDistance - Meters.
+   * @returns {boolean} - False without two picked points or a positive distance.
+   */
+  calibrateUnderlay(realDistance) {
+    if (!this.floorUnderlay || !this.floorUnderlay.applyCalibration(Number(realDistance))) return false;
+    console.log(`SceneManager: Floor underlay calibrated at ${(this.floorUnderlay.metersPerPixel * 1000).toFixed(1)} mm per pixel`);
+    this.dispatchUnderlayState();
+    return true;
+  }
+
+  cancelUnderlayCalibration() {
+    if (!this.floorUnderlay) return;
+    this.floorUnderlay.cancelCalibration();
+    if (this.interactionMode === 'calibrate') this.setInteractionMode('translate');
+    this.dispatchUnderlayState();
+  }
+
+  setUnderlayOpacity(opacity) {
+    if (!this.floorUnderlay) return;
+    this.floorUnderlay.setOpacity(opacity);
+    this.dispatchUnderlayState();
+  }
+
+  setUnderlayVisible(visible) {
+    if (!this.floorUnderlay) return;
+    this.floorUnderlay.setVisible(visible);
+    this.dispatchUnderlayState();
+  }
+
+  removeFloorUnderlay() {
+    if (!this.floorUnderlay) return;
+    if (this.interactionMode === 'calibrate') this.setInteractionMode('translate');
+    this.floorUnderlay.removeImage();
+    this.dispatchUnderlayState();
+  }
+
+  getUnderlayState() {
+    return this.floorUnderlay ? this.floorUnderlay.getState() : null;
+  }
+
+  dispatchUnderlayState() {
+    if (this.container) this.container.dispatchEvent(new CustomEvent('underlay-changed', { detail: this.getUnderlayState() }));
+  }
+
+  /**
+   * Starts drawing a new room corner by corner ('draw-walls' interaction mode). Corners snap to the
+   * drag-snap grid step while grid snapping is on, and onto corners already placed; clicking the first
+   * corner again closes the room.
+   */
+  startWallDrawing() {
+    if (!this.floorPlanEngine || !this.room) return;
+    if (this.floorDimensionEditorInstance && this.floorDimensionEditorInstance.isActive) this.toggleFloorEditor();
+    this.deselectObject();
+    this.floorPlanEngine.reset();
+    this.floorPlanEngine.gridStep = this.snapSettings.gridEnabled ? this.snapSettings.gridStep : 0;
+    this.wallDrawingMessage = null;
+    this.setInteractionMode('draw-walls');
+    this.dispatchWallDrawingState();
+  }
+
+  // Shift keeps the wall from the last corner straight; Alt places the corner without any snapping, as when dragging
+  getWallDrawingOptions(modifiers = {}) {
+    return { ortho: !!modifiers.shiftKey, free: !!modifiers.altKey };
+  }
+
+  addWallDrawingPoint(point, modifiers) {
+    if (!this.floorPlanEngine) return;
+    const result = this.floorPlanEngine.addPoint({ x: point.x, y: point.z }, this.getWallDrawingOptions(modifiers));
+    this.wallDrawingMessage = result.status === 'rejected' ? result.message : null;
+    if (result.status === 'closed') this.finishWallDrawing(result.polygon);
+    else this.dispatchWallDrawingState();
+  }
+
+  // Closes the room from the last corner back to the first without clicking it
+  closeWallDrawing() {
+    if (!this.floorPlanEngine) return;
+    const result = this.floorPlanEngine.close();
+    this.wallDrawingMessage = result.status === 'rejected' ? result.message : null;
+    if (result.status === 'closed') this.finishWallDrawing(result.polygon);
+    else this.dispatchWallDrawingState();
+  }
+
+  removeLastWallCorner() {
+    if (!this.floorPlanEngine) return;
+    this.floorPlanEngine.removeLastCorner();
+    this.wallDrawingMessage = null;
+    this.dispatchWallDrawingState();
+  }
+
+  cancelWallDrawing() {
+    if (!this.floorPlanEngine) return;
+    this.floorPlanEngine.reset();
+    this.wallDrawingMessage = null;
+    if (this.interactionMode === 'draw-walls') this.setInteractionMode('translate');
+    this.dispatchWallDrawingState();
+  }
+
+  /**
+   * Builds the room from a drawn outline.
+   * @param {Array<{x: number, z: number}>} polygon - World floor points.
+   */
+  finishWallDrawing(polygon) {
+    // Room.buildFromPolygon takes points local to the room group, then re-centres the group on them
+    this.room.group.updateMatrixWorld(true);
+    const inverseRoomGroupMatrix = this.room.group.matrixWorld.clone().invert();
+    const localPoints = polygon.map(worldPoint => {
+      const localPoint = new THREE.Vector3(worldPoint.x, 0, worldPoint.z).applyMatrix4(inverseRoomGroupMatrix);
+      return { x: localPoint.x, z: localPoint.z };
+    });
+    const previousGroupPosition = this.room.group.position.clone();
+    console.log(`SceneManager: Building the drawn room with ${localPoints.length} corners`);
+    this.room.buildFromPolygon(localPoints, false);
+
+    // The tracing underlay moves with the re-centred room, so the drawing stays under the new walls
+    const shift = this.room.group.position.clone().sub(previousGroupPosition);
+    if (this.floorUnderlay) this.floorUnderlay.moveBy(shift.x, shift.z);
+
+    this.floorPlanEngine.reset();
+    this.setInteractionMode('translate');
+    this.dispatchWallDrawingState();
+  }
+
+  dispatchWallDrawingState() {
+    if (!this.container || !this.floorPlanEngine) return;
+    this.container.dispatchEvent(new CustomEvent('wall-drawing-changed', {
+      detail: {
+        active: this.interactionMode === 'draw-walls',
+        corners: this.floorPlanEngine.corners.length,
+        message: this.wallDrawingMessage
+      }
+    }));
   }
 
   // 
@@ -854,6 +2343,11 @@ export class SceneManager {
       this.animationFrameId = null;
     }
 
+    if (this.autosaveTimer) {
+      clearTimeout(this.autosaveTimer);
+      this.autosaveTimer = null;
+    }
+
     window.removeEventListener('resize', this.onWindowResize);
     if (this.container) {
         this.container.removeEventListener('pointerdown', this.onPointerDown);
@@ -869,6 +2363,47 @@ export class SceneManager {
       this.interactionManager.dispose();
       this.interactionManager = null;
     }
+    if (this.collisionManager) {
+      this.collisionManager.dispose();
+      this.collisionManager = null;
+    }
+    if (this.clearanceManager) {
+      this.clearanceManager.dispose();
+      this.clearanceManager = null;
+    }
+    if (this.dimensionOverlay) {
+      this.dimensionOverlay.dispose();
+      this.dimensionOverlay = null;
+    }
+    if (this.distanceOverlay) {
+      this.distanceOverlay.dispose();
+      this.distanceOverlay = null;
+    }
+    if (this.patternPreview) {
+      this.patternPreview.dispose();
+      this.patternPreview = null;
+    }
+    if (this.smartGuides) {
+      this.smartGuides.dispose();
+      this.smartGuides = null;
+    }
+    if (this.measureTool) {
+      this.measureTool.dispose();
+      this.measureTool = null;
+    }
+    if (this.planView) {
+      this.planView.dispose();
+      this.planView = null;
+    }
+    if (this.floorUnderlay) {
+      this.floorUnderlay.dispose();
+      this.floorUnderlay = null;
+    }
+    if (this.floorPlanEngine) {
+      this.floorPlanEngine.dispose();
+      this.scene.remove(this.floorPlanEngine.group);
+      this.floorPlanEngine = null;
+    }
 
     if (this.orbitControls) {
       this.orbitControls.dispose();
@@ -948,6 +2483,8 @@ export class SceneManager {
     }
 
     this.camera = null;
+    this.perspectiveCamera = null;
+    this.planCamera = null;
     this.container = null;
     this.undoStack = [];
     this.redoStack = [];
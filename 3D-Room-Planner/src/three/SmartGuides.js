@@ -0,0 +1,65 @@
+// src/three/SmartGuides.js
+// Dashed guide lines shown while a model is dragged into line with another model or flush to a wall
+
+import * as THREE from 'three';
+import placementConfig from '../config/placement';
+
+const GUIDE_HEIGHT = 0.03; // Guides sit just above the floor
+const GUIDE_OVERHANG = 0.3; // Guides run on a little past the models they connect
+
+export class SmartGuides {
+  constructor(scene) {
+    this.scene = scene;
+
+    this.group = new THREE.Group();
+    this.group.name = 'SmartGuides';
+    this.group.userData.isEditorHelper = true;
+    this.group.visible = false;
+    this.scene.add(this.group);
+
+    // Drawn on top of everything, so the guides also show through models in the 3D view
+    this.material = new THREE.LineDashedMaterial({
+      color: placementConfig.guideColor,
+      dashSize: 0.1,
+      gapSize: 0.06,
+      depthTest: false,
+      transparent: true
+    });
+    this.lines = new THREE.LineSegments(new THREE.BufferGeometry(), this.material);
+    this.lines.renderOrder = 3;
+    this.group.add(this.lines);
+  }
+
+  /**
+   * Replaces the guides on screen.
+   * @param {Array<{from: {x: number, z: number}, to: {x: number, z: number}}>} guides - Floor segments.
+   */
+  show(guides) {
+    if (guides.length === 0) {
+      this.clear();
+      return;
+    }
+    const positions = [];
+    guides.forEach(({ from, to }) => {
+      const length = Math.hypot(to.x - from.x, to.z - from.z) || 1;
+      const dx = ((to.x - from.x) / length) * GUIDE_OVERHANG;
+      const dz = ((to.z - from.z) / length) * GUIDE_OVERHANG;
+      positions.push(from.x - dx, GUIDE_HEIGHT, from.z - dz, to.x + dx, GUIDE_HEIGHT, to.z + dz);
+    });
+    this.lines.geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    this.lines.geometry.computeBoundingSphere();
+    this.lines.computeLineDistances();
+    this.group.visible = true;
+  }
+
+  clear() {
+    this.group.visible = false;
+  }
+
+  dispose() {
+    this.clear();
+    this.lines.geometry.dispose();
+    this.material.dispose();
+    this.scene.remove(this.group);
+  }
+}
@@ -347,10 +347,17 @@ export class Equipment {
   }
   
   /**
-   * Get dimensions of the equipment
+   * Get dimensions of the equipment: the size measured from the loaded model,
+   * or the configured size while it is still loading
    * @returns {Object} - Object with width, height, depth properties
    */
   getDimensions() {
+    if (this.object && this.object.userData.measuredDimensions) {
+      return this.object.userData.measuredDimensions;
+    }
+    if (this.modelLoader && this.modelLoader.measuredDimensions && this.modelLoader.measuredDimensions[this.type]) {
+      return this.modelLoader.measuredDimensions[this.type];
+    }
     return this.dimensions;
   }
   
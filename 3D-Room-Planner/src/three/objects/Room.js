@@ -2,6 +2,8 @@
 // Class for creating and managing the room (walls, floor, ceiling) with distance-optimized watermark system
 
 import * as THREE from 'three';
+import { closestPointOnEdges } from '../utils/PolygonUtils.js';
+import openingsConfig from '../../config/openings';
 
 function isClockwise(points) {
   if (!points || points.length < 2) return false; // Not enough points to determine
@@ -14,13 +16,86 @@ function isClockwise(points) {
   return sum > 0;
 }
 
+// Unit normal pointing out of the room for the CCW edge a -> b, or null for a degenerate edge
+function outwardNormal(a, b) {
+  const dx = b.x - a.x;
+  const dz = b.z - a.z;
+  const length = Math.sqrt(dx * dx + dz * dz);
+  return length < 0.001 ? null : { x: dz / length, z: -dx / length };
+}
+
+/**
+ * Offset from a polygon corner to the matching outer wall corner when the walls are extruded
+ * outwards by `thickness`: the point where the outer faces of the two walls meet (a mitre joint).
+ * Very sharp corners are capped so the mitre does not shoot out.
+ */
+function outerMitre(points, index, thickness) {
+  const count = points.length;
+  const previous = points[(index - 1 + count) % count];
+  const current = points[index];
+  const next = points[(index + 1) % count];
+  const normalIn = outwardNormal(previous, current);
+  const normalOut = outwardNormal(current, next);
+  const n1 = normalIn || normalOut;
+  const n2 = normalOut || normalIn;
+  if (!n1) return { x: 0, z: 0 };
+
+  const bisector = { x: n1.x + n2.x, z: n1.z + n2.z };
+  const bisectorLength = Math.hypot(bisector.x, bisector.z);
+  if (bisectorLength < 1e-6) return { x: n1.x * thickness, z: n1.z * thickness }; // Wall doubles back on itself
+
+  const cosHalfAngle = (bisector.x * n1.x + bisector.z * n1.z) / bisectorLength;
+  const mitreLength = Math.min(thickness / Math.max(cosHalfAngle, 1e-6), thickness * 4);
+  return { x: bisector.x / bisectorLength * mitreLength, z: bisector.z / bisectorLength * mitreLength };
+}
+
+/**
+ * Finds the edge of a rebuilt polygon that best matches a point on an old wall: close to the point and
+ * running in the same direction (so a point sitting on a corner stays on the wall it came from).
+ * @returns {{edgeIndex: number, along: number}|null}
+ */
+function findMatchingEdge(points, point, direction) {
+  let best = null;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    const closest = closestPointOnEdges([a, b], point);
+    if (!closest) continue;
+    const alignment = ((b.x - a.x) * direction.x + (b.z - a.z) * direction.z) / closest.edgeLength;
+    const score = closest.distance + (1 - alignment); // A reversed wall costs as much as being 2 m away
+    if (!best || score < best.score) best = { edgeIndex: i, along: closest.along, score };
+  }
+  return best;
+}
+
+function disposeObject(object) {
+  object.traverse(child => {
+    if (child.geometry) child.geometry.dispose();
+    if (child.material) {
+      const materials = Array.isArray(child.material) ? child.material : [child.material];
+      materials.forEach(m => m.dispose());
+    }
+  });
+}
+
+// Walls of a new room, in meters; saved projects without these settings get the same values
+export const DEFAULT_WALL_HEIGHT = 2.5;
+export const DEFAULT_WALL_THICKNESS = 0.15;
+
 export class Room {
-  constructor(height = 2.5) { // Default wall height
+  constructor(height = DEFAULT_WALL_HEIGHT, wallThickness = DEFAULT_WALL_THICKNESS) {
     this.height = height;
+    this.wallThickness = wallThickness; // Walls are extruded outwards, so the floor polygon stays the inner face
+    this.wallHeightOverrides = {}; // wallIndex -> height, for walls lower or higher than this.height
     this.group = new THREE.Group();
     this.group.name = "RoomGroup";
     this.wallSegments = [];
     this._currentPoints = [];
+    this.isEmpty = false; // True when only the floor was built (no walls)
+    this.onShapeChanged = null; // Callback: (room) => void, called after every successful rebuild
+    this.openings = []; // Doors and windows cut into the walls, see addOpening()
+    this.openingObjects = new Map(); // opening id -> THREE.Group with its frame, leaf/glass and swing arc
+    this._nextOpeningId = 1;
     
     // Watermark system with distance optimization
     this.watermark = null;
@@ -59,7 +134,11 @@ export class Room {
       console.log("Room.js: Points were clockwise, reversing to CCW for internal use.");
       processedPoints.reverse();
     }
+    const previousPoints = this._currentPoints;
     this._currentPoints = processedPoints; 
+    this.isEmpty = isEmpty;
+    this.remapWallHeights(previousPoints, processedPoints);
+    this.remapOpenings(previousPoints, processedPoints);
     console.log("Room.js: Processed _currentPoints (CCW):", JSON.parse(JSON.stringify(this._currentPoints)));
   
     this.clearRoom(); 
@@ -82,11 +161,16 @@ export class Room {
     }
     console.log("Room.js: Calculated center for group offset:", center);
     this.group.position.set(-center.x, 0, -center.z);
+    this.syncOpeningObjects();
     
     // Initialize watermark after room is built
     if (this.watermarkConfig.enabled && !isEmpty) {
       this.loadWatermarkTexture();
     }
+
+    if (typeof this.onShapeChanged === 'function') {
+      this.onShapeChanged(this);
+    }
   }  
 
   clearRoom() {
@@ -167,9 +251,9 @@ export class Room {
         continue;
       }
   
-      const wallGeometry = new THREE.PlaneGeometry(length, this.height);
-      const wall = new THREE.Mesh(wallGeometry, material.clone()); 
-      wall.position.set( (a.x + b.x) / 2, this.height / 2, (a.z + b.z) / 2 );
+      const wallHeight = this.getWallHeight(i);
+      const wall = new THREE.Mesh(this.buildWallGeometry(i), material.clone()); 
+      wall.position.set( (a.x + b.x) / 2, wallHeight / 2, (a.z + b.z) / 2 );
       wall.rotation.y = -Math.atan2(dz, dx);
       wall.name = `RoomWall_${i}`;
       wall.castShadow = true;
@@ -177,6 +261,7 @@ export class Room {
       wall.userData.isWall = true;
       wall.userData.wallIndex = i;
       wall.userData.wallLength = length;
+      wall.userData.wallHeight = wallHeight;
       // For CCW points (a to b), vector (-dz, 0, dx) points INWARDS into the polygon.
       wall.userData.inwardNormalLocalXZ = new THREE.Vector3(-dz, 0, dx).normalize(); 
       this.group.add(wall);
@@ -188,6 +273,518 @@ export class Room {
     return this._currentPoints.map(p => ({ ...p }));
   }
 
+  /**
+   * Outer corners of the walls: each floor corner pushed out by the wall thickness, mitred like the wall meshes.
+   * @returns {Array<{x: number, z: number}>} - Room-local points, matching getCurrentPoints() index for index.
+   */
+  getOuterPoints() {
+    return this._currentPoints.map((point, index) => {
+      const mitre = outerMitre(this._currentPoints, index, this.wallThickness);
+      return { x: point.x + mitre.x, z: point.z + mitre.z };
+    });
+  }
+
+  /**
+   * Geometry for the wall on polygon edge `wallIndex`, with its height, openings and mitred ends.
+   * @param {number} wallIndex
+   * @returns {THREE.BufferGeometry}
+   */
+  buildWallGeometry(wallIndex) {
+    const edge = this.getWallEdge(wallIndex);
+    const direction = { x: edge.dx / edge.length, z: edge.dz / edge.length };
+    const startMitre = outerMitre(this._currentPoints, wallIndex, this.wallThickness);
+    const endMitre = outerMitre(this._currentPoints, (wallIndex + 1) % this._currentPoints.length, this.wallThickness);
+    return this.createWallGeometry(edge.length, this.getOpeningsForWall(wallIndex), {
+      height: this.getWallHeight(wallIndex),
+      startShift: startMitre.x * direction.x + startMitre.z * direction.z,
+      endShift: endMitre.x * direction.x + endMitre.z * direction.z
+    });
+  }
+
+  /**
+   * Builds the geometry of one wall segment: a length x height slab centered on the origin along X/Y
+   * with its door and window openings cut out. The inner face lies at z = 0 (facing +Z, into the room)
+   * and the slab extends `wallThickness` towards -Z.
+   * Openings that start at floor level are notched into the bottom edge, the others become holes.
+   * @param {number} length - Length of the wall segment.
+   * @param {Array<Object>} [wallOpenings=[]] - Openings on this segment, see addOpening().
+   * @param {Object} [options]
+   * @param {number} [options.height=this.height] - Wall height.
+   * @param {number} [options.startShift=0] - Where the outer face starts along X relative to the inner face (mitre).
+   * @param {number} [options.endShift=0] - Where the outer face ends along X relative to the inner face (mitre).
+   * @returns {THREE.BufferGeometry}
+   */
+  createWallGeometry(length, wallOpenings = [], { height = this.height, startShift = 0, endShift = 0 } = {}) {
+    const halfLength = length / 2;
+    const halfHeight = height / 2;
+    const margin = 0.02; // Keeps cut-outs off the wall ends and the top edge so the outline stays valid
+
+    const cutouts = wallOpenings.map(opening => {
+      const start = opening.offset - opening.width / 2 - halfLength;
+      const bottom = Math.max(0, opening.sillHeight);
+      return {
+        left: Math.max(-halfLength + margin, start),
+        right: Math.min(halfLength - margin, start + opening.width),
+        bottom: bottom - halfHeight,
+        top: Math.min(height - margin, bottom + opening.height) - halfHeight,
+        reachesFloor: bottom < 0.001
+      };
+    })
+      .filter(cutout => cutout.right - cutout.left > 0.001 && cutout.top - cutout.bottom > 0.001)
+      .sort((a, b) => a.left - b.left);
+
+    const shape = new THREE.Shape();
+    shape.moveTo(-halfLength, -halfHeight);
+    let cursor = -halfLength;
+    const accepted = [];
+    cutouts.filter(cutout => cutout.reachesFloor).forEach(cutout => {
+      if (cutout.left <= cursor) return; // Overlaps the previous door, which already opens the wall here
+      shape.lineTo(cutout.left, -halfHeight);
+      shape.lineTo(cutout.left, cutout.top);
+      shape.lineTo(cutout.right, cutout.top);
+      shape.lineTo(cutout.right, -halfHeight);
+      cursor = cutout.right;
+      accepted.push(cutout);
+    });
+    shape.lineTo(halfLength, -halfHeight);
+    shape.lineTo(halfLength, halfHeight);
+    shape.lineTo(-halfLength, halfHeight);
+    shape.lineTo(-halfLength, -halfHeight);
+
+    cutouts.filter(cutout => !cutout.reachesFloor).forEach(cutout => {
+      const overlaps = accepted.some(other =>
+        cutout.left < other.right && cutout.right > other.left &&
+        cutout.bottom < other.top && cutout.top > other.bottom
+      );
+      if (overlaps) return; // Overlapping holes would break the triangulation
+      const hole = new THREE.Path();
+      hole.moveTo(cutout.left, cutout.bottom);
+      hole.lineTo(cutout.right, cutout.bottom);
+      hole.lineTo(cutout.right, cutout.top);
+      hole.lineTo(cutout.left, cutout.top);
+      hole.lineTo(cutout.left, cutout.bottom);
+      shape.holes.push(hole);
+      accepted.push(cutout);
+    });
+
+    const thickness = this.wallThickness;
+    const geometry = new THREE.ExtrudeGeometry(shape, { depth: thickness, bevelEnabled: false });
+    geometry.translate(0, 0, -thickness);
+
+    // Slide the end faces so the outer face meets the neighbouring walls in a mitre
+    const positions = geometry.attributes.position;
+    for (let i = 0; i < positions.count; i++) {
+      const x = positions.getX(i);
+      const depthRatio = -positions.getZ(i) / thickness; // 0 on the inner face, 1 on the outer face
+      if (Math.abs(x + halfLength) < 1e-4) positions.setX(i, x + startShift * depthRatio);
+      else if (Math.abs(x - halfLength) < 1e-4) positions.setX(i, x + endShift * depthRatio);
+    }
+    positions.needsUpdate = true;
+    geometry.computeVertexNormals();
+    return geometry;
+  }
+
+  getWallHeight(wallIndex) {
+    const override = this.wallHeightOverrides[wallIndex];
+    return override > 0 ? override : this.height;
+  }
+
+  /**
+   * Current wall settings, as saved in projects.
+   * @returns {{height: number, thickness: number, wallHeights: Array<{wallIndex: number, height: number}>}}
+   */
+  getWallSettings() {
+    return {
+      height: this.height,
+      thickness: this.wallThickness,
+      wallHeights: Object.keys(this.wallHeightOverrides).map(key => ({
+        wallIndex: Number(key),
+        height: this.wallHeightOverrides[key]
+      }))
+    };
+  }
+
+  /**
+   * Changes the wall height, thickness and/or per-wall heights and rebuilds the walls.
+   * @param {Object} settings
+   * @param {number} [settings.height] - Default height of every wall.
+   * @param {number} [settings.thickness] - Thickness of every wall.
+   * @param {Array<{wallIndex: number, height: number}>} [settings.wallHeights] - Replaces all per-wall heights.
+   */
+  setWallSettings({ height, thickness, wallHeights } = {}) {
+    if (Number(height) > 0) this.height = Number(height);
+    if (Number(thickness) > 0) this.wallThickness = Math.min(Number(thickness), 1);
+    if (Array.isArray(wallHeights)) {
+      this.wallHeightOverrides = {};
+      wallHeights.forEach(entry => {
+        if (entry.wallIndex >= 0 && entry.wallIndex < this._currentPoints.length && Number(entry.height) > 0) {
+          this.wallHeightOverrides[entry.wallIndex] = Number(entry.height);
+        }
+      });
+    }
+    this.rebuildWalls();
+  }
+
+  /**
+   * Gives a single wall its own height, e.g. a knee wall or a lower basement wall.
+   * @param {number} wallIndex
+   * @param {number|null} height - New height, or null to use the room's wall height again.
+   */
+  setWallHeightOverride(wallIndex, height) {
+    if (Number(height) > 0) this.wallHeightOverrides[wallIndex] = Number(height);
+    else delete this.wallHeightOverrides[wallIndex];
+    this.rebuildWalls();
+  }
+
+  // Replaces the wall meshes (and the opening frames that depend on them) without touching the floor
+  rebuildWalls() {
+    this.removeWatermark();
+    this.wallSegments.forEach(wall => {
+      this.group.remove(wall);
+      wall.geometry.dispose();
+      wall.material.dispose();
+    });
+    this.wallSegments = [];
+    if (!this.isEmpty && this._currentPoints.length >= 3) this.createWalls(this._currentPoints);
+    this.syncOpeningObjects();
+  }
+
+  /**
+   * Carries per-wall heights over to a rebuilt polygon, following the same rules as remapOpenings().
+   * @param {Array<{x: number, z: number}>} previousPoints
+   * @param {Array<{x: number, z: number}>} nextPoints
+   */
+  remapWallHeights(previousPoints, nextPoints) {
+    const entries = Object.keys(this.wallHeightOverrides).map(key => [Number(key), this.wallHeightOverrides[key]]);
+    if (entries.length === 0 || !previousPoints || previousPoints.length < 3) return;
+    if (previousPoints.length === nextPoints.length) return;
+
+    this.wallHeightOverrides = {};
+    entries.forEach(([wallIndex, height]) => {
+      const a = previousPoints[wallIndex];
+      const b = previousPoints[(wallIndex + 1) % previousPoints.length];
+      if (!a || !b) return;
+      const length = Math.hypot(b.x - a.x, b.z - a.z) || 1;
+      const closest = findMatchingEdge(
+        nextPoints,
+        { x: (a.x + b.x) / 2, z: (a.z + b.z) / 2 },
+        { x: (b.x - a.x) / length, z: (b.z - a.z) / length }
+      );
+      if (closest) this.wallHeightOverrides[closest.edgeIndex] = height;
+    });
+  }
+
+  /**
+   * Start point, end point and length of a wall segment (polygon edge) in room-local coordinates.
+   * @param {number} wallIndex - Edge index; edge i runs from point i to point i + 1.
+   * @returns {{a: {x: number, z: number}, b: {x: number, z: number}, dx: number, dz: number, length: number}|null}
+   */
+  getWallEdge(wallIndex) {
+    const points = this._currentPoints;
+    if (points.length < 3 || wallIndex < 0 || wallIndex >= points.length) return null;
+    const a = points[wallIndex];
+    const b = points[(wallIndex + 1) % points.length];
+    const dx = b.x - a.x;
+    const dz = b.z - a.z;
+    return { a, b, dx, dz, length: Math.sqrt(dx * dx + dz * dz) };
+  }
+
+  getOpeningsForWall(wallIndex) {
+    return this.openings.filter(opening => opening.wallIndex === wallIndex);
+  }
+
+  /**
+   * Returns copies of all door and window openings.
+   * @returns {Array<Object>}
+   */
+  getOpenings() {
+    return this.openings.map(opening => ({ ...opening }));
+  }
+
+  getOpening(id) {
+    const opening = this.openings.find(entry => entry.id === id);
+    return opening ? { ...opening } : null;
+  }
+
+  getOpeningObject(id) {
+    return this.openingObjects.get(id) || null;
+  }
+
+  /**
+   * Adds a door or window to a wall segment.
+   * @param {Object} spec
+   * @param {'door'|'window'} spec.type
+   * @param {number} [spec.wallIndex] - Wall segment (polygon edge) index. Defaults to the longest wall.
+   * @param {number} [spec.offset] - Distance from the wall start to the opening center. Defaults to the wall center.
+   * @param {number} spec.width - Opening width.
+   * @param {number} spec.height - Opening height.
+   * @param {number} [spec.sillHeight=0] - Height of the bottom of the opening above the floor.
+   * @param {'in'|'out'} [spec.swing='in'] - Door swing direction relative to the room.
+   * @param {'left'|'right'} [spec.hinge='left'] - Hinge side as seen from inside the room.
+   * @param {boolean} [spec.fireExit=false] - Marks a door as an emergency exit.
+   * @returns {Object|null} - Copy of the added opening, or null when the room has no walls.
+   */
+  addOpening(spec) {
+    if (this._currentPoints.length < 3) return null;
+
+    let wallIndex = spec.wallIndex;
+    if (wallIndex === undefined) {
+      let longest = -1;
+      this._currentPoints.forEach((point, index) => {
+        const edge = this.getWallEdge(index);
+        if (edge.length > longest) {
+          longest = edge.length;
+          wallIndex = index;
+        }
+      });
+    }
+    const edge = this.getWallEdge(wallIndex);
+    const opening = this.normalizeOpening({
+      ...spec,
+      id: `opening-${this._nextOpeningId++}`,
+      wallIndex,
+      offset: spec.offset === undefined ? edge.length / 2 : spec.offset
+    });
+    this.openings.push(opening);
+    this.refreshOpenings();
+    return { ...opening };
+  }
+
+  /**
+   * Changes the properties (size, sill height, swing, position) of an opening.
+   * @param {string} id
+   * @param {Object} changes - Any of the properties accepted by addOpening().
+   * @returns {Object|null} - Copy of the updated opening.
+   */
+  updateOpening(id, changes) {
+    const index = this.openings.findIndex(opening => opening.id === id);
+    if (index === -1) return null;
+    this.openings[index] = this.normalizeOpening({ ...this.openings[index], ...changes, id });
+    this.refreshOpenings();
+    return { ...this.openings[index] };
+  }
+
+  /**
+   * Snaps an opening to the wall segment closest to a room-local point and slides it along that wall.
+   * @param {string} id
+   * @param {{x: number, z: number}} localPoint - Point in room-local coordinates (e.g. the pointer on the floor).
+   * @returns {Object|null} - Copy of the moved opening.
+   */
+  moveOpeningToPoint(id, localPoint) {
+    const closest = closestPointOnEdges(this._currentPoints, localPoint);
+    if (!closest) return null;
+    return this.updateOpening(id, { wallIndex: closest.edgeIndex, offset: closest.along });
+  }
+
+  removeOpening(id) {
+    const countBefore = this.openings.length;
+    this.openings = this.openings.filter(opening => opening.id !== id);
+    if (this.openings.length !== countBefore) this.refreshOpenings();
+  }
+
+  /**
+   * Replaces all openings, e.g. when loading a project or undoing.
+   * @param {Array<Object>} openings
+   */
+  setOpenings(openings) {
+    this.openings = (openings || [])
+      .filter(opening => this.getWallEdge(opening.wallIndex))
+      .map(opening => this.normalizeOpening({ ...opening, id: opening.id || `opening-${this._nextOpeningId++}` }));
+    this.openings.forEach(opening => {
+      const number = parseInt(String(opening.id).replace('opening-', ''), 10);
+      if (number >= this._nextOpeningId) this._nextOpeningId = number + 1;
+    });
+    this.refreshOpenings();
+  }
+
+  // Clamps sizes to sane values and keeps the opening within its wall segment
+  normalizeOpening(opening) {
+    const edge = this.getWallEdge(opening.wallIndex);
+    const wallLength = edge ? edge.length : 0;
+    const isDoor = opening.type !== 'window';
+    const width = Math.max(openingsConfig.minWidth, Number(opening.width) || openingsConfig.minWidth);
+    const height = Math.max(openingsConfig.minHeight, Number(opening.height) || openingsConfig.minHeight);
+    const sillHeight = Math.max(0, Number(opening.sillHeight) || 0);
+    const offset = wallLength <= width
+      ? wallLength / 2
+      : Math.min(wallLength - width / 2, Math.max(width / 2, Number(opening.offset) || 0));
+
+    return {
+      id: opening.id,
+      type: isDoor ? 'door' : 'window',
+      wallIndex: opening.wallIndex,
+      offset,
+      width,
+      height,
+      sillHeight,
+      swing: opening.swing === 'out' ? 'out' : 'in',
+      hinge: opening.hinge === 'right' ? 'right' : 'left',
+      fireExit: isDoor && !!opening.fireExit
+    };
+  }
+
+  /**
+   * Carries openings over to a rebuilt polygon. With the same number of corners every opening stays on
+   * the wall with the same index; otherwise it moves to the new wall closest to where it used to be.
+   * @param {Array<{x: number, z: number}>} previousPoints - Polygon before the rebuild (CCW).
+   * @param {Array<{x: number, z: number}>} nextPoints - Polygon after the rebuild (CCW).
+   */
+  remapOpenings(previousPoints, nextPoints) {
+    if (this.openings.length === 0 || !previousPoints || previousPoints.length < 3) return;
+
+    if (previousPoints.length !== nextPoints.length) {
+      this.openings.forEach(opening => {
+        const a = previousPoints[opening.wallIndex];
+        const b = previousPoints[(opening.wallIndex + 1) % previousPoints.length];
+        if (!a || !b) return;
+        const length = Math.hypot(b.x - a.x, b.z - a.z) || 1;
+        const center = {
+          x: a.x + (b.x - a.x) * (opening.offset / length),
+          z: a.z + (b.z - a.z) * (opening.offset / length)
+        };
+        const closest = findMatchingEdge(nextPoints, center, { x: (b.x - a.x) / length, z: (b.z - a.z) / length });
+        if (closest) {
+          opening.wallIndex = closest.edgeIndex;
+          opening.offset = closest.along;
+        }
+      });
+    }
+    this.openings = this.openings
+      .filter(opening => opening.wallIndex < nextPoints.length)
+      .map(opening => this.normalizeOpening(opening));
+  }
+
+  // Re-cuts the wall geometry and moves the opening meshes after openings changed
+  refreshOpenings() {
+    this.wallSegments.forEach(wall => {
+      wall.geometry.dispose();
+      wall.geometry = this.buildWallGeometry(wall.userData.wallIndex);
+    });
+    this.syncOpeningObjects();
+  }
+
+  // Creates, updates and removes the frame/leaf/glass groups so they match this.openings
+  syncOpeningObjects() {
+    const placedIds = new Set();
+    if (!this.isEmpty) {
+      this.openings.forEach(opening => {
+        const edge = this.getWallEdge(opening.wallIndex);
+        if (!edge || edge.length < 0.001) return;
+
+        let object = this.openingObjects.get(opening.id);
+        if (!object) {
+          object = new THREE.Group();
+          object.name = `RoomOpening_${opening.id}`;
+          object.userData.isOpening = true;
+          object.userData.openingId = opening.id;
+          object.userData.selectable = true;
+          this.openingObjects.set(opening.id, object);
+        }
+
+        const meshKey = [
+          opening.type, opening.width, opening.height, opening.sillHeight, opening.swing, opening.hinge, opening.fireExit,
+          this.wallThickness
+        ].join('|');
+        if (object.userData.meshKey !== meshKey) {
+          [...object.children].forEach(child => {
+            object.remove(child);
+            disposeObject(child);
+          });
+          this.createOpeningMeshes(opening).forEach(mesh => object.add(mesh));
+          object.userData.meshKey = meshKey;
+        }
+
+        const along = opening.offset / edge.length;
+        object.position.set(edge.a.x + edge.dx * along, 0, edge.a.z + edge.dz * along);
+        object.rotation.set(0, -Math.atan2(edge.dz, edge.dx), 0);
+        if (object.parent !== this.group) this.group.add(object);
+        placedIds.add(opening.id);
+      });
+    }
+
+    this.openingObjects.forEach((object, id) => {
+      if (placedIds.has(id)) return;
+      if (object.parent) object.parent.remove(object);
+      if (!this.openings.some(opening => opening.id === id)) {
+        disposeObject(object);
+        this.openingObjects.delete(id);
+      }
+    });
+  }
+
+  /**
+   * Builds the meshes of a door (frame, open leaf, swing arc) or window (frame, glass) in the wall's
+   * local frame: +X along the wall, +Y up, +Z into the room, origin at the opening center on the inner
+   * face of the wall at floor level. The wall itself spans z = -wallThickness..0.
+   * @param {Object} opening
+   * @returns {Array<THREE.Mesh>}
+   */
+  createOpeningMeshes(opening) {
+    const meshes = [];
+    const { width, height, sillHeight } = opening;
+    const frameSize = 0.05;
+    const frameDepth = this.wallThickness + 0.02;
+    const wallCenterZ = -this.wallThickness / 2;
+    const frameMaterial = new THREE.MeshStandardMaterial({ color: 0x9a9a9a, roughness: 0.6, metalness: 0.3 });
+
+    const addBox = (sizeX, sizeY, sizeZ, x, y, z, material) => {
+      const mesh = new THREE.Mesh(new THREE.BoxGeometry(sizeX, sizeY, sizeZ), material);
+      mesh.position.set(x, y, z);
+      mesh.castShadow = true;
+      meshes.push(mesh);
+      return mesh;
+    };
+
+    // Jambs and head
+    addBox(frameSize, height, frameDepth, -width / 2 + frameSize / 2, sillHeight + height / 2, wallCenterZ, frameMaterial);
+    addBox(frameSize, height, frameDepth, width / 2 - frameSize / 2, sillHeight + height / 2, wallCenterZ, frameMaterial);
+    addBox(width, frameSize, frameDepth, 0, sillHeight + height - frameSize / 2, wallCenterZ, frameMaterial);
+
+    if (opening.type === 'window') {
+      addBox(width, frameSize, frameDepth, 0, sillHeight + frameSize / 2, wallCenterZ, frameMaterial);
+      const glassMaterial = new THREE.MeshStandardMaterial({
+        color: 0xbfdcef, roughness: 0.05, metalness: 0.1, transparent: true, opacity: 0.35,
+        side: THREE.DoubleSide, depthWrite: false
+      });
+      const glass = new THREE.Mesh(new THREE.PlaneGeometry(width - frameSize * 2, height - frameSize * 2), glassMaterial);
+      glass.position.set(0, sillHeight + height / 2, wallCenterZ);
+      meshes.push(glass);
+      return meshes;
+    }
+
+    // Door leaf, drawn fully open towards the swing side. It is hinged on the face of the wall it opens to.
+    const direction = opening.swing === 'out' ? -1 : 1;
+    const hingeZ = direction > 0 ? 0 : -this.wallThickness;
+    const hingeX = opening.hinge === 'right' ? width / 2 - frameSize : -width / 2 + frameSize;
+    const leafWidth = width - frameSize * 2;
+    const leafThickness = 0.04;
+    const leafMaterial = new THREE.MeshStandardMaterial({
+      color: opening.fireExit ? 0x2e9d4f : 0xb08d6a, roughness: 0.7, metalness: 0.05
+    });
+    addBox(
+      leafThickness, height - frameSize, leafWidth,
+      hingeX + (opening.hinge === 'right' ? -leafThickness / 2 : leafThickness / 2),
+      (height - frameSize) / 2,
+      hingeZ + direction * leafWidth / 2,
+      leafMaterial
+    );
+
+    // Swing arc on the floor, as drawn on floor plans. Angles are measured in the XZ plane from +X towards +Z.
+    const arcStart = opening.hinge === 'right'
+      ? (direction > 0 ? Math.PI / 2 : Math.PI)
+      : (direction > 0 ? 0 : -Math.PI / 2);
+    const arcGeometry = new THREE.CircleGeometry(leafWidth, 24, arcStart, Math.PI / 2);
+    arcGeometry.rotateX(Math.PI / 2);
+    arcGeometry.translate(hingeX, 0.005, hingeZ);
+    const arc = new THREE.Mesh(arcGeometry, new THREE.MeshBasicMaterial({
+      color: opening.fireExit ? 0x2e9d4f : 0xe4002b, transparent: true, opacity: 0.15,
+      side: THREE.DoubleSide, depthWrite: false
+    }));
+    arc.userData.isEditorHelper = true;
+    meshes.push(arc);
+    return meshes;
+  }
+
   /**
    * Updates wall visibility and watermark position based on camera view
    * @param {THREE.Camera} camera - The scene camera.
@@ -216,6 +813,13 @@ export class Room {
       wall.visible = dotProduct < threshold;
     });
 
+    // Doors and windows follow the wall they are cut into
+    this.openingObjects.forEach(object => {
+      const opening = this.openings.find(entry => entry.id === object.userData.openingId);
+      const wall = opening && this.wallSegments.find(segment => segment.userData.wallIndex === opening.wallIndex);
+      object.visible = wall ? wall.visible : true;
+    });
+
     // Update watermark position after wall visibility changes
     this.updateWatermarkPosition(camera);
   }
@@ -713,6 +1317,9 @@ export class Room {
     }
     
     this.clearRoom();
+    this.openingObjects.forEach(object => disposeObject(object));
+    this.openingObjects.clear();
+    this.openings = [];
     this._currentPoints = [];
   }
 }
\ No newline at end of file
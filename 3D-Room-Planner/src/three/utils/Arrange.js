@@ -0,0 +1,103 @@
+// src/three/utils/Arrange.js
+// Align and distribute for groups of models, computed on their world bounding boxes (plan view: X across, Z down)
+
+/**
+ * Offsets that line up boxes on one side or centre line.
+ * 'left'/'right' use the smallest/largest X edge, 'top'/'bottom' the smallest/largest Z edge,
+ * 'center-x'/'center-z' the average of the box centres.
+ * When some boxes are fixed, the line is taken from those alone, so the others line up with them.
+ * @param {Array<THREE.Box3>} boxes
+ * @param {string} alignment - 'left', 'right', 'top', 'bottom', 'center-x' or 'center-z'.
+ * @param {Array<boolean>} [fixed] - Boxes that do not move and set the line (e.g. pinned models).
+ * @returns {Array<{x: number, z: number}>|null} - One offset per box; null for an unknown alignment.
+ */
+export function computeAlignment(boxes, alignment, fixed = []) {
+  const references = fixed.some(Boolean) ? boxes.filter((box, index) => fixed[index]) : boxes;
+  const centre = (box, axis) => (box.min[axis] + box.max[axis]) / 2;
+  const average = (axis) => references.reduce((sum, box) => sum + centre(box, axis), 0) / references.length;
+
+  let axis;
+  let delta;
+  switch (alignment) {
+    case 'left': {
+      const minX = Math.min(...references.map(box => box.min.x));
+      axis = 'x';
+      delta = box => minX - box.min.x;
+      break;
+    }
+    case 'right': {
+      const maxX = Math.max(...references.map(box => box.max.x));
+      axis = 'x';
+      delta = box => maxX - box.max.x;
+      break;
+    }
+    case 'top': {
+      const minZ = Math.min(...references.map(box => box.min.z));
+      axis = 'z';
+      delta = box => minZ - box.min.z;
+      break;
+    }
+    case 'bottom': {
+      const maxZ = Math.max(...references.map(box => box.max.z));
+      axis = 'z';
+      delta = box => maxZ - box.max.z;
+      break;
+    }
+    case 'center-x': {
+      const avgX = average('x');
+      axis = 'x';
+      delta = box => avgX - centre(box, 'x');
+      break;
+    }
+    case 'center-z': {
+      const avgZ = average('z');
+      axis = 'z';
+      delta = box => avgZ - centre(box, 'z');
+      break;
+    }
+    default:
+      return null;
+  }
+
+  return boxes.map((box, index) => {
+    const offset = { x: 0, z: 0 };
+    if (!fixed[index]) offset[axis] = delta(box);
+    return offset;
+  });
+}
+
+/**
+ * Offsets that space boxes evenly along an axis: the outermost two stay put and
+ * the gaps between neighbouring boxes become equal. Fixed boxes also stay put and split
+ * the row: the boxes between two that stay put are spaced evenly in the room left between them.
+ * @param {Array<THREE.Box3>} boxes - At least three.
+ * @param {string} axis - 'x' or 'z'.
+ * @param {Array<boolean>} [fixed] - Boxes that keep their place (pinned models).
+ * @returns {Array<{x: number, z: number}>|null} - One offset per box; null for fewer than three boxes or an unknown axis.
+ */
+export function computeDistribution(boxes, axis, fixed = []) {
+  if (boxes.length < 3 || (axis !== 'x' && axis !== 'z')) return null;
+
+  const order = boxes.map((box, index) => index)
+    .sort((a, b) => (boxes[a].min[axis] + boxes[a].max[axis]) - (boxes[b].min[axis] + boxes[b].max[axis]));
+  const size = box => box.max[axis] - box.min[axis];
+  const offsets = boxes.map(() => ({ x: 0, z: 0 }));
+
+  // Boxes that stay put, in order: the outermost two and every fixed one
+  const anchors = order.filter((index, position) => position === 0 || position === order.length - 1 || fixed[index]);
+  for (let i = 0; i < anchors.length - 1; i++) {
+    const start = boxes[anchors[i]];
+    const end = boxes[anchors[i + 1]];
+    const movable = order.slice(order.indexOf(anchors[i]) + 1, order.indexOf(anchors[i + 1]));
+    if (movable.length === 0) continue;
+
+    const movableSize = movable.reduce((sum, index) => sum + size(boxes[index]), 0);
+    const gap = (end.min[axis] - start.max[axis] - movableSize) / (movable.length + 1);
+    let cursor = start.max[axis] + gap;
+    movable.forEach(index => {
+      offsets[index][axis] = cursor - boxes[index].min[axis];
+      cursor += size(boxes[index]) + gap;
+    });
+  }
+  return offsets;
+}
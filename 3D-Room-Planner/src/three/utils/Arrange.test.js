@@ -0,0 +1,76 @@
+import * as THREE from 'three';
+import { computeAlignment, computeDistribution } from './Arrange';
+
+// Box spanning [from, to] along X and [0, depth] along Z
+const box = (from, to, depth = 1) => new THREE.Box3(new THREE.Vector3(from, 0, 0), new THREE.Vector3(to, 1, depth));
+
+// Where each box's left edge ends up after the offsets
+const leftEdges = (boxes, offsets) => boxes.map((b, index) => b.min.x + offsets[index].x);
+
+describe('computeAlignment', () => {
+  test('lines boxes up on the outermost edge', () => {
+    const boxes = [box(0, 1), box(2, 3), box(5, 7)];
+    expect(computeAlignment(boxes, 'left').map(offset => offset.x)).toEqual([0, -2, -5]);
+    expect(computeAlignment(boxes, 'right').map(offset => offset.x)).toEqual([6, 4, 0]);
+  });
+
+  test('centres boxes on the average centre', () => {
+    const boxes = [box(0, 2), box(4, 6), box(2, 4)];
+    expect(computeAlignment(boxes, 'center-x').map(offset => offset.x)).toEqual([2, -2, 0]);
+    expect(computeAlignment(boxes, 'center-x').every(offset => offset.z === 0)).toBe(true);
+  });
+
+  test('lines the other boxes up with a fixed one that is not the outermost', () => {
+    const boxes = [box(0, 1), box(2, 3), box(5, 7)];
+    const offsets = computeAlignment(boxes, 'left', [false, true, false]);
+    expect(offsets).toEqual([{ x: 2, z: 0 }, { x: 0, z: 0 }, { x: -3, z: 0 }]);
+  });
+
+  test('centres on the fixed boxes only', () => {
+    const boxes = [box(0, 2), box(4, 6), box(10, 12)];
+    const offsets = computeAlignment(boxes, 'center-x', [false, true, false]);
+    expect(offsets.map(offset => offset.x)).toEqual([4, 0, -6]);
+  });
+
+  test('returns null for an unknown alignment', () => {
+    expect(computeAlignment([box(0, 1), box(2, 3)], 'diagonal')).toBeNull();
+  });
+});
+
+describe('computeDistribution', () => {
+  test('spaces boxes evenly between the outermost two', () => {
+    const boxes = [box(0, 1), box(1.5, 2.5), box(9, 10), box(3, 4)];
+    const offsets = computeDistribution(boxes, 'x');
+    const edges = leftEdges(boxes, offsets);
+
+    expect(offsets[0].x).toBe(0);
+    expect(offsets[2].x).toBe(0);
+    // 6 m of floor left between the outer boxes' inner edges, shared by three gaps
+    expect(edges[1]).toBeCloseTo(3);
+    expect(edges[3]).toBeCloseTo(6);
+  });
+
+  test('keeps fixed boxes in place and spaces the others in the gaps around them', () => {
+    const boxes = [box(0, 1), box(1.2, 2.2), box(2, 3), box(3.1, 4.1), box(9, 10)];
+    const offsets = computeDistribution(boxes, 'x', [false, false, true, false, false]);
+    const edges = leftEdges(boxes, offsets);
+
+    expect(offsets[2]).toEqual({ x: 0, z: 0 });
+    expect(edges[1]).toBeCloseTo(1); // Exactly fills the metre between the first box and the fixed one
+    expect(edges[3]).toBeCloseTo(5.5); // Centred in the 6 m between the fixed box and the last one
+    // Nothing ends up overlapping the fixed box
+    expect(edges[1] + 1).toBeLessThanOrEqual(boxes[2].min.x + 1e-9);
+    expect(edges[3]).toBeGreaterThanOrEqual(boxes[2].max.x);
+  });
+
+  test('works along Z', () => {
+    const boxes = [0, 1, 5].map(z => new THREE.Box3(new THREE.Vector3(0, 0, z), new THREE.Vector3(1, 1, z + 1)));
+    const offsets = computeDistribution(boxes, 'z');
+    expect(offsets[1]).toEqual({ x: 0, z: 1.5 });
+  });
+
+  test('needs three boxes and a floor axis', () => {
+    expect(computeDistribution([box(0, 1), box(2, 3)], 'x')).toBeNull();
+    expect(computeDistribution([box(0, 1), box(2, 3), box(4, 5)], 'y')).toBeNull();
+  });
+});
@@ -0,0 +1,89 @@
+// src/three/utils/Distances.js
+// Clear distances on the floor from a model's footprint to the walls and to the nearest other model
+
+import { footprintCorners, footprintOverlap } from './Footprint.js';
+import { closestPointOnEdges } from './PolygonUtils.js';
+
+/**
+ * Distance from each side of a footprint to the first wall straight out from the middle of that side.
+ * Sides follow the model: its front faces +Z, so its left is +X.
+ * @param {Object} footprint - Placed footprint (see placeFootprint).
+ * @param {Array<{x: number, z: number}>|null} polygon - World points of the inner wall faces.
+ * @returns {Array<{side: string, from: {x: number, z: number}, to: {x: number, z: number}, distance: number}>}
+ *   One entry per side that faces a wall; sides already touching or past a wall are left out.
+ */
+export function measureWallDistances(footprint, polygon) {
+  if (!polygon || polygon.length < 3) return [];
+  const { axisX, axisZ, halfWidth, halfDepth } = footprint;
+  const sides = [
+    { side: 'front', direction: axisZ, extent: halfDepth },
+    { side: 'back', direction: { x: -axisZ.x, z: -axisZ.z }, extent: halfDepth },
+    { side: 'left', direction: axisX, extent: halfWidth },
+    { side: 'right', direction: { x: -axisX.x, z: -axisX.z }, extent: halfWidth }
+  ];
+
+  const distances = [];
+  sides.forEach(({ side, direction, extent }) => {
+    const from = { x: footprint.x + direction.x * extent, z: footprint.z + direction.z * extent };
+    const distance = rayToPolygon(from, direction, polygon);
+    if (distance === null || distance <= 0) return;
+    distances.push({
+      side,
+      from,
+      to: { x: from.x + direction.x * distance, z: from.z + direction.z * distance },
+      distance
+    });
+  });
+  return distances;
+}
+
+// Distance along a unit direction to the nearest polygon edge, or null if the ray misses them all
+function rayToPolygon(origin, direction, polygon) {
+  let nearest = null;
+  polygon.forEach((a, index) => {
+    const b = polygon[(index + 1) % polygon.length];
+    const edgeX = b.x - a.x;
+    const edgeZ = b.z - a.z;
+    const denominator = direction.x * edgeZ - direction.z * edgeX;
+    if (Math.abs(denominator) < 1e-9) return; // Parallel to the edge
+    const toEdgeX = a.x - origin.x;
+    const toEdgeZ = a.z - origin.z;
+    const distance = (toEdgeX * edgeZ - toEdgeZ * edgeX) / denominator;
+    const along = (toEdgeX * direction.z - toEdgeZ * direction.x) / denominator;
+    if (distance < -1e-9 || along < 0 || along > 1) return;
+    if (nearest === null || distance < nearest) nearest = distance;
+  });
+  return nearest;
+}
+
+/**
+ * The other footprint closest to a footprint, with the shortest segment between the two.
+ * Footprints that overlap it are skipped; the collision warnings already mark those.
+ * @param {Object} footprint
+ * @param {Array<Object>} others - Placed footprints of the other models.
+ * @returns {{index: number, from: {x: number, z: number}, to: {x: number, z: number}, distance: number}|null}
+ *   `index` points into `others`; null when there is no other model.
+ */
+export function measureNearestNeighbour(footprint, others) {
+  const corners = footprintCorners(footprint);
+  let nearest = null;
+  others.forEach((other, index) => {
+    if (footprintOverlap(footprint, other)) return;
+    const otherCorners = footprintCorners(other);
+    // The shortest segment between two rectangles always ends in a corner of one of them
+    const consider = (point, edges, pointIsOwn) => {
+      const closest = closestPointOnEdges(edges, point);
+      if (!closest || (nearest && closest.distance >= nearest.distance)) return;
+      const onEdge = { x: closest.x, z: closest.z };
+      nearest = {
+        index,
+        from: pointIsOwn ? { ...point } : onEdge,
+        to: pointIsOwn ? onEdge : { ...point },
+        distance: closest.distance
+      };
+    };
+    corners.forEach(corner => consider(corner, otherCorners, true));
+    otherCorners.forEach(corner => consider(corner, corners, false));
+  });
+  return nearest;
+}
@@ -1,60 +1,251 @@
 // src/three/utils/FloorPlanEngine.js
+// Draws a room outline corner by corner: each click places a corner and a draft wall from the previous
+// one, a rubber band follows the pointer, and clicking the first corner again closes the outline.
+// Corners are {x, y} on the floor, y running along the world Z axis.
+
 import * as THREE from 'three';
+import { segmentsIntersect, validatePolygon } from './PolygonUtils.js';
+import { updateLabel, removeLabel } from './LabelSprite.js';
+
+// Draft walls stay low, so they never hide the floor or a tracing underlay
+const DRAFT_WALL_HEIGHT = 0.1;
+const DRAFT_WALL_THICKNESS = 0.1;
+const CORNER_RADIUS = 0.08;
+const MIN_WALL_LENGTH = 0.05;
+
+const toXZ = (corner) => ({ x: corner.x, z: corner.y });
+const formatLength = (length) => `${length.toFixed(2)} m`;
 
 export class FloorPlanEngine {
-    constructor(group) {
-      this.group = group; // Reference to THREE.Group from Room
-      this.corners = [];
-      this.walls = [];
+  /**
+   * @param {THREE.Group} group - Holds the draft walls and corner markers; its origin is the world origin.
+   * @param {Object} [options]
+   * @param {number} [options.gridStep=0] - Grid the corners snap to, in meters (0 = off).
+   * @param {number} [options.cornerSnapRadius=0.25] - Corners within this distance (meters) of a placed one snap onto it.
+   * @param {number} [options.color]
+   */
+  constructor(group, { gridStep = 0, cornerSnapRadius = 0.25, color = 0x3182ce } = {}) {
+    this.group = group;
+    this.gridStep = gridStep;
+    this.cornerSnapRadius = cornerSnapRadius;
+    this.corners = [];
+    this.walls = [];
+
+    this.wallMaterial = new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.8 });
+    this.cornerGeometry = new THREE.SphereGeometry(CORNER_RADIUS, 12, 8);
+    this.cornerMaterial = new THREE.MeshBasicMaterial({ color, depthTest: false, transparent: true });
+    this.rubberBandMaterial = new THREE.LineDashedMaterial({
+      color, dashSize: 0.12, gapSize: 0.08, depthTest: false, transparent: true
+    });
+
+    // Rubber band from the last corner to the pointer, and a marker where the next corner would go
+    this.rubberBand = new THREE.Line(new THREE.BufferGeometry(), this.rubberBandMaterial);
+    this.rubberBand.renderOrder = 3;
+    this.rubberBand.visible = false;
+    this.cursor = new THREE.Mesh(this.cornerGeometry, this.cornerMaterial);
+    this.cursor.renderOrder = 3;
+    this.cursor.visible = false;
+    this.group.add(this.rubberBand, this.cursor);
+    this.lengthLabel = null; // {sprite, text}
+  }
+
+  reset() {
+    this.corners = [];
+    this.walls = [];
+
+    // Remove previous walls and corners
+    const toRemove = [];
+    this.group.traverse((child) => {
+      if (child.userData.isWall || child.userData.isCorner) toRemove.push(child);
+    });
+    toRemove.forEach((object) => {
+      this.group.remove(object);
+      if (object.userData.isWall) object.geometry.dispose();
+    });
+    this.hidePreview();
+  }
+
+  newCorner(x, y) {
+    const corner = { x, y };
+    this.corners.push(corner);
+
+    const marker = new THREE.Mesh(this.cornerGeometry, this.cornerMaterial);
+    marker.position.set(x, DRAFT_WALL_HEIGHT, y);
+    marker.renderOrder = 3;
+    marker.userData.isCorner = true;
+    this.group.add(marker);
+    return corner;
+  }
+
+  newWall(cornerA, cornerB) {
+    const geometry = new THREE.BoxGeometry(DRAFT_WALL_THICKNESS, DRAFT_WALL_HEIGHT, this.distance(cornerA, cornerB));
+    const wall = new THREE.Mesh(geometry, this.wallMaterial);
+    wall.userData.isWall = true;
+
+    const midX = (cornerA.x + cornerB.x) / 2;
+    const midZ = (cornerA.y + cornerB.y) / 2;
+
+    wall.position.set(midX, DRAFT_WALL_HEIGHT / 2, midZ);
+    wall.lookAt(cornerB.x, DRAFT_WALL_HEIGHT / 2, cornerB.y);
+
+    this.group.add(wall);
+    this.walls.push(wall);
+    return wall;
+  }
+
+  distance(a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    return Math.sqrt(dx * dx + dy * dy);
+  }
+
+  get lastCorner() {
+    return this.corners.length > 0 ? this.corners[this.corners.length - 1] : null;
+  }
+
+  /**
+   * Where a corner would go for a pointer position: onto a placed corner nearby, otherwise onto the grid.
+   * @param {{x: number, y: number}} point
+   * @param {{ortho?: boolean, free?: boolean}} [options] - `ortho` keeps the wall from the last corner
+   *   horizontal or vertical; `free` skips all snapping.
+   * @returns {{x: number, y: number, corner: Object|null}} - `corner` is the placed corner snapped onto, if any.
+   */
+  snapPoint(point, { ortho = false, free = false } = {}) {
+    if (!free) {
+      const corner = this.corners.find(candidate => this.distance(candidate, point) <= this.cornerSnapRadius);
+      if (corner) return { x: corner.x, y: corner.y, corner };
     }
-  
-    reset() {
-      this.corners = [];
-      this.walls = [];
-  
-      // Remove previous walls if needed
-      const toRemove = [];
-      this.group.traverse((child) => {
-        if (child.userData.isWall) toRemove.push(child);
-      });
-  
-      toRemove.forEach((wall) => this.group.remove(wall));
-      console.log("✅ FloorPlan reset");
+
+    let { x, y } = point;
+    const last = this.lastCorner;
+    let lockedAxis = null;
+    if (ortho && last) {
+      lockedAxis = Math.abs(x - last.x) >= Math.abs(y - last.y) ? 'y' : 'x';
+      if (lockedAxis === 'y') y = last.y;
+      else x = last.x;
+    }
+    // Only the free coordinate goes onto the grid, so a locked wall stays straight
+    if (!free && this.gridStep > 0) {
+      const snap = value => Math.round(value / this.gridStep) * this.gridStep;
+      if (lockedAxis !== 'x') x = snap(x);
+      if (lockedAxis !== 'y') y = snap(y);
     }
-  
-    newCorner(x, y) {
-      const corner = { x, y };
-      this.corners.push(corner);
-      return corner;
+    return { x, y, corner: null };
+  }
+
+  /**
+   * Follows the pointer: moves the next-corner marker and stretches the rubber band from the last corner.
+   * @param {{x: number, y: number}|null} point - Null hides the preview (pointer off the floor).
+   * @param {Object} [options] - See snapPoint().
+   * @returns {{x: number, y: number, corner: Object|null}|null} - The snapped position.
+   */
+  update(point, options) {
+    if (!point) {
+      this.hidePreview();
+      return null;
     }
-  
-    newWall(cornerA, cornerB) {
-      const geometry = new THREE.BoxGeometry(0.1, 2.5, this.distance(cornerA, cornerB));
-      const material = new THREE.MeshStandardMaterial({ color: 0x888888 });
-      const wall = new THREE.Mesh(geometry, material);
-      wall.userData.isWall = true;
-  
-      const midX = (cornerA.x + cornerB.x) / 2;
-      const midZ = (cornerA.y + cornerB.y) / 2;
-  
-      wall.position.set(midX, 1.25, midZ);
-      wall.lookAt(cornerB.x, 1.25, cornerB.y);
-  
-      this.group.add(wall);
-      this.walls.push(wall);
-  
-      console.log("🧱 Wall added:", cornerA, "->", cornerB);
+    const snapped = this.snapPoint(point, options);
+    this.cursor.position.set(snapped.x, DRAFT_WALL_HEIGHT, snapped.y);
+    this.cursor.visible = true;
+
+    const last = this.lastCorner;
+    if (!last) return snapped;
+    const start = new THREE.Vector3(last.x, DRAFT_WALL_HEIGHT, last.y);
+    const end = new THREE.Vector3(snapped.x, DRAFT_WALL_HEIGHT, snapped.y);
+    this.rubberBand.geometry.setFromPoints([start, end]);
+    this.rubberBand.computeLineDistances();
+    this.rubberBand.visible = true;
+
+    this.lengthLabel = updateLabel(this.group, this.lengthLabel, formatLength(start.distanceTo(end)), {
+      textColor: '#2a4365',
+      backgroundColor: 'rgba(255, 255, 255, 0.85)',
+      canvasWidth: 80,
+      canvasHeight: 28
+    });
+    this.lengthLabel.sprite.renderOrder = 4;
+    this.lengthLabel.sprite.position.copy(start).add(end).multiplyScalar(0.5);
+    this.lengthLabel.sprite.position.y += 0.1;
+    return snapped;
+  }
+
+  hidePreview() {
+    this.rubberBand.visible = false;
+    this.cursor.visible = false;
+    this.removeLengthLabel();
+  }
+
+  removeLengthLabel() {
+    removeLabel(this.group, this.lengthLabel);
+    this.lengthLabel = null;
+  }
+
+  /**
+   * Handles a click: places a corner and the wall to it, or closes the outline on the first corner.
+   * @param {{x: number, y: number}} point
+   * @param {Object} [options] - See snapPoint().
+   * @returns {{status: 'placed'|'closed'|'rejected', polygon?: Array<{x: number, z: number}>, message?: string}}
+   *   `polygon` (world X/Z) once the outline is closed; `message` says why a click was rejected.
+   */
+  addPoint(point, options) {
+    const snapped = this.snapPoint(point, options);
+    const last = this.lastCorner;
+    if (snapped.corner && snapped.corner === this.corners[0] && this.corners.length >= 3) return this.close();
+    if (snapped.corner) return { status: 'rejected', message: 'Walls cannot meet at a corner other than the first one.' };
+    if (last && this.distance(last, snapped) < MIN_WALL_LENGTH) return { status: 'rejected', message: 'That wall has no length.' };
+    if (last && this.crossesWalls(last, snapped)) {
+      return { status: 'rejected', message: 'Walls cannot cross each other.' };
     }
-  
-    distance(a, b) {
-      const dx = b.x - a.x;
-      const dy = b.y - a.y;
-      return Math.sqrt(dx * dx + dy * dy);
+
+    const corner = this.newCorner(snapped.x, snapped.y);
+    if (last) this.newWall(last, corner);
+    this.update(snapped, { free: true });
+    return { status: 'placed' };
+  }
+
+  // Whether a wall from the last corner would cross a placed wall; the last wall shares its corner and is skipped
+  crossesWalls(start, end) {
+    for (let i = 0; i < this.corners.length - 2; i++) {
+      if (segmentsIntersect(toXZ(start), toXZ(end), toXZ(this.corners[i]), toXZ(this.corners[i + 1]))) return true;
     }
-  
-    update() {
-      console.log("🔄 Floor plan updated.");
-      // You could add logic here to close loops, validate room shape, etc.
+    return false;
+  }
+
+  /**
+   * Closes the outline with a wall from the last corner back to the first.
+   * @returns {{status: 'closed'|'rejected', polygon?: Array<{x: number, z: number}>, message?: string}}
+   */
+  close() {
+    if (this.corners.length < 3) return { status: 'rejected', message: 'A room needs at least 3 corners.' };
+    const polygon = this.corners.map(toXZ);
+    const validation = validatePolygon(polygon);
+    if (!validation.valid) return { status: 'rejected', message: validation.issues[0].message };
+
+    this.newWall(this.lastCorner, this.corners[0]);
+    this.hidePreview();
+    return { status: 'closed', polygon };
+  }
+
+  // Takes back the last corner and the wall leading to it
+  removeLastCorner() {
+    if (this.corners.length === 0) return;
+    this.corners.pop();
+    const marker = this.group.children.filter(child => child.userData.isCorner).pop();
+    if (marker) this.group.remove(marker);
+    const wall = this.walls.length > Math.max(this.corners.length - 1, 0) ? this.walls.pop() : null;
+    if (wall) {
+      this.group.remove(wall);
+      wall.geometry.dispose();
     }
+    this.hidePreview();
+  }
+
+  dispose() {
+    this.reset();
+    this.group.remove(this.rubberBand, this.cursor);
+    this.rubberBand.geometry.dispose();
+    this.wallMaterial.dispose();
+    this.cornerGeometry.dispose();
+    this.cornerMaterial.dispose();
+    this.rubberBandMaterial.dispose();
   }
-  
\ No newline at end of file
+}
@@ -0,0 +1,165 @@
+// src/three/utils/Footprint.js
+// Floor footprints of placed models: oriented rectangles on the XZ plane
+
+import * as THREE from 'three';
+import { isEditorOnly } from './SceneExporter.js';
+
+/**
+ * World-space bounding box of a model's meshes, leaving out editor-only helpers such as the pin marker.
+ * @param {THREE.Object3D} object
+ * @param {THREE.Box3} [target]
+ * @returns {THREE.Box3}
+ */
+export function computeModelBounds(object, target = new THREE.Box3()) {
+  target.makeEmpty();
+  object.updateMatrixWorld(true);
+  const meshBox = new THREE.Box3();
+  const visit = (node) => {
+    if (node !== object && isEditorOnly(node)) return;
+    if (node.isMesh && node.geometry) {
+      if (!node.geometry.boundingBox) node.geometry.computeBoundingBox();
+      meshBox.copy(node.geometry.boundingBox).applyMatrix4(node.matrixWorld);
+      target.union(meshBox);
+    }
+    node.children.forEach(visit);
+  };
+  visit(object);
+  return target;
+}
+
+/**
+ * Footprint of a model in its own (unrotated) frame, relative to its position.
+ * Models only turn about Y, so the box is measured with that rotation taken out.
+ * @param {THREE.Object3D} object
+ * @returns {{offsetX: number, offsetZ: number, halfWidth: number, halfDepth: number}|null} - Null for models without meshes.
+ */
+export function getLocalFootprint(object) {
+  const rotationY = object.rotation.y;
+  object.rotation.y = 0;
+  const box = computeModelBounds(object);
+  object.rotation.y = rotationY;
+  object.updateMatrixWorld(true);
+  if (box.isEmpty()) return null;
+
+  return {
+    offsetX: (box.min.x + box.max.x) / 2 - object.position.x,
+    offsetZ: (box.min.z + box.max.z) / 2 - object.position.z,
+    halfWidth: (box.max.x - box.min.x) / 2,
+    halfDepth: (box.max.z - box.min.z) / 2
+  };
+}
+
+/**
+ * Places a local footprint at a position and Y rotation.
+ * axisX/axisZ are the model's local X and Z axes on the floor.
+ * @returns {{x: number, z: number, halfWidth: number, halfDepth: number, rotationY: number,
+ *   axisX: {x: number, z: number}, axisZ: {x: number, z: number}}}
+ */
+export function placeFootprint(local, position, rotationY) {
+  const cos = Math.cos(rotationY);
+  const sin = Math.sin(rotationY);
+  return {
+    x: position.x + local.offsetX * cos + local.offsetZ * sin,
+    z: position.z - local.offsetX * sin + local.offsetZ * cos,
+    halfWidth: local.halfWidth,
+    halfDepth: local.halfDepth,
+    rotationY,
+    axisX: { x: cos, z: -sin },
+    axisZ: { x: sin, z: cos }
+  };
+}
+
+/**
+ * Footprint of a model, optionally at another position or rotation than its current one.
+ * @param {THREE.Object3D} object
+ * @param {{x: number, z: number}} [position]
+ * @param {number} [rotationY]
+ * @returns {Object|null} - See placeFootprint.
+ */
+export function getFootprint(object, position = object.position, rotationY = object.rotation.y) {
+  const local = getLocalFootprint(object);
+  return local ? placeFootprint(local, position, rotationY) : null;
+}
+
+/**
+ * Corners of a footprint, counter-clockwise as seen from above.
+ * @returns {Array<{x: number, z: number}>}
+ */
+export function footprintCorners(footprint) {
+  const { x, z, halfWidth, halfDepth, axisX, axisZ } = footprint;
+  return [[-1, -1], [-1, 1], [1, 1], [1, -1]].map(([sx, sz]) => ({
+    x: x + axisX.x * halfWidth * sx + axisZ.x * halfDepth * sz,
+    z: z + axisX.z * halfWidth * sx + axisZ.z * halfDepth * sz
+  }));
+}
+
+/**
+ * Separating-axis test between two footprints.
+ * @param {Object} a - Footprint that would be moved.
+ * @param {Object} b - Obstacle footprint.
+ * @param {number} [tolerance] - Overlaps up to this depth count as touching.
+ * @returns {{depth: number, normal: {x: number, z: number}}|null} - Null when they do not overlap; otherwise
+ *   the shortest push (normal * depth) that moves `a` out of `b`.
+ */
+export function footprintOverlap(a, b, tolerance = 0) {
+  const axes = [a.axisX, a.axisZ, b.axisX, b.axisZ];
+  const dx = b.x - a.x;
+  const dz = b.z - a.z;
+  let best = null;
+
+  for (const axis of axes) {
+    const radiusA = a.halfWidth * Math.abs(a.axisX.x * axis.x + a.axisX.z * axis.z) +
+      a.halfDepth * Math.abs(a.axisZ.x * axis.x + a.axisZ.z * axis.z);
+    const radiusB = b.halfWidth * Math.abs(b.axisX.x * axis.x + b.axisX.z * axis.z) +
+      b.halfDepth * Math.abs(b.axisZ.x * axis.x + b.axisZ.z * axis.z);
+    const distance = dx * axis.x + dz * axis.z;
+    const depth = radiusA + radiusB - Math.abs(distance);
+    if (depth <= tolerance) return null;
+    if (!best || depth < best.depth) {
+      const sign = distance > 0 ? -1 : 1;
+      best = { depth, normal: { x: axis.x * sign, z: axis.z * sign } };
+    }
+  }
+  return best;
+}
+
+// Sides a clearance zone can sit against (see equipmentConfig.clearances)
+export const CLEARANCE_SIDES = ['front', 'back', 'left', 'right'];
+
+/**
+ * Local footprints of the clearance zones around a model (see equipmentConfig.clearances).
+ * Sides follow the model as in Distances.js: its front faces +Z, so its left is +X.
+ * @param {{offsetX: number, offsetZ: number, halfWidth: number, halfDepth: number}} local - The model's local footprint.
+ * @param {Array<{side: string, depth: number, width?: number}>} zones
+ * @returns {Array<{offsetX: number, offsetZ: number, halfWidth: number, halfDepth: number}|null>}
+ *   One entry per zone, in the same order; null for a zone on an unknown side (reported by ClearanceManager).
+ */
+export function getClearanceFootprints(local, zones = []) {
+  return zones.map(zone => {
+    const reach = zone.depth / 2;
+    switch (zone.side) {
+      case 'front':
+      case 'back': {
+        const sign = zone.side === 'front' ? 1 : -1;
+        return {
+          offsetX: local.offsetX,
+          offsetZ: local.offsetZ + sign * (local.halfDepth + reach),
+          halfWidth: zone.width ? zone.width / 2 : local.halfWidth,
+          halfDepth: reach
+        };
+      }
+      case 'left':
+      case 'right': {
+        const sign = zone.side === 'left' ? 1 : -1;
+        return {
+          offsetX: local.offsetX + sign * (local.halfWidth + reach),
+          offsetZ: local.offsetZ,
+          halfWidth: reach,
+          halfDepth: zone.width ? zone.width / 2 : local.halfDepth
+        };
+      }
+      default:
+        return null;
+    }
+  });
+}
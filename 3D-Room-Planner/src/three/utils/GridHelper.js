@@ -4,9 +4,16 @@ import * as THREE from 'three';
 
 export class GridHelper {
   constructor(size = 20, divisions = 20, spacing = 1.0) {
+    this.size = size;
+    this.divisions = divisions;
     this.createGrid(size, divisions, spacing);
   }
   
+  // Distance between grid lines (in meters), used as the default drag snap step
+  getCellSize() {
+    return this.size / this.divisions;
+  }
+  
   createGrid(size, divisions, spacing) {
     // Create a container group for all grid elements
     const gridGroup = new THREE.Group();
@@ -0,0 +1,146 @@
+// src/three/utils/Guides.js
+// Smart guides for dragging: snapping a footprint flush to walls and in line with other models
+
+import { placeFootprint } from './Footprint.js';
+import { signedPolygonArea, MIN_EDGE_LENGTH } from './PolygonUtils.js';
+
+// A footprint side counts as parallel to a wall when the cosine between their normals is at least this
+const PARALLEL_COSINE = 0.9995;
+// Footprints snapped to a wall stay this much further away, since touching the allowed distance counts as outside
+const WALL_CLEARANCE = 0.001;
+// Snapped values closer than this count as lined up
+const ALIGNED_EPSILON = 1e-6;
+
+/**
+ * Wall faces of a room polygon with their direction and the normal pointing into the room.
+ * @param {Array<{x: number, z: number}>|null} polygon - World points of the inner wall faces.
+ * @returns {Array<{index: number, a: {x: number, z: number}, b: {x: number, z: number}, length: number,
+ *   direction: {x: number, z: number}, normal: {x: number, z: number}}>}
+ */
+export function getWallLines(polygon) {
+  if (!polygon || polygon.length < 3) return [];
+  const inwardSign = signedPolygonArea(polygon) > 0 ? 1 : -1;
+  const walls = [];
+  polygon.forEach((a, index) => {
+    const b = polygon[(index + 1) % polygon.length];
+    const length = Math.hypot(b.x - a.x, b.z - a.z);
+    if (length < MIN_EDGE_LENGTH) return;
+    const direction = { x: (b.x - a.x) / length, z: (b.z - a.z) / length };
+    const normal = { x: -direction.z * inwardSign, z: direction.x * inwardSign };
+    walls.push({ index, a, b, length, direction, normal });
+  });
+  return walls;
+}
+
+// Half the size of a footprint measured along a unit axis
+function extentAlong(footprint, axis) {
+  return footprint.halfWidth * Math.abs(footprint.axisX.x * axis.x + footprint.axisX.z * axis.z) +
+    footprint.halfDepth * Math.abs(footprint.axisZ.x * axis.x + footprint.axisZ.z * axis.z);
+}
+
+// Distance between a footprint and a wall face, or null if the footprint is not beside the wall
+function wallGap(footprint, wall) {
+  const offsetX = footprint.x - wall.a.x;
+  const offsetZ = footprint.z - wall.a.z;
+  const along = offsetX * wall.direction.x + offsetZ * wall.direction.z;
+  const halfAlong = extentAlong(footprint, wall.direction);
+  if (along + halfAlong <= 0 || along - halfAlong >= wall.length) return null;
+  const distance = offsetX * wall.normal.x + offsetZ * wall.normal.z;
+  if (distance <= 0) return null; // Centre behind the wall face
+  return distance - extentAlong(footprint, wall.normal);
+}
+
+function footprintBox(footprint) {
+  const halfX = extentAlong(footprint, { x: 1, z: 0 });
+  const halfZ = extentAlong(footprint, { x: 0, z: 1 });
+  return {
+    x: [footprint.x - halfX, footprint.x, footprint.x + halfX],
+    z: [footprint.z - halfZ, footprint.z, footprint.z + halfZ]
+  };
+}
+
+/**
+ * Heading that turns a model's front (+Z) away from the wall it is pushed against.
+ * Each wall is tried with the model already facing away from it, so the result does not flip
+ * back and forth while the model turns.
+ * @param {Object} local - Local footprint of the model (see getLocalFootprint).
+ * @param {{x: number, z: number}} position
+ * @param {Array<Object>} walls - See getWallLines.
+ * @param {number} reach - Largest gap (in meters) between footprint and wall that counts as against it.
+ * @returns {{rotationY: number, wall: Object}|null} - The closest wall in reach, or null.
+ */
+export function findFacingRotation(local, position, walls, reach) {
+  let best = null;
+  walls.forEach(wall => {
+    const rotationY = Math.atan2(wall.normal.x, wall.normal.z);
+    const gap = wallGap(placeFootprint(local, position, rotationY), wall);
+    if (gap === null || gap > reach) return;
+    if (!best || gap < best.gap) best = { rotationY, wall, gap };
+  });
+  return best && { rotationY: best.rotationY, wall: best.wall };
+}
+
+/**
+ * Offset that snaps a dragged footprint flush to a parallel wall (at the wall offset) and lines up its
+ * edges or centre with those of other models, plus the guide lines that show why it snapped.
+ * Model alignment is measured on the plan-view bounding boxes, like Align in the object controls.
+ * @param {Object} footprint - Placed footprint of the dragged model (see placeFootprint).
+ * @param {Array<Object>} others - Placed footprints of the models it can line up with.
+ * @param {Array<Object>} walls - See getWallLines.
+ * @param {{tolerance: number, wallOffset: number}} options - Snap distance and wall distance, in meters.
+ * @returns {{x: number, z: number, guides: Array<{from: {x: number, z: number}, to: {x: number, z: number}}>}}
+ */
+export function computeGuideSnap(footprint, others, walls, { tolerance, wallOffset }) {
+  const offset = { x: 0, z: 0 };
+  const guides = [];
+
+  // Walls first: the closest parallel wall within the tolerance of the wall offset
+  let flushWall = null;
+  walls.forEach(wall => {
+    const parallel = [footprint.axisX, footprint.axisZ].some(axis =>
+      Math.abs(axis.x * wall.normal.x + axis.z * wall.normal.z) >= PARALLEL_COSINE);
+    const gap = parallel ? wallGap(footprint, wall) : null;
+    if (gap === null) return;
+    const shift = wallOffset + WALL_CLEARANCE - gap;
+    if (Math.abs(shift) <= tolerance && (!flushWall || Math.abs(shift) < Math.abs(flushWall.shift))) {
+      flushWall = { wall, shift };
+    }
+  });
+  if (flushWall) {
+    const { wall, shift } = flushWall;
+    offset.x += wall.normal.x * shift;
+    offset.z += wall.normal.z * shift;
+    guides.push({ from: { ...wall.a }, to: { ...wall.b } });
+  }
+
+  // Then other models, on each axis the wall snap leaves free
+  const moved = { ...footprint, x: footprint.x + offset.x, z: footprint.z + offset.z };
+  const box = footprintBox(moved);
+  const otherBoxes = others.map(footprintBox);
+  ['x', 'z'].forEach(axis => {
+    if (flushWall && Math.abs(flushWall.wall.normal[axis]) > 1 - PARALLEL_COSINE) return;
+
+    let best = null;
+    otherBoxes.forEach(other => {
+      box[axis].forEach(own => other[axis].forEach(value => {
+        const delta = value - own;
+        if (Math.abs(delta) <= tolerance && (!best || Math.abs(delta) < Math.abs(best))) best = delta;
+      }));
+    });
+    if (best === null) return;
+    offset[axis] += best;
+    box[axis] = box[axis].map(value => value + best);
+
+    // One guide per lined-up value, spanning the dragged model and every model on that line
+    const across = axis === 'x' ? 'z' : 'x';
+    box[axis].forEach(value => {
+      const aligned = otherBoxes.filter(other => other[axis].some(otherValue => Math.abs(otherValue - value) < ALIGNED_EPSILON));
+      if (aligned.length === 0) return;
+      const start = Math.min(box[across][0], ...aligned.map(other => other[across][0]));
+      const end = Math.max(box[across][2], ...aligned.map(other => other[across][2]));
+      guides.push({ from: { [axis]: value, [across]: start }, to: { [axis]: value, [across]: end } });
+    });
+  });
+
+  return { x: offset.x, z: offset.z, guides };
+}
@@ -0,0 +1,97 @@
+// src/three/utils/LabelSprite.js
+// Screen-sized text labels for editor overlays (edge lengths, model dimensions, distances)
+
+import * as THREE from 'three';
+
+/**
+ * Creates a sprite that draws `text` at a fixed screen size, on top of the scene.
+ * @param {string} text
+ * @param {Object} [style]
+ * @param {string} [style.font] - Canvas font, e.g. '12px'.
+ * @param {string} [style.textColor]
+ * @param {string|null} [style.backgroundColor] - Fill behind the text; none when null.
+ * @param {number} [style.canvasWidth] - Minimum canvas width in pixels (grows to fit the text).
+ * @param {number} [style.canvasHeight]
+ * @param {number} [style.pixelScale] - Sprite scale per canvas pixel.
+ * @returns {THREE.Sprite}
+ */
+export function createLabelSprite(text, {
+  font = '12px',
+  textColor = '#151515',
+  backgroundColor = null,
+  canvasWidth = 150,
+  canvasHeight = 40,
+  pixelScale = 0.006
+} = {}) {
+  const canvas = document.createElement('canvas');
+  const context = canvas.getContext('2d');
+  context.font = font;
+  const textMetrics = context.measureText(text);
+
+  const canvasPadding = 10; // Padding around text
+  canvas.width = Math.max(canvasWidth, textMetrics.width + canvasPadding); // Ensure min width
+  canvas.height = canvasHeight;
+
+  if (backgroundColor) {
+    context.fillStyle = backgroundColor;
+    context.fillRect(0, 0, canvas.width, canvas.height);
+  }
+  context.font = font; // Re-apply font after resize
+  context.fillStyle = textColor;
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.fillText(text, canvas.width / 2, canvas.height / 2);
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.needsUpdate = true;
+
+  const material = new THREE.SpriteMaterial({
+    map: texture,
+    transparent: true,
+    depthTest: false,
+    sizeAttenuation: false // Makes sprite size fixed in screen pixels
+  });
+
+  const sprite = new THREE.Sprite(material);
+  sprite.scale.set(canvas.width * pixelScale, canvas.height * pixelScale, 1.0);
+  sprite.renderOrder = 2; // Render labels on top of handles and lines
+  return sprite;
+}
+
+/**
+ * Keeps a label showing `text`, redrawing it only when the text changes: overlays that follow the
+ * pointer or a drag update their labels on every move, and each redraw is a new canvas texture.
+ * @param {THREE.Object3D} parent - Holds the label's sprite.
+ * @param {{sprite: THREE.Sprite, text: string}|null} label - As last returned; null for a new label.
+ * @param {string} text
+ * @param {Object} [style] - See createLabelSprite.
+ * @returns {{sprite: THREE.Sprite, text: string}} - `label` itself if its text is unchanged, otherwise a new one.
+ */
+export function updateLabel(parent, label, text, style) {
+  if (label && label.text === text) return label;
+  removeLabel(parent, label);
+  const sprite = createLabelSprite(text, style);
+  parent.add(sprite);
+  return { sprite, text };
+}
+
+/**
+ * Takes a label made by updateLabel off its parent and frees it.
+ * @param {THREE.Object3D} parent
+ * @param {{sprite: THREE.Sprite, text: string}|null} label
+ */
+export function removeLabel(parent, label) {
+  if (!label) return;
+  parent.remove(label.sprite);
+  disposeLabelSprite(label.sprite);
+}
+
+/**
+ * Frees the texture and material of a label created by createLabelSprite.
+ * @param {THREE.Sprite} sprite
+ */
+export function disposeLabelSprite(sprite) {
+  if (!sprite || !sprite.material) return;
+  if (sprite.material.map) sprite.material.map.dispose();
+  sprite.material.dispose();
+}
@@ -0,0 +1,76 @@
+// src/three/utils/Pattern.js
+// Placements for the pattern tool: rows, grids and arcs of copies of one model
+
+import * as THREE from 'three';
+
+/**
+ * Positions and headings of the copies in a pattern. The source model is the first element
+ * of the pattern and is not returned. Directions follow the source's own axes: rows run along
+ * its X axis, grid rows step backwards (-Z) and an arc curves around a focal point in front (+Z) of it.
+ * @param {{x: number, z: number, rotationY: number}} origin - The source model.
+ * @param {Object} options
+ * @param {string} options.type - 'row', 'grid' or 'arc'.
+ * @param {number} options.count - Models per row or on the arc, the source included.
+ * @param {number} [options.rows=1] - Grid only: number of rows, the source's row included.
+ * @param {number} options.spacing - Centre distance between neighbours (measured along the arc for arcs).
+ * @param {number} [options.rowSpacing] - Grid only: centre distance between rows.
+ * @param {number} [options.radius] - Arc only: distance from the models to the focal point.
+ * @param {number} [options.rotation=0] - Extra rotation of every copy, in degrees.
+ * @param {number} [maxCopies=Infinity] - The list is cut off after this many copies.
+ * @returns {Array<{x: number, z: number, rotationY: number}>}
+ */
+export function computePatternPlacements(origin, options, maxCopies = Infinity) {
+  const count = Math.max(1, Math.floor(options.count) || 1);
+  const spacing = Number(options.spacing) || 0;
+  const extraRotation = THREE.MathUtils.degToRad(Number(options.rotation) || 0);
+  const cos = Math.cos(origin.rotationY);
+  const sin = Math.sin(origin.rotationY);
+  const axisX = { x: cos, z: -sin }; // The source's local X axis in world space
+  const axisZ = { x: sin, z: cos }; // ...and its local Z axis (the side it faces)
+
+  const placements = [];
+  const add = (x, z, rotationY) => {
+    if (placements.length < maxCopies) placements.push({ x, z, rotationY: rotationY + extraRotation });
+  };
+
+  switch (options.type) {
+    case 'row':
+      for (let i = 1; i < count; i++) {
+        add(origin.x + axisX.x * spacing * i, origin.z + axisX.z * spacing * i, origin.rotationY);
+      }
+      break;
+    case 'grid': {
+      const rows = Math.max(1, Math.floor(options.rows) || 1);
+      const rowSpacing = Number(options.rowSpacing) || 0;
+      for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < count; column++) {
+          if (row === 0 && column === 0) continue;
+          add(
+            origin.x + axisX.x * spacing * column - axisZ.x * rowSpacing * row,
+            origin.z + axisX.z * spacing * column - axisZ.z * rowSpacing * row,
+            origin.rotationY
+          );
+        }
+      }
+      break;
+    }
+    case 'arc': {
+      const radius = Number(options.radius) || 0;
+      if (radius <= 0) break;
+      const focal = { x: origin.x + axisZ.x * radius, z: origin.z + axisZ.z * radius };
+      const step = spacing / radius; // Angle between neighbours
+      const offset = new THREE.Vector3();
+      const up = new THREE.Vector3(0, 1, 0);
+      // Copies alternate left and right of the source, so the arc stays centred on it
+      for (let i = 1; i < count; i++) {
+        const angle = Math.ceil(i / 2) * step * (i % 2 === 1 ? 1 : -1);
+        offset.set(origin.x - focal.x, 0, origin.z - focal.z).applyAxisAngle(up, angle);
+        add(focal.x + offset.x, focal.z + offset.z, origin.rotationY + angle);
+      }
+      break;
+    }
+    default:
+      break;
+  }
+  return placements;
+}
@@ -0,0 +1,65 @@
+import { computePatternPlacements } from './Pattern';
+
+// The floor direction a heading faces: models face their local +Z
+const facing = (rotationY) => ({ x: Math.sin(rotationY), z: Math.cos(rotationY) });
+
+describe('computePatternPlacements', () => {
+  test('places a row along the source model\'s X axis', () => {
+    const placements = computePatternPlacements({ x: 1, z: 2, rotationY: 0 }, { type: 'row', count: 3, spacing: 1.5 });
+    expect(placements).toEqual([{ x: 2.5, z: 2, rotationY: 0 }, { x: 4, z: 2, rotationY: 0 }]);
+  });
+
+  test('steps grid rows backwards', () => {
+    const placements = computePatternPlacements({ x: 0, z: 0, rotationY: 0 }, { type: 'grid', count: 2, rows: 2, spacing: 1, rowSpacing: 2 });
+    expect(placements).toEqual([{ x: 1, z: 0, rotationY: 0 }, { x: 0, z: -2, rotationY: 0 }, { x: 1, z: -2, rotationY: 0 }]);
+  });
+
+  describe('arc', () => {
+    const radius = 2;
+    const quarterTurn = { type: 'arc', count: 3, spacing: radius * Math.PI / 2, radius };
+
+    test('alternates copies left and right of the source around the focal point in front of it', () => {
+      const [first, second] = computePatternPlacements({ x: 0, z: 0, rotationY: 0 }, quarterTurn);
+      // The focal point is at (0, 2); a quarter turn each way brings the copies level with it
+      expect(first.x).toBeCloseTo(-2);
+      expect(first.z).toBeCloseTo(2);
+      expect(first.rotationY).toBeCloseTo(Math.PI / 2);
+      expect(second.x).toBeCloseTo(2);
+      expect(second.z).toBeCloseTo(2);
+      expect(second.rotationY).toBeCloseTo(-Math.PI / 2);
+    });
+
+    test('keeps every copy on the circle and facing the focal point, however the source is turned', () => {
+      const origin = { x: 3, z: -1, rotationY: 0.7 };
+      const placements = computePatternPlacements(origin, { type: 'arc', count: 6, spacing: 1.2, radius: 4 });
+      const ahead = facing(origin.rotationY);
+      const focal = { x: origin.x + ahead.x * 4, z: origin.z + ahead.z * 4 };
+
+      expect(placements).toHaveLength(5);
+      placements.forEach(placement => {
+        const toFocal = { x: focal.x - placement.x, z: focal.z - placement.z };
+        expect(Math.hypot(toFocal.x, toFocal.z)).toBeCloseTo(4);
+        const direction = facing(placement.rotationY);
+        expect(direction.x * toFocal.x + direction.z * toFocal.z).toBeCloseTo(4);
+      });
+    });
+
+    test('spaces neighbours by the spacing measured along the arc', () => {
+      const placements = computePatternPlacements({ x: 0, z: 0, rotationY: 0 }, { type: 'arc', count: 3, spacing: 1, radius: 5 });
+      placements.forEach(placement => expect(Math.abs(placement.rotationY) * 5).toBeCloseTo(1));
+    });
+
+    test('places nothing without a radius', () => {
+      expect(computePatternPlacements({ x: 0, z: 0, rotationY: 0 }, { ...quarterTurn, radius: 0 })).toEqual([]);
+    });
+  });
+
+  test('adds the extra rotation to every copy', () => {
+    const placements = computePatternPlacements({ x: 0, z: 0, rotationY: 0 }, { type: 'row', count: 2, spacing: 1, rotation: 90 });
+    expect(placements[0].rotationY).toBeCloseTo(Math.PI / 2);
+  });
+
+  test('stops at the copy limit', () => {
+    expect(computePatternPlacements({ x: 0, z: 0, rotationY: 0 }, { type: 'row', count: 10, spacing: 1 }, 4)).toHaveLength(4);
+  });
+});
@@ -0,0 +1,103 @@
+// src/three/utils/PlanSymbols.js
+// Floor-plan symbols shared by the 2D view and the printed plan: door and window openings,
+// wall dimension lines and the front mark of a footprint. Everything is in floor coordinates (meters).
+
+const ARC_SEGMENTS = 16;
+
+const offsetPoint = (point, direction, distance) => ({
+  x: point.x + direction.x * distance,
+  z: point.z + direction.z * distance
+});
+
+/**
+ * Plan symbol of a door or window: the gap it clears in the wall band, the jambs and either the
+ * glazing lines (window) or the open leaf and its swing arc (door).
+ * Opening frames follow Room.createOpeningMeshes: +X along the wall, +Z into the room.
+ * @param {Object} opening - See Room.addOpening.
+ * @param {Object} wall - Wall the opening is cut into (see getWallLines).
+ * @param {number} thickness - Wall thickness.
+ * @returns {{gap: Array<{x: number, z: number}>, lines: Array<Array<{x: number, z: number}>>}}
+ *   `gap` is a quad across the wall; `lines` are segments as [from, to] pairs.
+ */
+export function openingSymbol(opening, wall, thickness) {
+  const out = { x: -wall.normal.x, z: -wall.normal.z };
+  const centre = offsetPoint(wall.a, wall.direction, opening.offset);
+  const start = offsetPoint(centre, wall.direction, -opening.width / 2);
+  const end = offsetPoint(centre, wall.direction, opening.width / 2);
+  const startOuter = offsetPoint(start, out, thickness);
+  const endOuter = offsetPoint(end, out, thickness);
+  const lines = [[start, startOuter], [end, endOuter]];
+
+  if (opening.type === 'window') {
+    [0, 0.5, 1].forEach(fraction => {
+      lines.push([offsetPoint(start, out, thickness * fraction), offsetPoint(end, out, thickness * fraction)]);
+    });
+    return { gap: [start, end, endOuter, startOuter], lines };
+  }
+
+  // Door leaf drawn open, hinged on the face it swings towards
+  const swingsIn = opening.swing !== 'out';
+  const swing = swingsIn ? wall.normal : out;
+  const hingeAtEnd = opening.hinge === 'right';
+  const hinge = hingeAtEnd ? (swingsIn ? end : endOuter) : (swingsIn ? start : startOuter);
+  const closed = { x: wall.direction.x * (hingeAtEnd ? -1 : 1), z: wall.direction.z * (hingeAtEnd ? -1 : 1) };
+  const radius = opening.width;
+  lines.push([hinge, offsetPoint(hinge, swing, radius)]);
+  let previous = offsetPoint(hinge, closed, radius);
+  for (let i = 1; i <= ARC_SEGMENTS; i++) {
+    const angle = (i / ARC_SEGMENTS) * (Math.PI / 2);
+    const point = {
+      x: hinge.x + (closed.x * Math.cos(angle) + swing.x * Math.sin(angle)) * radius,
+      z: hinge.z + (closed.z * Math.cos(angle) + swing.z * Math.sin(angle)) * radius
+    };
+    lines.push([previous, point]);
+    previous = point;
+  }
+  return { gap: [start, end, endOuter, startOuter], lines };
+}
+
+/**
+ * Dimension line for the length of a wall, drawn outside the room with extension lines and slashed ends.
+ * @param {Object} wall - See getWallLines.
+ * @param {number} thickness - Wall thickness; the dimension starts past the outer face.
+ * @param {Object} [options]
+ * @param {number} [options.gap=0.35] - Distance from the outer wall face to the dimension line.
+ * @param {number} [options.tick=0.08] - Size of the end slashes and the extension line overshoot.
+ * @returns {{lines: Array<Array<{x: number, z: number}>>, label: {x: number, z: number}, angle: number}}
+ *   `label` is where the length reads, just outside the line; `angle` is the wall direction in radians.
+ */
+export function wallDimension(wall, thickness, { gap = 0.35, tick = 0.08 } = {}) {
+  const out = { x: -wall.normal.x, z: -wall.normal.z };
+  const distance = thickness + gap;
+  const start = offsetPoint(wall.a, out, distance);
+  const end = offsetPoint(wall.b, out, distance);
+  const lines = [
+    [offsetPoint(wall.a, out, thickness), offsetPoint(wall.a, out, distance + tick)],
+    [offsetPoint(wall.b, out, thickness), offsetPoint(wall.b, out, distance + tick)],
+    [start, end]
+  ];
+  // Architectural ticks: short slashes across both ends
+  const slash = { x: wall.direction.x + out.x, z: wall.direction.z + out.z };
+  [start, end].forEach(point => lines.push([offsetPoint(point, slash, -tick), offsetPoint(point, slash, tick)]));
+
+  const middle = { x: (wall.a.x + wall.b.x) / 2, z: (wall.a.z + wall.b.z) / 2 };
+  return {
+    lines,
+    label: offsetPoint(middle, out, distance + tick * 2.5),
+    angle: Math.atan2(wall.direction.z, wall.direction.x)
+  };
+}
+
+/**
+ * Chevron on the front (+Z) side of a footprint, pointing out of it.
+ * @param {Object} footprint - Placed footprint (see placeFootprint).
+ * @param {number} [maxSize=0.15] - Largest half width of the chevron.
+ * @returns {Array<Array<{x: number, z: number}>>} - Two segments.
+ */
+export function frontMarker(footprint, maxSize = 0.15) {
+  const { axisX, axisZ, halfDepth } = footprint;
+  const size = Math.min(maxSize, footprint.halfWidth / 2, halfDepth / 2);
+  const tip = offsetPoint(footprint, axisZ, halfDepth - size * 0.5);
+  const base = offsetPoint(footprint, axisZ, halfDepth - size * 1.5);
+  return [[offsetPoint(base, axisX, size), tip], [tip, offsetPoint(base, axisX, -size)]];
+}
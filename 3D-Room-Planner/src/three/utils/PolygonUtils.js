@@ -0,0 +1,218 @@
+// src/three/utils/PolygonUtils.js
+// Plain geometry helpers for room polygons given as arrays of {x, z} points
+
+/**
+ * Signed area of a polygon (shoelace formula). Positive for counter-clockwise
+ * points in the X/Z plane as seen from above (+Y), negative for clockwise ones.
+ * @param {Array<{x: number, z: number}>} points
+ * @returns {number}
+ */
+export function signedPolygonArea(points) {
+  if (!points || points.length < 3) return 0;
+  let sum = 0;
+  for (let i = 0; i < points.length; i++) {
+    const current = points[i];
+    const next = points[(i + 1) % points.length];
+    sum += current.x * next.z - next.x * current.z;
+  }
+  return sum / 2;
+}
+
+/**
+ * Enclosed area of a polygon in square units.
+ * @param {Array<{x: number, z: number}>} points
+ * @returns {number}
+ */
+export function polygonArea(points) {
+  return Math.abs(signedPolygonArea(points));
+}
+
+/**
+ * Total length of the edges of a closed polygon.
+ * @param {Array<{x: number, z: number}>} points
+ * @returns {number}
+ */
+export function polygonPerimeter(points) {
+  if (!points || points.length < 2) return 0;
+  let sum = 0;
+  for (let i = 0; i < points.length; i++) {
+    const current = points[i];
+    const next = points[(i + 1) % points.length];
+    sum += Math.hypot(next.x - current.x, next.z - current.z);
+  }
+  return sum;
+}
+
+/**
+ * Finds the closest point on the edges of a closed polygon.
+ * Edge i runs from points[i] to points[(i + 1) % points.length].
+ * @param {Array<{x: number, z: number}>} points
+ * @param {{x: number, z: number}} point
+ * @returns {{edgeIndex: number, along: number, edgeLength: number, distance: number, x: number, z: number}|null}
+ *   `along` is the distance from the edge start to the closest point. Null for fewer than two points.
+ */
+export function closestPointOnEdges(points, point) {
+  if (!points || points.length < 2) return null;
+  let best = null;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    const dx = b.x - a.x;
+    const dz = b.z - a.z;
+    const edgeLength = Math.sqrt(dx * dx + dz * dz);
+    if (edgeLength < 0.001) continue;
+
+    const t = Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.z - a.z) * dz) / (edgeLength * edgeLength)));
+    const x = a.x + dx * t;
+    const z = a.z + dz * t;
+    const distance = Math.hypot(point.x - x, point.z - z);
+    if (!best || distance < best.distance) {
+      best = { edgeIndex: i, along: t * edgeLength, edgeLength, distance, x, z };
+    }
+  }
+  return best;
+}
+
+// Edges shorter than this are treated as zero length (same threshold Room uses for walls)
+export const MIN_EDGE_LENGTH = 0.001;
+// Smallest room floor area accepted, in square meters
+export const MIN_POLYGON_AREA = 0.5;
+
+function cross(o, a, b) {
+  return (a.x - o.x) * (b.z - o.z) - (a.z - o.z) * (b.x - o.x);
+}
+
+function onSegment(a, b, p) {
+  return Math.min(a.x, b.x) - 1e-9 <= p.x && p.x <= Math.max(a.x, b.x) + 1e-9 &&
+    Math.min(a.z, b.z) - 1e-9 <= p.z && p.z <= Math.max(a.z, b.z) + 1e-9;
+}
+
+/**
+ * Tests whether segment a1-a2 and segment b1-b2 touch or cross (collinear overlaps included).
+ * @returns {boolean}
+ */
+export function segmentsIntersect(a1, a2, b1, b2) {
+  const d1 = cross(b1, b2, a1);
+  const d2 = cross(b1, b2, a2);
+  const d3 = cross(a1, a2, b1);
+  const d4 = cross(a1, a2, b2);
+  const epsilon = 1e-9;
+
+  if (((d1 > epsilon && d2 < -epsilon) || (d1 < -epsilon && d2 > epsilon)) &&
+      ((d3 > epsilon && d4 < -epsilon) || (d3 < -epsilon && d4 > epsilon))) {
+    return true;
+  }
+  return (Math.abs(d1) <= epsilon && onSegment(b1, b2, a1)) ||
+    (Math.abs(d2) <= epsilon && onSegment(b1, b2, a2)) ||
+    (Math.abs(d3) <= epsilon && onSegment(a1, a2, b1)) ||
+    (Math.abs(d4) <= epsilon && onSegment(a1, a2, b2));
+}
+
+/**
+ * Checks that a closed polygon can be built as a room: enough points, no near-zero edges,
+ * no duplicate points, no crossing edges and at least MIN_POLYGON_AREA of floor.
+ * Edge i runs from points[i] to points[(i + 1) % points.length].
+ * @param {Array<{x: number, z: number}>} points
+ * @returns {{valid: boolean, issues: Array<{type: string, message: string, edges: number[]}>, invalidEdges: number[]}}
+ *   `invalidEdges` lists every edge index involved in any issue, in ascending order.
+ */
+export function validatePolygon(points) {
+  const issues = [];
+  const count = points ? points.length : 0;
+  if (count < 3) {
+    return {
+      valid: false,
+      issues: [{ type: 'too-few-points', message: 'A room needs at least 3 corners.', edges: [] }],
+      invalidEdges: []
+    };
+  }
+
+  const edgeLength = (i) => {
+    const a = points[i];
+    const b = points[(i + 1) % count];
+    return Math.hypot(b.x - a.x, b.z - a.z);
+  };
+
+  for (let i = 0; i < count; i++) {
+    if (edgeLength(i) < MIN_EDGE_LENGTH) {
+      issues.push({ type: 'short-edge', message: `Wall ${i + 1} has no length.`, edges: [i] });
+    }
+  }
+
+  // Adjacent duplicates are already reported as zero-length edges
+  for (let i = 0; i < count; i++) {
+    for (let j = i + 2; j < count; j++) {
+      if (i === 0 && j === count - 1) continue;
+      if (Math.hypot(points[i].x - points[j].x, points[i].z - points[j].z) < MIN_EDGE_LENGTH) {
+        issues.push({
+          type: 'duplicate-point',
+          message: `Corners ${i + 1} and ${j + 1} are in the same place.`,
+          edges: [(i - 1 + count) % count, i, (j - 1 + count) % count, j]
+        });
+      }
+    }
+  }
+
+  // Neighbouring edges share a corner, so only non-adjacent pairs can cross.
+  // Skipped while corners coincide: those edges touch without crossing and would be reported twice.
+  const coincidentCorners = issues.length > 0;
+  for (let i = 0; i < count && !coincidentCorners; i++) {
+    for (let j = i + 2; j < count; j++) {
+      if (i === 0 && j === count - 1) continue;
+      if (segmentsIntersect(points[i], points[(i + 1) % count], points[j], points[(j + 1) % count])) {
+        issues.push({ type: 'self-intersection', message: `Walls ${i + 1} and ${j + 1} cross.`, edges: [i, j] });
+      }
+    }
+  }
+
+  // The shoelace area means nothing for a crossing polygon, so that is reported on its own
+  const crosses = issues.some(issue => issue.type === 'self-intersection');
+  if (!crosses && polygonArea(points) < MIN_POLYGON_AREA) {
+    issues.push({
+      type: 'too-small',
+      message: `The floor must be at least ${MIN_POLYGON_AREA} m².`,
+      edges: points.map((_, i) => i)
+    });
+  }
+
+  const invalidEdges = [...new Set(issues.flatMap(issue => issue.edges))].sort((a, b) => a - b);
+  return { valid: issues.length === 0, issues, invalidEdges };
+}
+
+/**
+ * Even-odd point-in-polygon test. Points exactly on an edge may go either way.
+ * @param {Array<{x: number, z: number}>} points
+ * @param {{x: number, z: number}} point
+ * @returns {boolean}
+ */
+export function pointInPolygon(points, point) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if ((a.z > point.z) !== (b.z > point.z) &&
+        point.x < ((b.x - a.x) * (point.z - a.z)) / (b.z - a.z) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Tests whether the polygon `inner` lies completely inside `outer`. Edges that touch count as outside.
+ * @param {Array<{x: number, z: number}>} outer
+ * @param {Array<{x: number, z: number}>} inner
+ * @returns {boolean}
+ */
+export function polygonContainsPolygon(outer, inner) {
+  if (!outer || outer.length < 3 || !inner || inner.length === 0) return false;
+  // With no crossing edges, inner is either fully inside or fully outside
+  for (let i = 0; i < inner.length; i++) {
+    for (let j = 0; j < outer.length; j++) {
+      if (segmentsIntersect(inner[i], inner[(i + 1) % inner.length], outer[j], outer[(j + 1) % outer.length])) {
+        return false;
+      }
+    }
+  }
+  return pointInPolygon(outer, inner[0]);
+}
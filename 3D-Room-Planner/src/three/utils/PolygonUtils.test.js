@@ -0,0 +1,60 @@
+import { validatePolygon } from './PolygonUtils';
+
+const issueTypes = (result) => result.issues.map(issue => issue.type);
+
+// Corners of a regular polygon, in order
+const regular = (count, radius = 3) => Array.from({ length: count }, (_, i) => ({
+  x: radius * Math.cos((2 * Math.PI * i) / count),
+  z: radius * Math.sin((2 * Math.PI * i) / count)
+}));
+
+describe('validatePolygon', () => {
+  test('accepts a plain room', () => {
+    expect(validatePolygon([{ x: 0, z: 0 }, { x: 4, z: 0 }, { x: 4, z: 3 }, { x: 0, z: 3 }]))
+      .toEqual({ valid: true, issues: [], invalidEdges: [] });
+  });
+
+  test('needs at least three corners', () => {
+    const result = validatePolygon([{ x: 0, z: 0 }, { x: 4, z: 0 }]);
+    expect(result.valid).toBe(false);
+    expect(issueTypes(result)).toEqual(['too-few-points']);
+    expect(validatePolygon(null).valid).toBe(false);
+  });
+
+  test('reports walls without length', () => {
+    const result = validatePolygon([{ x: 0, z: 0 }, { x: 4, z: 0 }, { x: 4, z: 0 }, { x: 4, z: 3 }, { x: 0, z: 3 }]);
+    expect(issueTypes(result)).toEqual(['short-edge']);
+    expect(result.invalidEdges).toEqual([1]);
+  });
+
+  test('reports corners in the same place without also reporting the walls through them as crossing', () => {
+    const result = validatePolygon([
+      { x: 0, z: 0 }, { x: 2, z: 0 }, { x: 2, z: 2 }, { x: 4, z: 2 }, { x: 4, z: 4 }, { x: 2, z: 4 }, { x: 2, z: 2 }, { x: 0, z: 2 }
+    ]);
+    expect(issueTypes(result)).toEqual(['duplicate-point']);
+    expect(result.issues[0].message).toBe('Corners 3 and 7 are in the same place.');
+  });
+
+  test('reports a crossing pair of walls', () => {
+    const result = validatePolygon([{ x: 0, z: 0 }, { x: 2, z: 2 }, { x: 2, z: 0 }, { x: 0, z: 2 }]);
+    expect(issueTypes(result)).toEqual(['self-intersection']);
+    expect(result.invalidEdges).toEqual([0, 2]);
+  });
+
+  test('reports every crossing pair, not just the first', () => {
+    // A five-pointed star drawn in one stroke: each wall crosses the two walls that do not touch it
+    const pentagon = regular(5);
+    const star = [0, 2, 4, 1, 3].map(i => pentagon[i]);
+    const result = validatePolygon(star);
+
+    expect(issueTypes(result)).toEqual(Array(5).fill('self-intersection'));
+    expect(result.issues.map(issue => issue.edges)).toEqual([[0, 2], [0, 3], [1, 3], [1, 4], [2, 4]]);
+    expect(result.invalidEdges).toEqual([0, 1, 2, 3, 4]);
+  });
+
+  test('reports a floor that is too small', () => {
+    const result = validatePolygon([{ x: 0, z: 0 }, { x: 0.2, z: 0 }, { x: 0.2, z: 0.2 }, { x: 0, z: 0.2 }]);
+    expect(issueTypes(result)).toEqual(['too-small']);
+    expect(result.invalidEdges).toEqual([0, 1, 2, 3]);
+  });
+});
@@ -0,0 +1,84 @@
+// src/three/utils/ProjectSchema.js
+// Versioned document format for saving and loading complete room projects
+
+import { validatePolygon } from './PolygonUtils.js';
+import { DEFAULT_WALL_THICKNESS } from '../objects/Room.js';
+import placementConfig from '../../config/placement';
+
+export const PROJECT_FORMAT = '3d-room-planner-project';
+export const PROJECT_SCHEMA_VERSION = 4;
+
+// Upgrade steps keyed by the version they upgrade FROM.
+// When the document shape changes, bump PROJECT_SCHEMA_VERSION and add a
+// step here that turns a version N document into a version N + 1 document.
+const migrations = {
+  // v2: doors and windows cut into the walls (room.openings)
+  1: (doc) => ({ ...doc, room: { ...doc.room, openings: [] } }),
+  // v3: wall thickness (older projects had paper-thin walls, they get the default) and per-wall heights
+  2: (doc) => ({ ...doc, room: { ...doc.room, wallThickness: DEFAULT_WALL_THICKNESS, wallHeights: [] } }),
+  // v4: how equipment reacts to other equipment and to the walls
+  3: (doc) => ({ ...doc, placement: defaultPlacement() })
+};
+
+// Same defaults as a new scene (see CollisionManager)
+function defaultPlacement() {
+  return { collisionMode: placementConfig.defaultCollisionMode, wallOffset: placementConfig.wallOffset };
+}
+
+/**
+ * Parses (if needed), validates and upgrades a project document to the current schema version.
+ * @param {string|Object} json - Project document as a JSON string or an already parsed object.
+ * @returns {Object} - The project document in the current schema version.
+ * @throws {Error} - If the document is not a room planner project, is newer than this build supports,
+ *   or its room polygon cannot be built.
+ */
+export function migrateProject(json) {
+  const doc = typeof json === 'string' ? JSON.parse(json) : JSON.parse(JSON.stringify(json));
+
+  if (!doc || typeof doc !== 'object' || doc.format !== PROJECT_FORMAT) {
+    throw new Error('ProjectSchema: Not a room planner project document.');
+  }
+
+  let version = Number(doc.schemaVersion) || 1;
+  if (version > PROJECT_SCHEMA_VERSION) {
+    throw new Error(`ProjectSchema: Project schema version ${version} is newer than supported version ${PROJECT_SCHEMA_VERSION}.`);
+  }
+
+  let upgraded = doc;
+  while (version < PROJECT_SCHEMA_VERSION) {
+    const step = migrations[version];
+    if (!step) {
+      throw new Error(`ProjectSchema: No migration from schema version ${version}.`);
+    }
+    upgraded = step(upgraded);
+    version += 1;
+    upgraded.schemaVersion = version;
+  }
+
+  if (!upgraded.room || !Array.isArray(upgraded.room.points)) {
+    throw new Error('ProjectSchema: Project document has no room polygon.');
+  }
+  // Checked here, before the scene is touched, so a damaged file cannot leave a broken room behind
+  if (!upgraded.room.points.every(point => point && Number.isFinite(point.x) && Number.isFinite(point.z))) {
+    throw new Error('ProjectSchema: Project room polygon has invalid corner coordinates.');
+  }
+  const validation = validatePolygon(upgraded.room.points);
+  if (!validation.valid) {
+    throw new Error(`ProjectSchema: Project room polygon is invalid: ${validation.issues[0].message}`);
+  }
+  if (!Array.isArray(upgraded.models)) upgraded.models = [];
+  if (!Array.isArray(upgraded.room.openings)) upgraded.room.openings = [];
+  if (!Array.isArray(upgraded.room.wallHeights)) upgraded.room.wallHeights = [];
+  if (!upgraded.placement) upgraded.placement = defaultPlacement();
+
+  return upgraded;
+}
+
+/**
+ * Converts a THREE.Vector3-like object into a plain {x, y, z} object.
+ * @param {{x: number, y: number, z: number}} vector
+ * @returns {{x: number, y: number, z: number}}
+ */
+export function toPlainVector(vector) {
+  return { x: vector.x, y: vector.y, z: vector.z };
+}
@@ -0,0 +1,81 @@
+import { migrateProject, PROJECT_FORMAT, PROJECT_SCHEMA_VERSION } from './ProjectSchema';
+import { DEFAULT_WALL_THICKNESS } from '../objects/Room';
+import placementConfig from '../../config/placement';
+
+const square = [{ x: -2, z: -2 }, { x: 2, z: -2 }, { x: 2, z: 2 }, { x: -2, z: 2 }];
+
+const project = (fields = {}) => ({
+  format: PROJECT_FORMAT,
+  schemaVersion: PROJECT_SCHEMA_VERSION,
+  room: { points: square, wallHeight: 2.5, wallThickness: 0.2, wallHeights: [], openings: [] },
+  placement: { collisionMode: 'block', wallOffset: 0.1 },
+  models: [],
+  ...fields
+});
+
+describe('migrateProject', () => {
+  test('upgrades a version 1 document step by step', () => {
+    const migrated = migrateProject(project({ schemaVersion: 1, room: { points: square, wallHeight: 2.5 }, placement: undefined }));
+
+    expect(migrated.schemaVersion).toBe(PROJECT_SCHEMA_VERSION);
+    expect(migrated.room.openings).toEqual([]);
+    expect(migrated.room.wallThickness).toBe(DEFAULT_WALL_THICKNESS);
+    expect(migrated.room.wallHeights).toEqual([]);
+    expect(migrated.placement).toEqual({
+      collisionMode: placementConfig.defaultCollisionMode,
+      wallOffset: placementConfig.wallOffset
+    });
+  });
+
+  test('treats a document without a version as version 1', () => {
+    const migrated = migrateProject(project({ schemaVersion: undefined, room: { points: square } }));
+    expect(migrated.schemaVersion).toBe(PROJECT_SCHEMA_VERSION);
+    expect(migrated.room.openings).toEqual([]);
+  });
+
+  test('keeps a current document as it is, without changing the original', () => {
+    const original = project();
+    const migrated = migrateProject(original);
+
+    expect(migrated).toEqual(original);
+    expect(migrated).not.toBe(original);
+    migrated.room.points[0].x = 10;
+    expect(original.room.points[0].x).toBe(-2);
+  });
+
+  test('parses a JSON string', () => {
+    expect(migrateProject(JSON.stringify(project())).room.points).toEqual(square);
+  });
+
+  test('fills in missing lists', () => {
+    const migrated = migrateProject(project({ models: undefined, room: { points: square } }));
+    expect(migrated.models).toEqual([]);
+    expect(migrated.room.openings).toEqual([]);
+    expect(migrated.room.wallHeights).toEqual([]);
+  });
+
+  test('rejects documents that are not room planner projects', () => {
+    expect(() => migrateProject({ format: 'something-else' })).toThrow('Not a room planner project');
+    expect(() => migrateProject('null')).toThrow('Not a room planner project');
+  });
+
+  test('rejects documents from a newer version', () => {
+    expect(() => migrateProject(project({ schemaVersion: PROJECT_SCHEMA_VERSION + 1 }))).toThrow('newer than supported');
+  });
+
+  test('rejects documents without a room polygon', () => {
+    expect(() => migrateProject(project({ room: {} }))).toThrow('no room polygon');
+  });
+
+  test('rejects corners that are not numbers', () => {
+    const points = [...square.slice(0, 3), { x: 'left', z: 2 }];
+    expect(() => migrateProject(project({ room: { points } }))).toThrow('invalid corner coordinates');
+    expect(() => migrateProject(project({ room: { points: [...square, null] } }))).toThrow('invalid corner coordinates');
+  });
+
+  test('rejects a room that cannot be built', () => {
+    const bowtie = [{ x: 0, z: 0 }, { x: 2, z: 2 }, { x: 2, z: 0 }, { x: 0, z: 2 }];
+    expect(() => migrateProject(project({ room: { points: bowtie } }))).toThrow('Walls 1 and 3 cross.');
+    expect(() => migrateProject(project({ room: { points: square.slice(0, 2) } }))).toThrow('at least 3 corners');
+  });
+});
@@ -0,0 +1,55 @@
+// src/three/utils/RoomStats.js
+// Size figures of the planned room: floor area, perimeter, wall surface and equipment coverage
+
+import { polygonArea, polygonPerimeter } from './PolygonUtils';
+import { getLocalFootprint } from './Footprint.js';
+
+/**
+ * Computes the room statistics shown in the stats panel.
+ * Wall surface uses each wall's own height; doors and windows are subtracted for the net figure.
+ * Equipment footprint is the sum of the models' footprints (their floor rectangles, however they are
+ * turned), so machines whose footprints overlap are counted twice (coverage can exceed 100% in a crammed room).
+ * @param {Room} room - The room whose current polygon and walls are measured.
+ * @param {Array<THREE.Object3D>} objects - Placed equipment models (SceneManager.objects).
+ * @param {function(THREE.Object3D): Object|null} [measure] - Local footprint of a model (see getLocalFootprint).
+ * @returns {{floorArea: number, perimeter: number, grossWallSurface: number, openingSurface: number,
+ *   wallSurface: number, equipmentCount: number, equipmentFootprint: number, coverage: number,
+ *   areaPerMachine: number|null}} - Areas in m², lengths in m, coverage as a 0..1 share of the floor.
+ */
+export function computeRoomStats(room, objects = [], measure = getLocalFootprint) {
+  const points = room ? room.getCurrentPoints() : [];
+  const floorArea = polygonArea(points);
+  const perimeter = polygonPerimeter(points);
+
+  let grossWallSurface = 0;
+  let openingSurface = 0;
+  if (room && !room.isEmpty) {
+    for (let i = 0; i < points.length; i++) {
+      const edge = room.getWallEdge(i);
+      if (!edge) continue;
+      const wallHeight = room.getWallHeight(i);
+      grossWallSurface += edge.length * wallHeight;
+      for (const opening of room.getOpeningsForWall(i)) {
+        const visibleHeight = Math.max(0, Math.min(opening.height, wallHeight - opening.sillHeight));
+        openingSurface += opening.width * visibleHeight;
+      }
+    }
+  }
+
+  const equipmentFootprint = objects.reduce((sum, object) => {
+    const local = measure(object);
+    return local ? sum + local.halfWidth * local.halfDepth * 4 : sum;
+  }, 0);
+
+  return {
+    floorArea,
+    perimeter,
+    grossWallSurface,
+    openingSurface,
+    wallSurface: Math.max(0, grossWallSurface - openingSurface),
+    equipmentCount: objects.length,
+    equipmentFootprint,
+    coverage: floorArea > 0 ? equipmentFootprint / floorArea : 0,
+    areaPerMachine: objects.length > 0 ? floorArea / objects.length : null
+  };
+}
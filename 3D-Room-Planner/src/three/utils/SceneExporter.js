@@ -0,0 +1,70 @@
+// src/three/utils/SceneExporter.js
+// Builds an export-ready copy of the planned room and writes it out as glTF binary (GLB)
+
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+
+// Editor-only nodes that must never end up in an exported file.
+// New helpers can opt out of exports by setting userData.isEditorHelper = true.
+export function isEditorOnly(object) {
+  const data = object.userData || {};
+  return !!(data.isEditorHelper || data.isPinIndicator || data.isWatermark || data.isBoundingBox);
+}
+
+// Clones an object tree without its editor-only descendants.
+// Geometries and materials are shared with the live scene, which is fine for a one-off export.
+function cloneForExport(source) {
+  const clone = source.clone(true);
+  const toRemove = [];
+  clone.traverse(child => {
+    if (child !== clone && isEditorOnly(child)) toRemove.push(child);
+  });
+  toRemove.forEach(child => { if (child.parent) child.parent.remove(child); });
+
+  clone.traverse(child => {
+    // Walls hidden by Room.updateWallVisibility for the current camera still belong in the file
+    child.visible = true;
+    // Runtime userData (helpers, cached state) is not meant for other tools
+    child.userData = {};
+  });
+  return clone;
+}
+
+/**
+ * Builds a standalone group with the room (floor and walls) and every placed model.
+ * @param {Object} options
+ * @param {THREE.Group|null} options.roomGroup - Room.group of the current room.
+ * @param {Array<THREE.Object3D>} options.objects - Placed model roots (SceneManager.objects).
+ * @returns {THREE.Group}
+ */
+export function buildExportScene({ roomGroup, objects }) {
+  const exportRoot = new THREE.Group();
+  exportRoot.name = 'PlannedRoom';
+
+  if (roomGroup) {
+    const roomClone = cloneForExport(roomGroup);
+    roomClone.name = 'Room';
+    exportRoot.add(roomClone);
+  }
+
+  (objects || []).forEach((object, index) => {
+    const modelClone = cloneForExport(object);
+    modelClone.name = `${object.userData.type || 'Model'}_${index + 1}`;
+    modelClone.userData = { type: object.userData.type };
+    exportRoot.add(modelClone);
+  });
+
+  exportRoot.updateMatrixWorld(true);
+  return exportRoot;
+}
+
+/**
+ * Serialises an object tree to a GLB file.
+ * @param {THREE.Object3D} root
+ * @returns {Promise<Blob>}
+ */
+export function exportToGLB(root) {
+  const exporter = new GLTFExporter();
+  return exporter.parseAsync(root, { binary: true, onlyVisible: true })
+    .then(result => new Blob([result], { type: 'model/gltf-binary' }));
+}
@@ -0,0 +1,94 @@
+// src/utils/AutosaveStore.js
+// IndexedDB-backed rolling store of autosaved project snapshots
+
+const DB_NAME = 'room-planner';
+const DB_VERSION = 1;
+const STORE_NAME = 'autosaves';
+
+// Wraps an IDBRequest in a Promise
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export class AutosaveStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxSnapshots=5] - How many snapshots to keep before the oldest are dropped.
+   */
+  constructor({ maxSnapshots = 5 } = {}) {
+    this.maxSnapshots = maxSnapshots;
+    this.dbPromise = null;
+  }
+
+  isSupported() {
+    return typeof window !== 'undefined' && !!window.indexedDB;
+  }
+
+  open() {
+    if (!this.isSupported()) {
+      return Promise.reject(new Error('AutosaveStore: IndexedDB is not available.'));
+    }
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(STORE_NAME)) {
+            db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      // Allow a later retry if opening failed (e.g. private browsing)
+      this.dbPromise.catch(() => { this.dbPromise = null; });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Stores a project snapshot and drops the oldest ones beyond maxSnapshots.
+   * @param {Object} project - Project document from SceneManager.exportProject().
+   * @returns {Promise<number>} - Id of the stored snapshot.
+   */
+  saveSnapshot(project) {
+    return this.open().then(db => {
+      const transaction = db.transaction(STORE_NAME, 'readwrite');
+      const store = transaction.objectStore(STORE_NAME);
+      const record = {
+        savedAt: Date.now(),
+        modelCount: Array.isArray(project.models) ? project.models.length : 0,
+        project
+      };
+      return promisifyRequest(store.add(record)).then(id =>
+        promisifyRequest(store.getAllKeys()).then(keys => {
+          const excess = keys.length - this.maxSnapshots;
+          // Keys are auto-incremented, so the lowest keys are the oldest snapshots
+          keys.slice(0, Math.max(0, excess)).forEach(key => store.delete(key));
+          return id;
+        })
+      );
+    });
+  }
+
+  /**
+   * Lists stored snapshots, newest first.
+   * @returns {Promise<Array<{id: number, savedAt: number, modelCount: number, project: Object}>>}
+   */
+  listSnapshots() {
+    return this.open().then(db => {
+      const store = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+      return promisifyRequest(store.getAll());
+    }).then(records => records.sort((a, b) => b.id - a.id));
+  }
+
+  clear() {
+    return this.open().then(db => {
+      const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+      return promisifyRequest(store.clear());
+    });
+  }
+}
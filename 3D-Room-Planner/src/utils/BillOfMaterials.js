@@ -0,0 +1,161 @@
+// src/utils/BillOfMaterials.js
+// Bill of materials and quote generation for the equipment placed in a room
+
+import equipmentConfig from '../config/equipment';
+import { polygonArea } from '../three/utils/PolygonUtils';
+
+/**
+ * Groups placed models by type and prices them from the equipment configuration.
+ * Types without a configured list price are listed with a null unit price, and the grand total is then null too.
+ * @param {Array<THREE.Object3D>} objects - Placed model roots (SceneManager.objects).
+ * @param {Object} [options]
+ * @param {Array<{x: number, z: number}>} [options.roomPoints] - Room polygon, used for the floor area.
+ * @param {Object} [options.config=equipmentConfig] - Equipment configuration with `products` and `currency`.
+ * @returns {{lines: Array<Object>, totalQuantity: number, grandTotal: number|null, currency: string, floorArea: number, createdAt: string}}
+ */
+export function buildBillOfMaterials(objects, { roomPoints = [], config = equipmentConfig } = {}) {
+  const quantities = new Map();
+  (objects || []).forEach(object => {
+    const type = object.userData && object.userData.type;
+    if (!type) return;
+    quantities.set(type, (quantities.get(type) || 0) + 1);
+  });
+
+  const products = config.products || {};
+  const lines = Array.from(quantities.entries()).map(([type, quantity]) => {
+    const product = products[type] || {};
+    const unitPrice = typeof product.listPrice === 'number' ? product.listPrice : null;
+    return {
+      type,
+      sku: product.sku || '',
+      name: product.name || type,
+      quantity,
+      unitPrice,
+      total: unitPrice === null ? null : unitPrice * quantity
+    };
+  }).sort((a, b) => a.name.localeCompare(b.name));
+
+  return {
+    lines,
+    totalQuantity: lines.reduce((sum, line) => sum + line.quantity, 0),
+    grandTotal: lines.some(line => line.total === null) ? null : lines.reduce((sum, line) => sum + line.total, 0),
+    currency: config.currency || 'EUR',
+    floorArea: polygonArea(roomPoints),
+    createdAt: new Date().toISOString()
+  };
+}
+
+const escapeCSV = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const formatAmount = (value) => (value === null ? '' : value.toFixed(2));
+
+/**
+ * Renders a bill of materials as CSV.
+ * @param {Object} bom - Result of buildBillOfMaterials().
+ * @returns {string}
+ */
+export function billOfMaterialsToCSV(bom) {
+  const rows = [
+    ['SKU', 'Product', 'Model Type', 'Quantity', `Unit Price (${bom.currency})`, `Line Total (${bom.currency})`],
+    ...bom.lines.map(line => [
+      line.sku, line.name, line.type, line.quantity, formatAmount(line.unitPrice), formatAmount(line.total)
+    ]),
+    [],
+    ['', 'Total', '', bom.totalQuantity, '', formatAmount(bom.grandTotal)],
+    ['', 'Floor area (m²)', '', '', '', bom.floorArea.toFixed(2)]
+  ];
+  return rows.map(row => row.map(escapeCSV).join(',')).join('\r\n');
+}
+
+const escapeHTML = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Renders a bill of materials as a standalone, print-ready HTML quote.
+ * @param {Object} bom - Result of buildBillOfMaterials().
+ * @param {Object} [options]
+ * @param {string} [options.planImage] - Data URL of a top-down render of the room.
+ * @param {string} [options.logoUrl] - Absolute URL of the logo shown in the header.
+ * @param {string} [options.title='Equipment Quote'] - Document title.
+ * @returns {string}
+ */
+export function billOfMaterialsToQuoteHTML(bom, { planImage, logoUrl, title = 'Equipment Quote' } = {}) {
+  const currency = new Intl.NumberFormat(undefined, { style: 'currency', currency: bom.currency });
+  const money = (value) => (value === null ? 'On request' : currency.format(value));
+  const date = new Date(bom.createdAt).toLocaleDateString();
+
+  const rows = bom.lines.map(line => `
+        <tr>
+          <td>${escapeHTML(line.sku)}</td>
+          <td>${escapeHTML(line.name)}</td>
+          <td class="num">${line.quantity}</td>
+          <td class="num">${money(line.unitPrice)}</td>
+          <td class="num">${money(line.total)}</td>
+        </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <title>${escapeHTML(title)}</title>
+  <style>
+    @page { size: A4; margin: 15mm; }
+    body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color: #222; margin: 0 auto; max-width: 800px; padding: 20px; }
+    header { display: flex; justify-content: space-between; align-items: center; border-bottom: 2px solid #E4002B; padding-bottom: 10px; margin-bottom: 20px; }
+    header img { height: 40px; }
+    h1 { font-size: 22px; margin: 0; }
+    .meta { color: #666; font-size: 13px; }
+    .plan { text-align: center; margin: 20px 0; }
+    .plan img { max-width: 100%; max-height: 420px; border: 1px solid #ddd; }
+    table { width: 100%; border-collapse: collapse; font-size: 14px; }
+    th, td { padding: 8px; border-bottom: 1px solid #ddd; text-align: left; }
+    th { background: #f5f5f5; }
+    td.num, th.num { text-align: right; }
+    tfoot td { font-weight: bold; border-top: 2px solid #222; }
+    .notes { margin-top: 20px; font-size: 12px; color: #666; }
+    .print-button { margin-top: 20px; background: #E4002B; color: white; border: none; padding: 10px 20px; border-radius: 6px; font-weight: bold; cursor: pointer; }
+    @media print { .print-button { display: none; } body { padding: 0; } }
+  </style>
+</head>
+<body>
+  <header>
+    <div>
+      <h1>${escapeHTML(title)}</h1>
+      <div class="meta">Date: ${escapeHTML(date)} &middot; Floor area: ${bom.floorArea.toFixed(2)} m²</div>
+    </div>
+    ${logoUrl ? `<img src="${escapeHTML(logoUrl)}" alt="Logo" />` : ''}
+  </header>
+  ${planImage ? `<div class="plan"><img src="${planImage}" alt="Room layout (top view)" /></div>` : ''}
+  <table>
+    <thead>
+      <tr>
+        <th>SKU</th>
+        <th>Product</th>
+        <th class="num">Qty</th>
+        <th class="num">Unit Price</th>
+        <th class="num">Total</th>
+      </tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+    <tfoot>
+      <tr>
+        <td></td>
+        <td>Total</td>
+        <td class="num">${bom.totalQuantity}</td>
+        <td></td>
+        <td class="num">${money(bom.grandTotal)}</td>
+      </tr>
+    </tfoot>
+  </table>
+  <p class="notes">All prices are list prices in ${escapeHTML(bom.currency)}, excluding VAT, delivery and installation.</p>
+  <button class="print-button" onclick="window.print()">Print</button>
+</body>
+</html>`;
+}
@@ -0,0 +1,444 @@
+// src/utils/FloorPlanExport.js
+// Printable floor plan: a to-scale drawing of the walls, doors, windows and equipment footprints with
+// wall dimensions, a legend, a scale bar and a north arrow, exported as SVG or as a (multi-page) PDF
+
+import equipmentConfig from '../config/equipment';
+import floorPlanConfig from '../config/floorPlan';
+import { footprintCorners } from '../three/utils/Footprint';
+import { getWallLines } from '../three/utils/Guides';
+import { openingSymbol, wallDimension, frontMarker } from '../three/utils/PlanSymbols';
+import { polygonArea } from '../three/utils/PolygonUtils';
+
+const MM_PER_METER = 1000;
+const PT_PER_MM = 72 / 25.4;
+
+const COLORS = { wall: '#4a5568', line: '#1a202c', dimension: '#4a5568', muted: '#718096', paper: '#ffffff' };
+const LINE_WIDTHS = { thin: 0.13, normal: 0.25, thick: 0.5 }; // mm on paper
+const TEXT_SIZES = { small: 2.2, normal: 2.8, title: 5 }; // mm on paper
+const LEGEND_ROW_HEIGHT = 5;
+const SCALE_BAR_LENGTHS = [0.5, 1, 2, 5, 10, 20, 50]; // meters
+// Helvetica is about half an em wide per character on average; PDF text is placed with this estimate
+const AVERAGE_CHAR_WIDTH = 0.52;
+
+/**
+ * Collects what the printed plan shows, in floor coordinates (meters, world space).
+ * North is -Z, which is up in the 2D view and on paper.
+ * @param {Object} layout
+ * @param {Array<{x: number, z: number}>} layout.inner - Inner wall faces (the floor polygon).
+ * @param {Array<{x: number, z: number}>} layout.outer - Outer wall corners, index for index with `inner`.
+ * @param {number} layout.thickness - Wall thickness.
+ * @param {Array<Object>} layout.openings - Doors and windows, see Room.addOpening.
+ * @param {Array<{type: string, footprint: Object}>} layout.models - Placed models and their footprints.
+ * @param {Object} [options]
+ * @param {Object} [options.config=equipmentConfig] - Equipment configuration, for product names.
+ * @returns {Object} - Plan with `walls`, `items` (footprints with their legend number), `legend`, `floorArea` and `bounds`.
+ */
+export function buildFloorPlan({ inner = [], outer = [], thickness = 0, openings = [], models = [] }, { config = equipmentConfig } = {}) {
+  const hasRoom = inner.length >= 3 && outer.length === inner.length;
+  const walls = hasRoom ? getWallLines(inner) : [];
+  const products = config.products || {};
+
+  // One legend entry per equipment type, numbered in name order
+  const counts = new Map();
+  models.forEach(({ type }) => counts.set(type, (counts.get(type) || 0) + 1));
+  const legend = Array.from(counts.entries())
+    .map(([type, count]) => ({ type, name: (products[type] && products[type].name) || type || 'Model', count }))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map((entry, index) => ({ ...entry, number: index + 1 }));
+  const numbers = new Map(legend.map(entry => [entry.type, entry.number]));
+  const items = models.map(({ type, footprint }) => ({ type, number: numbers.get(type), footprint }));
+
+  // Everything drawn, dimension labels included, plus some floor around it
+  const points = [
+    ...(hasRoom ? outer : []),
+    ...walls.map(wall => wallDimension(wall, thickness).label),
+    ...items.flatMap(item => footprintCorners(item.footprint))
+  ];
+  const padding = floorPlanConfig.drawingPadding;
+  const bounds = points.length > 0
+    ? {
+      minX: Math.min(...points.map(point => point.x)) - padding,
+      minZ: Math.min(...points.map(point => point.z)) - padding,
+      maxX: Math.max(...points.map(point => point.x)) + padding,
+      maxZ: Math.max(...points.map(point => point.z)) + padding
+    }
+    : { minX: -1, minZ: -1, maxX: 1, maxZ: 1 };
+
+  return {
+    inner: hasRoom ? inner : [],
+    outer: hasRoom ? outer : [],
+    thickness,
+    walls,
+    openings: hasRoom ? openings : [],
+    items,
+    legend,
+    floorArea: hasRoom ? polygonArea(inner) : 0,
+    bounds
+  };
+}
+
+/**
+ * Paper size in millimeters for a paper id and orientation.
+ * @param {string} paper - Id from floorPlanConfig.paperSizes.
+ * @param {'portrait'|'landscape'} orientation
+ * @returns {{width: number, height: number, name: string}}
+ */
+export function getPaperSize(paper, orientation) {
+  const size = floorPlanConfig.paperSizes.find(entry => entry.id === paper) || floorPlanConfig.paperSizes[0];
+  const landscape = orientation === 'landscape';
+  return {
+    width: landscape ? size.height : size.width,
+    height: landscape ? size.width : size.height,
+    name: `${size.name} ${landscape ? 'landscape' : 'portrait'}`
+  };
+}
+
+/**
+ * How the plan is split over sheets of paper at a print scale: the drawing is tiled, left to right
+ * and top to bottom, across the area each sheet leaves next to its title block.
+ * @param {Object} plan - Result of buildFloorPlan().
+ * @param {Object} options
+ * @param {number} options.scale - 50 for 1:50.
+ * @param {string} options.paper - Paper id.
+ * @param {'portrait'|'landscape'} options.orientation
+ * @returns {{columns: number, rows: number, count: number, area: {width: number, height: number}, paper: Object}}
+ */
+export function paginateFloorPlan(plan, { scale, paper, orientation }) {
+  const sheet = getPaperSize(paper, orientation);
+  const { margin, panelWidth, panelGap } = floorPlanConfig;
+  const area = {
+    width: Math.max(1, sheet.width - margin * 2 - panelGap - panelWidth),
+    height: Math.max(1, sheet.height - margin * 2)
+  };
+  const drawing = drawingSize(plan, scale);
+  // A hair of tolerance, so a drawing that exactly fits does not spill onto a second sheet
+  const columns = Math.max(1, Math.ceil(drawing.width / area.width - 1e-6));
+  const rows = Math.max(1, Math.ceil(drawing.height / area.height - 1e-6));
+  return { columns, rows, count: columns * rows, area, paper: sheet };
+}
+
+/**
+ * Renders the plan as one SVG sheet in millimeters: the drawing at scale with the title block beside it.
+ * @param {Object} plan - Result of buildFloorPlan().
+ * @param {Object} [options]
+ * @param {number} [options.scale] - 50 for 1:50.
+ * @param {string} [options.title]
+ * @param {Date} [options.date]
+ * @returns {string}
+ */
+export function floorPlanToSVG(plan, { scale = floorPlanConfig.defaultScale, title = floorPlanConfig.title, date = new Date() } = {}) {
+  const { margin, panelWidth, panelGap } = floorPlanConfig;
+  const drawing = drawFloorPlan(plan, scale);
+  const panelX = margin + drawing.width + panelGap;
+  const panel = drawTitleBlock(plan, {
+    x: panelX, y: margin, width: panelWidth, scale, title, date, lines: []
+  });
+  const width = panelX + panelWidth + margin;
+  const height = margin * 2 + Math.max(drawing.height, panel.height);
+  // The title block frame runs the full height of the sheet
+  panel.shapes[0].rings = [rectangle(panelX, margin, panelWidth, height - margin * 2)];
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${num(width)}mm" height="${num(height)}mm" viewBox="0 0 ${num(width)} ${num(height)}">
+  <title>${escapeXML(title)}</title>
+  <rect x="0" y="0" width="${num(width)}" height="${num(height)}" fill="${COLORS.paper}" />
+  <g transform="translate(${num(margin)} ${num(margin)})">
+${drawing.shapes.map(shapeToSVG).join('\n')}
+  </g>
+${panel.shapes.map(shapeToSVG).join('\n')}
+</svg>
+`;
+}
+
+/**
+ * Renders the plan as a PDF at an exact print scale, tiled over as many sheets as it needs.
+ * Every sheet carries the title block, with its position in the tiling.
+ * @param {Object} plan - Result of buildFloorPlan().
+ * @param {Object} [options]
+ * @param {number} [options.scale] - 50 for 1:50.
+ * @param {string} [options.paper] - Paper id from floorPlanConfig.paperSizes.
+ * @param {'portrait'|'landscape'} [options.orientation]
+ * @param {string} [options.title]
+ * @param {Date} [options.date]
+ * @returns {Uint8Array} - PDF file contents.
+ */
+export function floorPlanToPDF(plan, {
+  scale = floorPlanConfig.defaultScale,
+  paper = floorPlanConfig.defaultPaper,
+  orientation = floorPlanConfig.defaultOrientation,
+  title = floorPlanConfig.title,
+  date = new Date()
+} = {}) {
+  const { margin, panelWidth } = floorPlanConfig;
+  const pages = paginateFloorPlan(plan, { scale, paper, orientation });
+  const drawing = drawFloorPlan(plan, scale);
+  const { area, paper: sheet } = pages;
+  // A drawing smaller than the sheet is centered on it
+  const centerX = pages.columns === 1 ? (area.width - drawing.width) / 2 : 0;
+  const centerY = pages.rows === 1 ? (area.height - drawing.height) / 2 : 0;
+
+  const contents = [];
+  for (let row = 0; row < pages.rows; row++) {
+    for (let column = 0; column < pages.columns; column++) {
+      const index = row * pages.columns + column + 1;
+      const lines = [`Sheet ${index} of ${pages.count}`];
+      if (pages.count > 1) lines.push(`Row ${row + 1}, column ${column + 1}`);
+      const panel = drawTitleBlock(plan, {
+        x: sheet.width - margin - panelWidth, y: margin, width: panelWidth, height: area.height,
+        scale, title, date, lines: [sheet.name, ...lines]
+      });
+
+      const stream = [
+        `${num(PT_PER_MM)} 0 0 ${num(-PT_PER_MM)} 0 ${num(sheet.height * PT_PER_MM)} cm`, // Millimeters, y down
+        'q',
+        `${num(margin)} ${num(margin)} ${num(area.width)} ${num(area.height)} re W n`,
+        `1 0 0 1 ${num(margin + centerX - column * area.width)} ${num(margin + centerY - row * area.height)} cm`,
+        ...drawing.shapes.map(shapeToPDF),
+        'Q',
+        shapeToPDF({ kind: 'shape', rings: [rectangle(margin, margin, area.width, area.height)], stroke: COLORS.line, width: LINE_WIDTHS.normal }),
+        ...panel.shapes.map(shapeToPDF)
+      ];
+      contents.push(stream.join('\n'));
+    }
+  }
+  return writePDF(contents, { width: sheet.width * PT_PER_MM, height: sheet.height * PT_PER_MM });
+}
+
+// Size of the drawing on paper, in millimeters
+function drawingSize(plan, scale) {
+  const k = MM_PER_METER / scale;
+  return {
+    width: (plan.bounds.maxX - plan.bounds.minX) * k,
+    height: (plan.bounds.maxZ - plan.bounds.minZ) * k
+  };
+}
+
+/**
+ * The plan as paper shapes in millimeters, with the top-left corner of its bounds at the origin.
+ * Shapes are {kind: 'shape', rings, fill, stroke, width}, {kind: 'lines', segments, stroke, width}
+ * or {kind: 'text', x, y, text, size, color, anchor, angle, bold}.
+ */
+function drawFloorPlan(plan, scale) {
+  const k = MM_PER_METER / scale;
+  const toPaper = (point) => ({ x: (point.x - plan.bounds.minX) * k, y: (point.z - plan.bounds.minZ) * k });
+  const toSegments = (segments) => segments.map(segment => segment.map(toPaper));
+  const shapes = [];
+
+  if (plan.inner.length >= 3) {
+    shapes.push({ kind: 'shape', rings: [plan.outer.map(toPaper), plan.inner.map(toPaper)], fill: COLORS.wall, stroke: COLORS.line, width: LINE_WIDTHS.normal });
+  }
+
+  plan.openings.forEach(opening => {
+    const wall = plan.walls.find(entry => entry.index === opening.wallIndex);
+    if (!wall) return;
+    const symbol = openingSymbol(opening, wall, plan.thickness);
+    shapes.push({ kind: 'shape', rings: [symbol.gap.map(toPaper)], fill: COLORS.paper });
+    shapes.push({ kind: 'lines', segments: toSegments(symbol.lines), stroke: COLORS.line, width: LINE_WIDTHS.thin });
+  });
+
+  plan.items.forEach(item => {
+    shapes.push({ kind: 'shape', rings: [footprintCorners(item.footprint).map(toPaper)], fill: COLORS.paper, stroke: COLORS.line, width: LINE_WIDTHS.normal });
+    shapes.push({ kind: 'lines', segments: toSegments(frontMarker(item.footprint)), stroke: COLORS.line, width: LINE_WIDTHS.thin });
+    const center = toPaper(item.footprint);
+    shapes.push({ kind: 'text', x: center.x, y: center.y, text: String(item.number), size: TEXT_SIZES.normal, color: COLORS.line, anchor: 'middle', bold: true });
+  });
+
+  plan.walls.forEach(wall => {
+    const dimension = wallDimension(wall, plan.thickness);
+    shapes.push({ kind: 'lines', segments: toSegments(dimension.lines), stroke: COLORS.dimension, width: LINE_WIDTHS.thin });
+    const label = toPaper(dimension.label);
+    shapes.push({
+      kind: 'text', x: label.x, y: label.y, text: `${wall.length.toFixed(2)} m`, size: TEXT_SIZES.small,
+      color: COLORS.dimension, anchor: 'middle', angle: readableAngle(dimension.angle)
+    });
+  });
+
+  return { width: (plan.bounds.maxX - plan.bounds.minX) * k, height: (plan.bounds.maxZ - plan.bounds.minZ) * k, shapes };
+}
+
+// Text along a wall, turned so it never reads upside down (degrees, clockwise on paper)
+function readableAngle(radians) {
+  let degrees = (radians * 180) / Math.PI;
+  if (degrees >= 90) degrees -= 180;
+  if (degrees < -90) degrees += 180;
+  return degrees;
+}
+
+/**
+ * Title block: title, scale, date, floor area, extra lines, north arrow, scale bar and legend.
+ * @returns {{shapes: Array<Object>, height: number}} - `height` is what the contents need.
+ */
+function drawTitleBlock(plan, { x, y, width, height, scale, title, date, lines }) {
+  const shapes = [{ kind: 'shape', rings: [], stroke: COLORS.line, width: LINE_WIDTHS.normal }]; // Frame, sized below
+  const left = x + 4;
+  const inner = width - 8;
+  let cursor = y + 8;
+  const text = (value, options = {}) => {
+    shapes.push({ kind: 'text', x: left, y: cursor, text: value, size: TEXT_SIZES.normal, color: COLORS.line, anchor: 'start', ...options });
+  };
+
+  text(title, { size: TEXT_SIZES.title, bold: true });
+  cursor += 8;
+  [`Scale 1:${scale}`, ...lines, date.toLocaleDateString(), `Floor area: ${plan.floorArea.toFixed(2)} m²`].forEach(line => {
+    text(line, { color: COLORS.muted });
+    cursor += 4.5;
+  });
+
+  // North arrow: -Z is up on the plan
+  cursor += 4;
+  const arrowX = left + inner - 6;
+  shapes.push({ kind: 'text', x: arrowX, y: cursor, text: 'N', size: TEXT_SIZES.normal, color: COLORS.line, anchor: 'middle', bold: true });
+  const arrowTop = cursor + 3;
+  shapes.push({
+    kind: 'shape',
+    rings: [[{ x: arrowX, y: arrowTop }, { x: arrowX + 3.5, y: arrowTop + 11 }, { x: arrowX, y: arrowTop + 8.5 }, { x: arrowX - 3.5, y: arrowTop + 11 }]],
+    fill: COLORS.line
+  });
+
+  // Scale bar: the longest round length that fits beside the arrow, in four alternating blocks
+  const k = MM_PER_METER / scale;
+  const barRoom = inner - 16;
+  const barMeters = SCALE_BAR_LENGTHS.filter(length => length * k <= barRoom).pop() || SCALE_BAR_LENGTHS[0];
+  const barLength = barMeters * k;
+  const barY = arrowTop + 6;
+  for (let i = 0; i < 4; i++) {
+    shapes.push({
+      kind: 'shape',
+      rings: [rectangle(left + (barLength / 4) * i, barY, barLength / 4, 2)],
+      fill: i % 2 === 0 ? COLORS.line : COLORS.paper,
+      stroke: COLORS.line,
+      width: LINE_WIDTHS.thin
+    });
+  }
+  shapes.push({ kind: 'text', x: left, y: barY + 5, text: '0', size: TEXT_SIZES.small, color: COLORS.line, anchor: 'middle' });
+  shapes.push({ kind: 'text', x: left + barLength, y: barY + 5, text: `${barMeters} m`, size: TEXT_SIZES.small, color: COLORS.line, anchor: 'middle' });
+  cursor = arrowTop + 20;
+
+  // Legend: one row per equipment type; rows that do not fit the block are summed up
+  if (plan.legend.length > 0) {
+    text('Legend', { bold: true });
+    cursor += LEGEND_ROW_HEIGHT + 1;
+    const available = height === undefined ? Infinity : Math.floor((y + height - cursor - 4) / LEGEND_ROW_HEIGHT);
+    const shown = plan.legend.length > available ? Math.max(0, available - 1) : plan.legend.length;
+    const nameChars = Math.floor((inner - 18) / (TEXT_SIZES.small * AVERAGE_CHAR_WIDTH));
+    plan.legend.slice(0, shown).forEach(entry => {
+      const name = entry.name.length > nameChars ? `${entry.name.slice(0, nameChars - 3)}...` : entry.name;
+      text(String(entry.number), { bold: true });
+      text(name, { x: left + 6, size: TEXT_SIZES.small });
+      text(`× ${entry.count}`, { x: left + inner, size: TEXT_SIZES.small, anchor: 'end' });
+      cursor += LEGEND_ROW_HEIGHT;
+    });
+    if (shown < plan.legend.length) {
+      text(`and ${plan.legend.length - shown} more types`, { size: TEXT_SIZES.small, color: COLORS.muted });
+      cursor += LEGEND_ROW_HEIGHT;
+    }
+  }
+
+  const needed = cursor - y;
+  shapes[0].rings = [rectangle(x, y, width, height === undefined ? needed : height)];
+  return { shapes, height: needed };
+}
+
+function rectangle(x, y, width, height) {
+  return [{ x, y }, { x: x + width, y }, { x: x + width, y: y + height }, { x, y: y + height }];
+}
+
+// Millimeter values with at most three decimals
+const num = (value) => String(Math.round(value * 1000) / 1000);
+
+const escapeXML = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+function shapeToSVG(shape) {
+  if (shape.kind === 'text') {
+    const rotate = shape.angle ? ` transform="rotate(${num(shape.angle)} ${num(shape.x)} ${num(shape.y)})"` : '';
+    const weight = shape.bold ? ' font-weight="bold"' : '';
+    return `    <text x="${num(shape.x)}" y="${num(shape.y)}" font-family="Helvetica, Arial, sans-serif" font-size="${num(shape.size)}"` +
+      ` text-anchor="${shape.anchor || 'start'}" dominant-baseline="central" fill="${shape.color}"${weight}${rotate}>${escapeXML(shape.text)}</text>`;
+  }
+  const paths = shape.kind === 'lines'
+    ? shape.segments.map(([from, to]) => `M${num(from.x)} ${num(from.y)}L${num(to.x)} ${num(to.y)}`)
+    : shape.rings.map(ring => `M${ring.map(point => `${num(point.x)} ${num(point.y)}`).join('L')}Z`);
+  const stroke = shape.stroke ? ` stroke="${shape.stroke}" stroke-width="${num(shape.width)}" stroke-linejoin="round"` : '';
+  const fill = shape.kind === 'shape' && shape.fill ? `fill="${shape.fill}" fill-rule="evenodd"` : 'fill="none"';
+  return `    <path d="${paths.join('')}" ${fill}${stroke} />`;
+}
+
+const pdfColor = (hex, operator) => {
+  const value = parseInt(hex.slice(1), 16);
+  return `${[16, 8, 0].map(shift => num(((value >> shift) & 255) / 255)).join(' ')} ${operator}`;
+};
+
+// PDF strings are written as Latin-1 (WinAnsi); accents are dropped where needed and anything else becomes '?'
+const pdfText = (value) => String(value)
+  .replace(/\s+/g, ' ')
+  .replace(/[^ -\xff]/g, character => character.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^ -\xff]/g, '?'))
+  .replace(/[\\()]/g, character => `\\${character}`);
+
+function shapeToPDF(shape) {
+  if (shape.kind === 'text') {
+    const angle = ((shape.angle || 0) * Math.PI) / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    // Estimated width for the anchor, and a baseline shift so the text is centered on its point
+    const width = shape.text.length * shape.size * AVERAGE_CHAR_WIDTH;
+    const shift = shape.anchor === 'middle' ? -width / 2 : shape.anchor === 'end' ? -width : 0;
+    const drop = shape.size * 0.35;
+    const x = shape.x + cos * shift - sin * drop;
+    const y = shape.y + sin * shift + cos * drop;
+    // The page space is flipped (y down), so the text matrix flips the glyphs back upright
+    return `BT ${pdfColor(shape.color, 'rg')} /${shape.bold ? 'F2' : 'F1'} ${num(shape.size)} Tf ` +
+      `${num(cos)} ${num(sin)} ${num(sin)} ${num(-cos)} ${num(x)} ${num(y)} Tm (${pdfText(shape.text)}) Tj ET`;
+  }
+  const path = shape.kind === 'lines'
+    ? shape.segments.map(([from, to]) => `${num(from.x)} ${num(from.y)} m ${num(to.x)} ${num(to.y)} l`)
+    : shape.rings.map(ring => `${ring.map((point, index) => `${num(point.x)} ${num(point.y)} ${index === 0 ? 'm' : 'l'}`).join(' ')} h`);
+  const fill = shape.kind === 'shape' && shape.fill;
+  const operator = fill && shape.stroke ? 'B*' : fill ? 'f*' : 'S';
+  return [
+    'q',
+    fill ? pdfColor(shape.fill, 'rg') : '',
+    shape.stroke ? `${pdfColor(shape.stroke, 'RG')} ${num(shape.width)} w 1 j` : '',
+    ...path,
+    operator,
+    'Q'
+  ].filter(Boolean).join(' ');
+}
+
+// Minimal PDF 1.4 file: one page per content stream, Helvetica and Helvetica-Bold as the only fonts
+function writePDF(contents, { width, height }) {
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    null, // Page tree, written once the page objects are numbered
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+  ];
+  const pageNumbers = [];
+  contents.forEach(content => {
+    objects.push(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+    const contentNumber = objects.length;
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(width)} ${num(height)}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${contentNumber} 0 R >>`);
+    pageNumbers.push(objects.length);
+  });
+  objects[1] = `<< /Type /Pages /Kids [${pageNumbers.map(number => `${number} 0 R`).join(' ')}] /Count ${pageNumbers.length} >>`;
+
+  // Every character is a single byte, so string offsets are byte offsets
+  let file = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n'; // Binary marker comment
+  const offsets = objects.map((object, index) => {
+    const offset = file.length;
+    file += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = file.length;
+  file += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  file += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  file += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  const bytes = new Uint8Array(file.length);
+  for (let i = 0; i < file.length; i++) bytes[i] = file.charCodeAt(i) & 255;
+  return bytes;
+}
@@ -0,0 +1,73 @@
+import { buildFloorPlan, floorPlanToPDF, paginateFloorPlan } from './FloorPlanExport';
+import { placeFootprint } from '../three/utils/Footprint';
+
+// three's example modules are ES modules that jest does not transform; the exporter is never used here
+jest.mock('three/examples/jsm/exporters/GLTFExporter.js', () => ({ GLTFExporter: class {} }));
+
+// A rectangular room of width x depth meters with walls of the given thickness, and one model in it
+const roomPlan = (width, depth, thickness = 0.15) => {
+  const rectangle = (grow) => [
+    { x: -width / 2 - grow, z: -depth / 2 - grow },
+    { x: width / 2 + grow, z: -depth / 2 - grow },
+    { x: width / 2 + grow, z: depth / 2 + grow },
+    { x: -width / 2 - grow, z: depth / 2 + grow }
+  ];
+  const footprint = placeFootprint({ offsetX: 0, offsetZ: 0, halfWidth: 0.45, halfDepth: 0.75 }, { x: 0, z: 0 }, 0);
+  return buildFloorPlan({ inner: rectangle(0), outer: rectangle(thickness), thickness, models: [{ type: 'press', footprint }] });
+};
+
+// PDF files are bytes; every character the exporter writes is a single one
+const decode = (bytes) => Buffer.from(bytes).toString('latin1');
+
+const readXref = (file) => {
+  const xref = Number(/startxref\n(\d+)\n%%EOF\n$/.exec(file)[1]);
+  const [, first, count, entries] = /^xref\n(\d+) (\d+)\n([\s\S]*?)trailer/.exec(file.slice(xref));
+  return { xref, first: Number(first), count: Number(count), entries: entries.match(/[\s\S]{20}/g) };
+};
+
+describe('floorPlanToPDF', () => {
+  const options = { title: 'Test plan', date: new Date(2024, 0, 31) };
+
+  test.each([
+    ['a room that fits on one sheet', roomPlan(4, 3)],
+    ['a room tiled over several sheets', roomPlan(20, 12)]
+  ])('writes cross-reference offsets that point at their objects for %s', (name, plan) => {
+    const file = decode(floorPlanToPDF(plan, options));
+    const { xref, first, count, entries } = readXref(file);
+
+    expect(file.startsWith('%PDF-1.4\n')).toBe(true);
+    expect(file.slice(xref, xref + 5)).toBe('xref\n');
+    expect(first).toBe(0);
+    expect(entries).toHaveLength(count);
+    expect(entries[0]).toBe('0000000000 65535 f \n');
+    entries.slice(1).forEach((entry, index) => {
+      expect(entry).toMatch(/^\d{10} 00000 n \n$/);
+      const offset = Number(entry.slice(0, 10));
+      expect(file.slice(offset, offset + `${index + 1} 0 obj\n`.length)).toBe(`${index + 1} 0 obj\n`);
+    });
+    expect(file).toContain(`/Size ${count} /Root 1 0 R`);
+  });
+
+  test('gives every content stream its own length', () => {
+    const file = decode(floorPlanToPDF(roomPlan(4, 3), options));
+    const streams = [...file.matchAll(/<< \/Length (\d+) >>\nstream\n/g)];
+
+    expect(streams.length).toBeGreaterThan(0);
+    streams.forEach(match => {
+      const start = match.index + match[0].length;
+      const length = Number(match[1]);
+      expect(file.slice(start + length, start + length + '\nendstream'.length)).toBe('\nendstream');
+    });
+  });
+
+  test('writes one page per sheet', () => {
+    const plan = roomPlan(20, 12);
+    const pages = paginateFloorPlan(plan, { scale: 50, paper: 'A4', orientation: 'landscape' });
+    const file = decode(floorPlanToPDF(plan, { ...options, scale: 50, paper: 'A4', orientation: 'landscape' }));
+
+    expect(pages.count).toBeGreaterThan(1);
+    expect(file).toContain(`/Count ${pages.count} >>`);
+    expect(file.match(/\/Type \/Page \//g)).toHaveLength(pages.count);
+    expect(file).toContain(`Sheet ${pages.count} of ${pages.count}`);
+  });
+});
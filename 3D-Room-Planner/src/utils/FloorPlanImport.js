@@ -0,0 +1,70 @@
+// src/utils/FloorPlanImport.js
+// Reads an existing floor-plan drawing (JPG, PNG, or the first page of a PDF) for the tracing underlay
+
+const IMAGE_FILE = /\.(png|jpe?g)$/i;
+const PDF_FILE = /\.pdf$/i;
+
+// Pixels along the longer side of a rendered PDF page: sharp enough to trace, within the texture size GPUs support
+const PDF_RENDER_SIZE = 4096;
+
+/**
+ * Renders the first page of a PDF, vector drawings and scanned pages alike. pdf.js is only loaded for PDFs.
+ * @param {ArrayBuffer} data - The PDF file.
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+export async function renderPdfPage(data) {
+  const pdfjs = await import('pdfjs-dist');
+  if (!pdfjs.GlobalWorkerOptions.workerSrc) {
+    pdfjs.GlobalWorkerOptions.workerSrc = new URL('pdfjs-dist/build/pdf.worker.min.js', import.meta.url).toString();
+  }
+
+  const pdf = await pdfjs.getDocument({ data }).promise;
+  try {
+    const page = await pdf.getPage(1);
+    const size = page.getViewport({ scale: 1 });
+    const viewport = page.getViewport({ scale: PDF_RENDER_SIZE / Math.max(size.width, size.height) });
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(viewport.width);
+    canvas.height = Math.round(viewport.height);
+    // pdf.js paints the page white before drawing on it
+    await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+    return canvas;
+  } finally {
+    pdf.destroy();
+  }
+}
+
+function loadImage(blob) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(blob);
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('The image could not be read'));
+    };
+    image.src = url;
+  });
+}
+
+/**
+ * Loads a floor-plan drawing file as an image.
+ * @param {File} file - JPG, PNG or PDF.
+ * @returns {Promise<HTMLImageElement|HTMLCanvasElement>} - A canvas for a PDF.
+ */
+export async function readFloorPlanImage(file) {
+  if (file.type === 'application/pdf' || PDF_FILE.test(file.name)) {
+    try {
+      return await renderPdfPage(await file.arrayBuffer());
+    } catch (error) {
+      throw new Error(`The PDF could not be read: ${error.message}`);
+    }
+  }
+  if (!/^image\/(png|jpeg)$/.test(file.type) && !IMAGE_FILE.test(file.name)) {
+    throw new Error('Choose a JPG, PNG or PDF file');
+  }
+  return loadImage(file);
+}
@@ -0,0 +1,29 @@
+// src/utils/fileDownload.js
+// Helpers for handing generated files to the browser as downloads
+
+/**
+ * Triggers a browser download for a Blob.
+ * @param {Blob} blob - File contents.
+ * @param {string} filename - Suggested file name.
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Triggers a browser download for a text file.
+ * @param {string} text - File contents.
+ * @param {string} filename - Suggested file name.
+ * @param {string} [mimeType='text/plain'] - MIME type of the file.
+ */
+export function downloadText(text, filename, mimeType = 'text/plain') {
+  downloadBlob(new Blob([text], { type: `${mimeType};charset=utf-8` }), filename);
+}